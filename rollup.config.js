@@ -42,27 +42,31 @@ const basePlugins = plugins.filter(p =>
   p.name !== 'serve' && p.name !== 'livereload'
 );
 
+// エントリーポイント（scrolltering, scrolltering/testing, scrolltering/react, scrolltering/vue）
+// 1つのビルドにまとめてコア部分を共有チャンクにすることで、use() / registerDiagnosticRule() /
+// registerLocale() の登録内容や共有Observerがエントリーポイントをまたいで共有される
+const entries = {
+  scrolltering: 'src/index.js',
+  testing: 'src/testing.js',
+  react: 'src/react.js',
+  vue: 'src/vue.js'
+};
+
 const builds = [
-  // CommonJS build
-  {
-    input: 'src/index.js',
-    output: {
-      file: 'dist/scrolltering.cjs.js',
-      format: 'cjs',
-      sourcemap: !isProduction
-    },
-    plugins: basePlugins
-  },
-  // ES module build
-  {
-    input: 'src/index.js',
+  // CommonJS / ES module build
+  ...[['cjs', 'cjs'], ['es', 'esm']].map(([format, suffix]) => ({
+    input: entries,
     output: {
-      file: 'dist/scrolltering.esm.js',
-      format: 'es',
+      dir: 'dist',
+      format: format,
+      entryFileNames: `[name].${suffix}.js`,
+      chunkFileNames: `chunks/[name]-[hash].${suffix}.js`,
+      exports: 'auto',
       sourcemap: !isProduction
     },
+    external: ['react', 'vue'],
     plugins: basePlugins
-  },
+  })),
   // UMD build for browsers
   {
     input: 'src/index.js',
@@ -0,0 +1,236 @@
+/**
+ * アクセシビリティ
+ *
+ * 現在のステップのラベルをARIAライブリージョンで読み上げ、アクティブな要素に
+ * aria-current="step" を設定します。キーボード（PageDown / PageUp、Home / End、
+ * a11yArrowKeys 有効時は矢印キー）で前後のステップへ移動でき、移動先の要素にフォーカスを移します。
+ * キー操作は、フォーカスが root / scope の範囲内かトリガー要素内にある場合のみ処理します
+ * （a11yGlobalKeys 有効時はページ本体にある場合も処理します）。
+ *
+ * ラベルは aria-label、aria-labelledby、要素内の最初の見出しの順に取得されます。
+ *
+ * @class AccessibilityLayer
+ *
+ * @example
+ * <section data-trigger="intro" aria-label="はじめに">...</section>
+ * <section data-trigger="chart"><h2>人口の推移</h2>...</section>
+ *
+ * const scrolly = new Scrolltering({ a11y: true });
+ */
+
+/** 画面には表示せず、スクリーンリーダーにのみ読み上げさせるスタイル */
+const VISUALLY_HIDDEN = 'position:absolute;width:1px;height:1px;margin:-1px;padding:0;' +
+    'overflow:hidden;clip:rect(0 0 0 0);white-space:nowrap;border:0;';
+
+/** キーと移動方向の対応 */
+const PAGE_KEYS = { PageDown: 1, PageUp: -1 };
+
+/** 矢印キーと移動方向の対応（axisごと、a11yArrowKeys 有効時のみ） */
+const ARROW_KEYS = {
+    y: { ArrowDown: 1, ArrowUp: -1 },
+    x: { ArrowRight: 1, ArrowLeft: -1 }
+};
+
+class AccessibilityLayer {
+    /**
+     * AccessibilityLayerのコンストラクタ
+     *
+     * @param {Scrolltering} scrolly - 対象のScrollteringインスタンス
+     */
+    constructor(scrolly) {
+        this.scrolly = scrolly;
+        this.liveRegion = null;               // 読み上げ用のライブリージョン
+        this._currentElement = null;          // aria-current を設定した要素
+        this._focusableElements = new Set();  // フォーカス用に tabindex="-1" を付与した要素
+        this._onKeyDown = (event) => this._handleKeyDown(event);
+    }
+
+    /**
+     * ライブリージョンの作成とキーボード操作の監視を開始
+     *
+     * @public
+     */
+    start() {
+        this.liveRegion = document.createElement('div');
+        this.liveRegion.className = 'scrolltering-live-region';
+        this.liveRegion.setAttribute('role', 'status');
+        this.liveRegion.setAttribute('aria-live', 'polite');
+        this.liveRegion.setAttribute('aria-atomic', 'true');
+        this.liveRegion.style.cssText = VISUALLY_HIDDEN;
+        document.body.appendChild(this.liveRegion);
+
+        if (this.scrolly.config.a11yKeyboard) {
+            document.addEventListener('keydown', this._onKeyDown);
+        }
+    }
+
+    /**
+     * トリガー変更を反映
+     * aria-current を付け替え、現在のステップのラベルを読み上げます
+     *
+     * @param {Object} detail - トリガー変更の詳細
+     * @public
+     */
+    update(detail) {
+        const element = detail.current ? this.scrolly._findElementById(detail.current) : null;
+        this.setCurrent(element);
+
+        if (!element || !this.liveRegion) {
+            return;
+        }
+
+        const { a11yAnnounce } = this.scrolly.config;
+        const label = this.getLabel(element);
+        const message = typeof a11yAnnounce === 'function' ? a11yAnnounce({ ...detail, label: label }) : label;
+        if (message) {
+            this.liveRegion.textContent = message;
+        }
+    }
+
+    /**
+     * aria-current="step" を設定する要素を変更
+     *
+     * @param {Element|null} element - 現在のステップの要素
+     * @public
+     */
+    setCurrent(element) {
+        if (this._currentElement && this._currentElement !== element) {
+            this._currentElement.removeAttribute('aria-current');
+        }
+        if (element) {
+            element.setAttribute('aria-current', 'step');
+        }
+        this._currentElement = element;
+    }
+
+    /**
+     * 要素の読み上げ用ラベルを取得
+     *
+     * @param {Element} element - トリガー要素
+     * @returns {string} ラベル（見つからない場合は空文字）
+     * @public
+     */
+    getLabel(element) {
+        const ariaLabel = element.getAttribute('aria-label');
+        if (ariaLabel && ariaLabel.trim()) {
+            return ariaLabel.trim();
+        }
+
+        const labelledBy = element.getAttribute('aria-labelledby');
+        if (labelledBy) {
+            const text = labelledBy.split(/\s+/)
+                .map(id => document.getElementById(id))
+                .filter(labelElement => labelElement)
+                .map(labelElement => labelElement.textContent.trim())
+                .join(' ');
+            if (text) {
+                return text;
+            }
+        }
+
+        const heading = element.querySelector('h1, h2, h3, h4, h5, h6, [role="heading"]');
+        return heading ? heading.textContent.trim().replace(/\s+/g, ' ') : '';
+    }
+
+    /**
+     * キー入力で前後のステップへ移動
+     * 入力欄での操作や修飾キー付きの入力、フォーカスが範囲外にある場合の操作は無視します
+     *
+     * @param {KeyboardEvent} event - キーボードイベント
+     * @private
+     */
+    _handleKeyDown(event) {
+        if (event.defaultPrevented || event.altKey || event.ctrlKey || event.metaKey || event.shiftKey) {
+            return;
+        }
+
+        const target = event.target;
+        if (target && (target.isContentEditable || /^(INPUT|TEXTAREA|SELECT)$/.test(target.tagName))) {
+            return;
+        }
+
+        if (!this._isFocusedWithin(target)) {
+            return;
+        }
+
+        const { axis, a11yArrowKeys } = this.scrolly.config;
+        const ids = this.scrolly._getTriggerIds();
+        let id;
+        if (event.key === 'Home' || event.key === 'End') {
+            id = event.key === 'Home' ? ids[0] : ids[ids.length - 1];
+        } else {
+            const arrowKeys = a11yArrowKeys ? ARROW_KEYS[axis === 'x' ? 'x' : 'y'] : {};
+            const step = PAGE_KEYS[event.key] || arrowKeys[event.key];
+            if (!step) {
+                return;
+            }
+            const index = ids.indexOf(this.scrolly.currentTriggerId);
+            id = ids[index === -1 ? 0 : index + step];
+        }
+
+        if (!id) {
+            return;
+        }
+        event.preventDefault();
+        this.scrolly.scrollToTrigger(id).catch(() => {});
+        this._focus(this.scrolly._findElementById(id));
+    }
+
+    /**
+     * キー操作を処理するフォーカス位置かを判定
+     * ページ本体（body）にフォーカスがある場合は、ページ全体のスクロールを妨げないよう
+     * a11yGlobalKeys 有効時のみ処理します
+     *
+     * @param {EventTarget|null} target - キーボードイベントの対象
+     * @returns {boolean} root / scope の範囲内、またはトリガー要素内の場合 true
+     * @private
+     */
+    _isFocusedWithin(target) {
+        if (!target || target === document || target === document.body || target === document.documentElement) {
+            return this.scrolly.config.a11yGlobalKeys;
+        }
+
+        const scope = this.scrolly._getScope();
+        if (scope && scope.contains(target)) {
+            return true;
+        }
+        return Array.from(this.scrolly._getTargetElements()).some(element => element.contains(target));
+    }
+
+    /**
+     * ページをスクロールさせずに要素へフォーカスを移動
+     * フォーカスできない要素には tabindex="-1" を付与します
+     *
+     * @param {Element|null} element - フォーカスする要素
+     * @private
+     */
+    _focus(element) {
+        if (!element) {
+            return;
+        }
+        if (!element.hasAttribute('tabindex')) {
+            element.setAttribute('tabindex', '-1');
+            this._focusableElements.add(element);
+        }
+        element.focus({ preventScroll: true });
+    }
+
+    /**
+     * ライブリージョンと付与した属性の削除、イベントリスナーの解除
+     *
+     * @public
+     */
+    destroy() {
+        document.removeEventListener('keydown', this._onKeyDown);
+        this.setCurrent(null);
+        this._focusableElements.forEach(element => element.removeAttribute('tabindex'));
+        this._focusableElements.clear();
+
+        if (this.liveRegion) {
+            this.liveRegion.remove();
+            this.liveRegion = null;
+        }
+    }
+}
+
+export { AccessibilityLayer };
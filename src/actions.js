@@ -0,0 +1,219 @@
+/**
+ * 宣言的アクション
+ *
+ * data属性を記述するだけで、トリガー変更時のクラス切り替え・CSS変数の設定・
+ * キャプションの更新を行います。onChangeを書かずにHTMLだけで
+ * シンプルなスクロールテリングを構築できます。
+ *
+ * 属性名はtriggerAttributeを接頭辞として生成されます（デフォルト: data-trigger-*）。
+ *
+ * @class TriggerActions
+ *
+ * @example
+ * <div data-trigger="step1"
+ *      data-trigger-active-class="highlight"
+ *      data-trigger-target="#graphic"
+ *      data-trigger-set-class="zoomed"
+ *      data-trigger-set-var="--zoom: 2; --hue: 30"
+ *      data-trigger-set-text="東京の人口推移">
+ * </div>
+ */
+class TriggerActions {
+    /**
+     * TriggerActionsのコンストラクタ
+     *
+     * @param {Scrolltering} scrolly - 対象のScrollteringインスタンス
+     */
+    constructor(scrolly) {
+        this.scrolly = scrolly;
+    }
+
+    /**
+     * アクション属性名を生成
+     *
+     * @param {string} name - 属性名の接尾辞（例: 'active-class'）
+     * @returns {string} 完全な属性名（例: 'data-trigger-active-class'）
+     * @private
+     */
+    _attr(name) {
+        return `${this.scrolly.config.triggerAttribute}-${name}`;
+    }
+
+    /**
+     * トリガー変更時のアクションを適用
+     *
+     * 前回の要素のアクションを解除してから現在の要素のアクションを適用するため、
+     * 複数のステップが同じターゲットを操作する場合も現在のステップの値が残ります。
+     * 入れ子のトリガーでは、現在の要素を含む祖先のトリガー要素もアクティブとして扱います。
+     *
+     * @param {string} currentId - 現在のトリガーID
+     * @param {string} previousId - 前回のトリガーID
+     * @public
+     */
+    apply(currentId, previousId) {
+        const previousElement = previousId ? this.scrolly._findElementById(previousId) : null;
+        const currentElement = currentId ? this.scrolly._findElementById(currentId) : null;
+        const previousPath = this.scrolly._getTriggerElementPath(previousElement);
+        const currentPath = this.scrolly._getTriggerElementPath(currentElement);
+
+        // 引き続きアクティブな祖先（同じ章など）はそのまま維持する
+        previousPath
+            .filter(element => !currentPath.includes(element))
+            .forEach(element => this._deactivate(element));
+        currentPath
+            .filter(element => !previousPath.includes(element))
+            .forEach(element => this._activate(element));
+
+        this._updateStateClasses(currentElement);
+    }
+
+    /**
+     * 要素のアクションを適用
+     *
+     * @param {Element} element - アクティブになった要素
+     * @private
+     */
+    _activate(element) {
+        const activeClass = element.getAttribute(this._attr('active-class'));
+        if (activeClass) {
+            element.classList.add(...this._splitClasses(activeClass));
+        }
+
+        const setClass = element.getAttribute(this._attr('set-class'));
+        const setVar = element.getAttribute(this._attr('set-var'));
+        const setText = element.getAttribute(this._attr('set-text'));
+
+        this._resolveTargets(element).forEach(target => {
+            if (setClass) {
+                target.classList.add(...this._splitClasses(setClass));
+            }
+            if (setVar) {
+                this._parseVars(setVar).forEach(([name, value]) => {
+                    target.style.setProperty(name, value);
+                });
+            }
+            if (setText !== null) {
+                target.textContent = setText;
+            }
+        });
+    }
+
+    /**
+     * 要素のアクションを解除
+     * テキストは次のステップで上書きされる前提のため復元しません
+     *
+     * @param {Element} element - 非アクティブになった要素
+     * @private
+     */
+    _deactivate(element) {
+        const activeClass = element.getAttribute(this._attr('active-class'));
+        if (activeClass) {
+            element.classList.remove(...this._splitClasses(activeClass));
+        }
+
+        const setClass = element.getAttribute(this._attr('set-class'));
+        const setVar = element.getAttribute(this._attr('set-var'));
+
+        this._resolveTargets(element).forEach(target => {
+            if (setClass) {
+                target.classList.remove(...this._splitClasses(setClass));
+            }
+            if (setVar) {
+                this._parseVars(setVar).forEach(([name]) => {
+                    target.style.removeProperty(name);
+                });
+            }
+        });
+    }
+
+    /**
+     * 全トリガー要素に is-active / is-past / is-future の状態クラスを付与
+     *
+     * @param {Element|null} currentElement - 現在のトリガー要素
+     * @private
+     */
+    _updateStateClasses(currentElement) {
+        const { active, past, future } = this.scrolly.config.stateClasses;
+        const elements = Array.from(this.scrolly._getTargetElements());
+        const currentIndex = elements.indexOf(currentElement);
+
+        elements.forEach((element, index) => {
+            const isActive = currentElement !== null && element.contains(currentElement);
+            const isPast = !isActive && currentIndex !== -1 && index < currentIndex;
+
+            element.classList.toggle(active, isActive);
+            element.classList.toggle(past, isPast);
+            element.classList.toggle(future, !isActive && !isPast);
+        });
+    }
+
+    /**
+     * アクションの適用先要素を取得
+     * data-trigger-target が未指定の場合はトリガー要素自身が対象になります
+     *
+     * @param {Element} element - トリガー要素
+     * @returns {Array<Element>} 適用先の要素
+     * @private
+     */
+    _resolveTargets(element) {
+        const selector = element.getAttribute(this._attr('target'));
+        if (!selector) {
+            return [element];
+        }
+        try {
+            return Array.from(document.querySelectorAll(selector));
+        } catch (error) {
+            // 不正なセレクタ（"#" など）は対象なしとして扱い、diagnose() の invalid_target_selector で報告する
+            return [];
+        }
+    }
+
+    /**
+     * スペース区切りのクラス名を配列に変換
+     *
+     * @param {string} value - クラス名の文字列
+     * @returns {Array<string>} クラス名の配列
+     * @private
+     */
+    _splitClasses(value) {
+        return value.split(/\s+/).filter(name => name);
+    }
+
+    /**
+     * CSS変数の宣言文字列を解析
+     *
+     * @param {string} value - '--zoom: 2; --hue: 30' 形式の文字列
+     * @returns {Array<Array<string>>} [名前, 値] の配列
+     * @private
+     */
+    _parseVars(value) {
+        return value.split(';')
+            .map(declaration => {
+                const index = declaration.indexOf(':');
+                if (index === -1) {
+                    return null;
+                }
+                return [declaration.slice(0, index).trim(), declaration.slice(index + 1).trim()];
+            })
+            .filter(pair => pair && pair[0]);
+    }
+
+    /**
+     * 適用中のアクションと状態クラスをすべて解除
+     *
+     * @param {string} currentId - 現在のトリガーID
+     * @public
+     */
+    clear(currentId) {
+        const currentElement = currentId ? this.scrolly._findElementById(currentId) : null;
+        this.scrolly._getTriggerElementPath(currentElement)
+            .forEach(element => this._deactivate(element));
+
+        const { active, past, future } = this.scrolly.config.stateClasses;
+        this.scrolly._getTargetElements().forEach(element => {
+            element.classList.remove(active, past, future);
+        });
+    }
+}
+
+export { TriggerActions };
@@ -0,0 +1,334 @@
+/**
+ * 読了分析
+ *
+ * トリガーの変化から、ステップごとの滞在時間、到達した最大の深さ、
+ * ステップを初めて表示した順序、逆方向へのスクロール回数を集計します。
+ * タブが非表示の間と、一定時間操作がない間（アイドル）は滞在時間を加算しません。
+ *
+ * 集計結果はページが非表示になった時と destroy() 時に、analyticsSink へ送信されます。
+ *
+ * @class ReadingAnalytics
+ *
+ * @example
+ * const scrolly = new Scrolltering({
+ *   analytics: true,
+ *   analyticsSink: Scrolltering.createBeaconSink('/api/reading')
+ * });
+ *
+ * scrolly.getStats().steps;
+ * // [{ id: 'intro', dwellTime: 5200, visits: 1, backScrolls: 0 }, ...]
+ */
+
+/** アイドル判定のきっかけとなる操作 */
+const ACTIVITY_EVENTS = ['scroll', 'wheel', 'keydown', 'pointerdown', 'pointermove', 'touchstart'];
+
+class ReadingAnalytics {
+    /**
+     * ReadingAnalyticsのコンストラクタ
+     *
+     * @param {Scrolltering} scrolly - 対象のScrollteringインスタンス
+     */
+    constructor(scrolly) {
+        this.scrolly = scrolly;
+        this._steps = new Map();              // トリガーID → { dwellTime, visits, backScrolls }（初回表示順）
+        this._maxDepth = null;                // 到達した最も深い要素 { id, index }
+        this._totalSteps = 0;                 // 監視対象の要素数（最後に計測した値）
+        this._backScrolls = 0;                // 逆方向へのスクロールによる変更の回数
+        this._activeId = null;                // 滞在時間を計測中のトリガーID
+        this._activeSince = null;             // 計測中の区間の開始時刻（停止中はnull）
+        this._hidden = false;                 // タブが非表示かどうか
+        this._idle = false;                   // アイドル状態かどうか
+        this._lastActivity = Date.now();      // 最後に操作があった時刻
+        this._idleTimer = null;
+        this._flushed = false;                // 非表示になってから送信済みかどうか
+        this._startedAt = Date.now();
+
+        this._onVisibilityChange = () => this._handleVisibilityChange();
+        this._onPageHide = () => this._handlePageHide();
+        this._onActivity = () => this._handleActivity();
+    }
+
+    /**
+     * 集計の開始
+     * visibilitychange / pagehide と、アイドル判定用の操作イベントの監視を開始します
+     *
+     * @public
+     */
+    start() {
+        this._hidden = document.visibilityState === 'hidden';
+        document.addEventListener('visibilitychange', this._onVisibilityChange);
+        window.addEventListener('pagehide', this._onPageHide);
+        // スクロールコンテナの scroll イベントはバブリングしないため、キャプチャで受け取る
+        ACTIVITY_EVENTS.forEach(type => {
+            document.addEventListener(type, this._onActivity, { capture: true, passive: true });
+        });
+        this._scheduleIdleCheck();
+    }
+
+    /**
+     * トリガーの変化を記録
+     *
+     * @param {string|null} currentId - 現在のトリガーID
+     * @param {string|null} previousId - 前回のトリガーID
+     * @param {string|null} direction - スクロール方向
+     * @public
+     */
+    record(currentId, previousId, direction) {
+        this._closeSegment();
+        this._activeId = currentId;
+        this._handleActivity();
+
+        if (currentId === null || currentId === undefined) {
+            return;
+        }
+
+        const step = this._getStep(currentId);
+        step.visits++;
+
+        if (previousId !== null && direction === this.scrolly._getAxis().backward) {
+            step.backScrolls++;
+            this._backScrolls++;
+        }
+
+        const elements = Array.from(this.scrolly._getTargetElements());
+        const index = elements.indexOf(this.scrolly._findElementById(currentId));
+        this._totalSteps = elements.length;
+        if (index !== -1 && (!this._maxDepth || index > this._maxDepth.index)) {
+            this._maxDepth = { id: currentId, index: index };
+        }
+    }
+
+    /**
+     * 現在までの集計結果を取得
+     * 計測中の区間の滞在時間も含まれます
+     *
+     * @returns {Object} 集計結果
+     * @public
+     */
+    getStats() {
+        const now = Date.now();
+        const steps = Array.from(this._steps, ([id, step]) => ({
+            id: id,
+            dwellTime: step.dwellTime +
+                (id === this._activeId && this._activeSince !== null ? now - this._activeSince : 0),
+            visits: step.visits,
+            backScrolls: step.backScrolls
+        }));
+        const maxDepth = this._maxDepth
+            ? {
+                id: this._maxDepth.id,
+                index: this._maxDepth.index,
+                ratio: this._totalSteps > 0 ? (this._maxDepth.index + 1) / this._totalSteps : 0
+            }
+            : null;
+
+        return {
+            instanceId: this.scrolly.instanceId,
+            startedAt: this._startedAt,
+            timestamp: now,
+            totalDwellTime: steps.reduce((total, step) => total + step.dwellTime, 0),
+            totalSteps: this._totalSteps,
+            maxDepth: maxDepth,
+            order: steps.map(step => step.id),
+            backScrolls: this._backScrolls,
+            steps: steps
+        };
+    }
+
+    /**
+     * 集計結果をsinkへ送信
+     *
+     * @param {string} reason - 送信の理由（'hidden' | 'pagehide' | 'destroy' | 任意の文字列）
+     * @returns {Object|null} 送信した集計結果（sink未指定の場合はnull）
+     * @public
+     */
+    flush(reason = 'manual') {
+        const sink = this.scrolly.config.analyticsSink;
+        if (!sink) {
+            return null;
+        }
+
+        const summary = { ...this.getStats(), reason: reason };
+        // sinkの例外で destroy() やページ離脱時の後処理を中断しないよう、例外は非同期で再送出する
+        try {
+            if (typeof sink === 'function') {
+                sink(summary);
+            } else {
+                sink.send(summary);
+            }
+        } catch (error) {
+            setTimeout(() => {
+                throw error;
+            });
+        }
+        return summary;
+    }
+
+    /**
+     * イベントリスナーとタイマーの解除
+     *
+     * @public
+     */
+    destroy() {
+        this._closeSegment();
+        this._activeId = null;
+        document.removeEventListener('visibilitychange', this._onVisibilityChange);
+        window.removeEventListener('pagehide', this._onPageHide);
+        ACTIVITY_EVENTS.forEach(type => {
+            document.removeEventListener(type, this._onActivity, { capture: true });
+        });
+        if (this._idleTimer) {
+            clearTimeout(this._idleTimer);
+            this._idleTimer = null;
+        }
+    }
+
+    /**
+     * ステップの集計を取得（未登録の場合は作成）
+     *
+     * @param {string} id - トリガーID
+     * @returns {Object} ステップの集計
+     * @private
+     */
+    _getStep(id) {
+        if (!this._steps.has(id)) {
+            this._steps.set(id, { dwellTime: 0, visits: 0, backScrolls: 0 });
+        }
+        return this._steps.get(id);
+    }
+
+    /**
+     * 滞在時間の計測区間を開始（非表示・アイドル中は開始しない）
+     *
+     * @private
+     */
+    _openSegment() {
+        if (this._activeSince === null && this._activeId !== null && !this._hidden && !this._idle) {
+            this._activeSince = Date.now();
+        }
+    }
+
+    /**
+     * 計測中の区間を閉じて、滞在時間に加算
+     *
+     * @param {number} [end=Date.now()] - 区間の終了時刻
+     * @private
+     */
+    _closeSegment(end = Date.now()) {
+        if (this._activeSince === null) {
+            return;
+        }
+        this._getStep(this._activeId).dwellTime += Math.max(0, end - this._activeSince);
+        this._activeSince = null;
+    }
+
+    /**
+     * タブの表示状態の変化を処理
+     * 非表示になった時点で計測を止め、集計結果を送信します
+     *
+     * @private
+     */
+    _handleVisibilityChange() {
+        if (document.visibilityState === 'hidden') {
+            this._hidden = true;
+            this._closeSegment();
+            this._flushOnHide('hidden');
+        } else {
+            this._hidden = false;
+            this._flushed = false;
+            this._handleActivity();
+        }
+    }
+
+    /**
+     * pagehideの処理
+     * visibilitychangeで送信済みの場合は重複して送信しません
+     *
+     * @private
+     */
+    _handlePageHide() {
+        this._closeSegment();
+        this._flushOnHide('pagehide');
+    }
+
+    /**
+     * 非表示になってから1回だけ集計結果を送信
+     *
+     * @param {string} reason - 送信の理由
+     * @private
+     */
+    _flushOnHide(reason) {
+        if (this._flushed) {
+            return;
+        }
+        this._flushed = true;
+        this.flush(reason);
+    }
+
+    /**
+     * ユーザー操作の処理
+     * アイドル状態を解除し、計測を再開します
+     *
+     * @private
+     */
+    _handleActivity() {
+        this._lastActivity = Date.now();
+        this._idle = false;
+        this._openSegment();
+        this._scheduleIdleCheck();
+    }
+
+    /**
+     * アイドル判定のタイマーを予約
+     * 操作のたびにタイマーを作り直さず、発火時に最後の操作からの経過時間を確認します
+     *
+     * @private
+     */
+    _scheduleIdleCheck() {
+        const { idleTimeout } = this.scrolly.config;
+        if (this._idleTimer || !(idleTimeout > 0)) {
+            return;
+        }
+        this._idleTimer = setTimeout(() => {
+            this._idleTimer = null;
+            const idleAt = this._lastActivity + idleTimeout;
+            if (Date.now() >= idleAt) {
+                this._idle = true;
+                this._closeSegment(idleAt);
+            } else {
+                this._scheduleIdleCheck();
+            }
+        }, Math.max(0, this._lastActivity + idleTimeout - Date.now()));
+    }
+}
+
+/**
+ * navigator.sendBeacon で集計結果を送信するsinkを作成
+ *
+ * @param {string} url - 送信先のURL
+ * @param {Object} [options] - オプション
+ * @param {Function} [options.transform] - 送信前に集計結果を変換する関数
+ * @returns {Function} analyticsSink に指定する関数
+ */
+function createBeaconSink(url, { transform = null } = {}) {
+    return (summary) => {
+        const payload = JSON.stringify(transform ? transform(summary) : summary);
+        if (typeof navigator !== 'undefined' && typeof navigator.sendBeacon === 'function') {
+            navigator.sendBeacon(url, new Blob([payload], { type: 'application/json' }));
+            return;
+        }
+        // sendBeacon 非対応環境ではページ遷移後も継続する keepalive 付きの fetch を使用する
+        if (typeof fetch === 'function') {
+            fetch(url, {
+                method: 'POST',
+                body: payload,
+                headers: { 'Content-Type': 'application/json' },
+                keepalive: true
+            }).catch(() => {
+                // 送信の失敗（オフラインなど）はページの動作に影響させない
+            });
+        }
+    };
+}
+
+export { ReadingAnalytics, createBeaconSink };
@@ -0,0 +1,172 @@
+/**
+ * フレームワーク連携の共通処理
+ *
+ * React / Vue のアダプター（scrolltering/react, scrolltering/vue）から使用します。
+ * コールバックを最新のものに差し替える仕組みと、refで登録されたステップ要素の管理を提供します。
+ */
+
+/**
+ * オプションの変更検出用のキーを作成
+ *
+ * 関数や要素などのオブジェクトは描画のたびに参照が変わるため同じ値とみなし、
+ * threshold / rootMargin などの設定値の変更だけを検出します。
+ *
+ * @param {Object} options - オプション
+ * @returns {string} 比較用の文字列
+ */
+function serializeOptions(options) {
+    return JSON.stringify(options, (key, value) => {
+        if (typeof value === 'function') {
+            return '[function]';
+        }
+        if (value && typeof value === 'object' && !Array.isArray(value) &&
+            Object.getPrototypeOf(value) !== Object.prototype) {
+            return '[object]';
+        }
+        return value;
+    });
+}
+
+/**
+ * 関数オプションを、呼び出し時点の最新の関数を実行するラッパーに置き換え
+ *
+ * @param {*} value - オプションの値
+ * @param {Function} getLatest - 最新の値を返す関数
+ * @returns {*} ラップした値（関数・関数の配列以外はそのまま）
+ */
+function bindLatest(value, getLatest) {
+    if (typeof value === 'function') {
+        return (...args) => {
+            const latest = getLatest();
+            return typeof latest === 'function' ? latest(...args) : undefined;
+        };
+    }
+    // onLevelChange のような関数の配列
+    if (Array.isArray(value) && value.some(item => typeof item === 'function')) {
+        return value.map((item, index) => bindLatest(item, () => (getLatest() || [])[index]));
+    }
+    return value;
+}
+
+/**
+ * アダプター用のScrolltering設定を作成
+ *
+ * @param {Object} options - 利用者が指定したオプション
+ * @param {Function} getLatest - 最新のオプションを返す関数
+ * @param {Object} handlers - アダプター側の処理
+ * @param {Function} handlers.resolveRoot - rootオプション（refを含む）を要素に解決する関数
+ * @param {Function} handlers.getElements - refで登録されたステップ要素を返す関数
+ * @param {Function} handlers.onChange - トリガー変更時に状態を更新する関数
+ * @param {Function} handlers.onProgress - 進捗更新時に状態を更新する関数
+ * @returns {Object} Scrollteringのコンストラクタオプション
+ */
+function createBindingConfig(options, getLatest, handlers) {
+    const config = {};
+    Object.keys(options).forEach(key => {
+        config[key] = bindLatest(options[key], () => getLatest()[key]);
+    });
+
+    return {
+        ...config,
+        root: handlers.resolveRoot(options.root),
+        elements: config.elements || handlers.getElements,
+        onChange: detail => {
+            handlers.onChange(detail);
+            const { onChange } = getLatest();
+            if (typeof onChange === 'function') {
+                onChange(detail);
+            }
+        },
+        onProgress: detail => {
+            handlers.onProgress(detail);
+            const { onProgress } = getLatest();
+            if (typeof onProgress === 'function') {
+                onProgress(detail);
+            }
+        }
+    };
+}
+
+/**
+ * refで登録されたステップ要素の管理
+ *
+ * ref(id) は同じIDに対して常に同じコールバックrefを返すため、
+ * 再描画のたびに要素が登録し直されることはありません。
+ *
+ * @class StepRegistry
+ */
+class StepRegistry {
+    /**
+     * StepRegistryのコンストラクタ
+     *
+     * @param {Function} getInstance - 現在のScrollteringインスタンスを返す関数
+     * @param {Function} getTriggerAttribute - トリガーIDを格納する属性名を返す関数
+     * @param {Function} [resolveElement] - refに渡された値を要素に変換する関数（Vueのコンポーネントなど）
+     */
+    constructor(getInstance, getTriggerAttribute, resolveElement = element => element) {
+        this.getInstance = getInstance;
+        this.getTriggerAttribute = getTriggerAttribute;
+        this.resolveElement = resolveElement;
+        this.elements = new Map(); // ID → 要素
+        this._refs = new Map();    // ID → コールバックref
+    }
+
+    /**
+     * ステップ要素を登録するコールバックrefを取得
+     *
+     * @param {string} id - トリガーID
+     * @returns {Function} 要素（またはnull）を受け取るコールバックref
+     * @public
+     */
+    ref(id) {
+        if (!this._refs.has(id)) {
+            this._refs.set(id, value => this._attach(id, this.resolveElement(value)));
+        }
+        return this._refs.get(id);
+    }
+
+    /**
+     * 要素の登録・解除
+     * インスタンスの作成後に追加・削除された要素は observe() / unobserve() します
+     *
+     * @param {string} id - トリガーID
+     * @param {Element|null} element - 登録する要素（解除時はnull）
+     * @private
+     */
+    _attach(id, element) {
+        const instance = this.getInstance();
+        const previous = this.elements.get(id);
+
+        if (previous && previous !== element) {
+            this.elements.delete(id);
+            if (instance) {
+                instance.unobserve(previous);
+            }
+        }
+
+        if (element) {
+            element.setAttribute(this.getTriggerAttribute(), id);
+            this.elements.set(id, element);
+            if (instance) {
+                instance.observe(element);
+            }
+        }
+    }
+
+    /**
+     * 登録されているステップ要素を文書順で取得
+     *
+     * @returns {Array<Element>|null} ステップ要素（未登録の場合はnullを返し、selectorで検索させる）
+     * @public
+     */
+    getElements() {
+        if (this.elements.size === 0) {
+            return null;
+        }
+        return Array.from(this.elements.values()).sort((a, b) =>
+            (a.compareDocumentPosition(b) & Node.DOCUMENT_POSITION_FOLLOWING ? -1 : 1)
+        );
+    }
+}
+
+export { serializeOptions, createBindingConfig, StepRegistry };
@@ -0,0 +1,196 @@
+/**
+ * <scroll-tering> カスタム要素
+ *
+ * JavaScriptを書けない環境（CMSのHTML埋め込みなど）でも、HTMLだけで
+ * スクロールテリングを構築できるようにするラッパーです。
+ * 子要素を検索範囲とするScrollteringインスタンスを作成し、
+ * トリガー変更を要素の change イベントと current 属性で通知します。
+ *
+ * @example
+ * <scroll-tering threshold="0.5" root-margin="-100px 0px">
+ *     <section data-trigger="step1">...</section>
+ *     <section data-trigger="step2">...</section>
+ * </scroll-tering>
+ *
+ * <script>
+ *     document.querySelector('scroll-tering')
+ *         .addEventListener('change', (event) => console.log(event.detail.current));
+ * </script>
+ */
+
+/**
+ * 属性値をオプション値に変換する関数
+ */
+const parsers = {
+    string: value => value,
+    number: value => Number(value),
+    // 'false' 以外は属性があれば有効（<scroll-tering progress> のように値を省略できる）
+    boolean: value => value !== 'false',
+    // カンマ区切りで複数の閾値を指定できる
+    threshold: value => {
+        const values = value.split(',').map(item => Number(item.trim()));
+        return values.length === 1 ? values[0] : values;
+    },
+    // 数値は比率、'100px' などはそのまま
+    offset: value => (/^-?\d*\.?\d+$/.test(value.trim()) ? Number(value) : value),
+    // 値を省略した場合は hash モード
+    history: value => value || 'hash'
+};
+
+/**
+ * 属性名 → [オプション名, 変換関数]
+ */
+const ATTRIBUTE_OPTIONS = {
+    'selector': ['selector', parsers.string],
+    'trigger-attribute': ['triggerAttribute', parsers.string],
+    'threshold': ['threshold', parsers.threshold],
+    'root-margin': ['rootMargin', parsers.string],
+    'root': ['root', parsers.string],
+    'debounce-delay': ['debounceDelay', parsers.number],
+    'strategy': ['strategy', parsers.string],
+    'offset': ['offset', parsers.offset],
+    'axis': ['axis', parsers.string],
+    'event-target': ['eventTarget', parsers.string],
+    'progress': ['progress', parsers.boolean],
+    'progress-all': ['progressAll', parsers.boolean],
+    'nested': ['nested', parsers.boolean],
+    'watch': ['watch', parsers.boolean],
+    'actions': ['actions', parsers.boolean],
+    'history': ['history', parsers.history],
+    'history-param': ['historyParam', parsers.string]
+};
+
+/**
+ * <scroll-tering> カスタム要素を登録
+ *
+ * HTMLElementはブラウザにしか存在しないため、クラスは登録時に作成します。
+ * customElementsがない環境（SSRなど）や、既に登録済みの場合は何もしません。
+ *
+ * @param {Function} Scrolltering - Scrollteringクラス
+ * @param {string} [tagName='scroll-tering'] - 登録するタグ名
+ * @returns {Function|null} 登録されたカスタム要素クラス
+ */
+function defineScrollteringElement(Scrolltering, tagName = 'scroll-tering') {
+    if (typeof window === 'undefined' || !window.customElements) {
+        return null;
+    }
+
+    const existing = window.customElements.get(tagName);
+    if (existing) {
+        return existing;
+    }
+
+    class ScrollteringElement extends window.HTMLElement {
+        static get observedAttributes() {
+            return Object.keys(ATTRIBUTE_OPTIONS);
+        }
+
+        constructor() {
+            super();
+            this.scrolly = null; // 子要素を監視するScrollteringインスタンス
+        }
+
+        /**
+         * 文書に追加された時にScrollteringを作成
+         * 要素の移動（切り離し → 再追加）時は新しいインスタンスを作成します
+         */
+        connectedCallback() {
+            if (this.scrolly) {
+                return;
+            }
+            this.scrolly = new Scrolltering({ ...this._readOptions(), scope: this });
+            this.scrolly.on('change', detail => this._handleChange(detail));
+        }
+
+        /**
+         * 文書から削除された時にScrollteringを破棄
+         */
+        disconnectedCallback() {
+            if (this.scrolly) {
+                this.scrolly.destroy();
+                this.scrolly = null;
+            }
+            this.removeAttribute('current');
+        }
+
+        /**
+         * 属性の変更をオプションに反映
+         *
+         * @param {string} name - 属性名
+         * @param {string|null} oldValue - 変更前の値
+         * @param {string|null} newValue - 変更後の値
+         */
+        attributeChangedCallback(name, oldValue, newValue) {
+            if (!this.scrolly || oldValue === newValue) {
+                return;
+            }
+
+            // 削除された属性はデフォルト値に戻す
+            // （インスタンスを作り直すと scrolly.on() で登録されたリスナーが失われるため、updateOptions() で反映する）
+            const [option, parse] = ATTRIBUTE_OPTIONS[name];
+            const value = newValue === null ? this._getDefaultOption(option) : parse(newValue);
+            this.scrolly.updateOptions({ [option]: value });
+        }
+
+        /**
+         * 現在のトリガーID
+         *
+         * @returns {string|null} current属性の値
+         */
+        get current() {
+            return this.getAttribute('current');
+        }
+
+        /**
+         * 属性からコンストラクタオプションを作成
+         *
+         * @returns {Object} 指定された属性に対応するオプション
+         * @private
+         */
+        _readOptions() {
+            const options = {};
+            Object.entries(ATTRIBUTE_OPTIONS).forEach(([name, [option, parse]]) => {
+                if (this.hasAttribute(name)) {
+                    options[option] = parse(this.getAttribute(name));
+                }
+            });
+            return options;
+        }
+
+        /**
+         * オプションのデフォルト値を取得
+         * autoStart: false のインスタンスはdocumentに触れないため、設定の取得だけに使用できます
+         *
+         * @param {string} option - オプション名
+         * @returns {*} デフォルト値
+         * @private
+         */
+        _getDefaultOption(option) {
+            return new Scrolltering({ autoStart: false }).config[option];
+        }
+
+        /**
+         * トリガー変更をcurrent属性に反映し、changeイベントとして再発火
+         *
+         * @param {Object} detail - scrollTriggerイベントと同じ詳細情報
+         * @private
+         */
+        _handleChange(detail) {
+            if (detail.current) {
+                this.setAttribute('current', detail.current);
+            } else {
+                this.removeAttribute('current');
+            }
+
+            this.dispatchEvent(new CustomEvent('change', {
+                detail: detail,
+                bubbles: true
+            }));
+        }
+    }
+
+    window.customElements.define(tagName, ScrollteringElement);
+    return ScrollteringElement;
+}
+
+export { defineScrollteringElement };
@@ -0,0 +1,429 @@
+import { ObserverPool, observerPool, frameBatch } from './pool.js';
+
+/**
+ * 交差判定エンジン
+ *
+ * - intersection: ブラウザのIntersectionObserverを使用（デフォルト）
+ * - scroll: passiveなscroll / resizeイベントとrAFで交差状態を計算するフォールバック
+ *
+ * scrollエンジンは IntersectionObserver と同じインターフェース（observe / unobserve / disconnect、
+ * root / rootMargin / thresholds）と同じ通知条件を持つ ScrollObserver を使用するため、
+ * 交差状態の処理やイベントはエンジンに関係なく同じように動作します。
+ *
+ * IntersectionObserverがないWebViewやアプリ内ブラウザでは、engine: 'auto' の場合に
+ * 自動でscrollエンジンが選択されます。
+ */
+
+/** 利用できるエンジン */
+const ENGINES = ['auto', 'intersection', 'scroll'];
+
+/**
+ * rootMarginをルートのサイズに応じた上下左右のpx値に変換
+ *
+ * @param {string} rootMargin - CSS margin形式の文字列（px / %）
+ * @param {number} width - ルートの幅
+ * @param {number} height - ルートの高さ
+ * @returns {{top: number, right: number, bottom: number, left: number}} マージン（px）
+ */
+function getRootMarginInsets(rootMargin, width, height) {
+    const parts = String(rootMargin || '0px').trim().split(/\s+/);
+    const [top, right = top, bottom = top, left = right] = parts;
+    const toPx = (value, size) => (value.endsWith('%') ? (parseFloat(value) / 100) * size : parseFloat(value) || 0);
+
+    return {
+        top: toPx(top, height),
+        right: toPx(right, width),
+        bottom: toPx(bottom, height),
+        left: toPx(left, width)
+    };
+}
+
+/**
+ * ルートの矩形にrootMarginを反映した判定領域を計算
+ *
+ * @param {{top: number, left: number, width: number, height: number}} rootRect - ルートの矩形
+ * @param {string} rootMargin - CSS margin形式の文字列（px / %）
+ * @returns {{top: number, left: number, bottom: number, right: number}} 判定領域
+ */
+function getRootBounds(rootRect, rootMargin) {
+    const { top, right, bottom, left } = getRootMarginInsets(rootMargin, rootRect.width, rootRect.height);
+    return {
+        top: rootRect.top - top,
+        left: rootRect.left - left,
+        bottom: rootRect.top + rootRect.height + bottom,
+        right: rootRect.left + rootRect.width + right
+    };
+}
+
+/**
+ * 要素の矩形と判定領域から IntersectionObserverEntry 相当のオブジェクトを作成
+ *
+ * 交差率と交差の条件は IntersectionObserver と同じです。
+ * - 辺が接しているだけの場合も交差とみなす（面積0の要素は接していれば交差率1）
+ * - 最小のthreshold未満は交差していないものとする
+ *
+ * @param {Element} target - 対象要素
+ * @param {{top: number, left: number, width: number, height: number}} bounds - 要素の矩形（表示領域の座標）
+ * @param {{top: number, left: number, bottom: number, right: number}} rootBounds - getRootBounds()の結果
+ * @param {Array<number>} thresholds - 昇順のthreshold
+ * @param {boolean} [hidden=false] - 描画されていない要素の場合true（交差しない）
+ * @returns {Object} IntersectionObserverEntry 相当のオブジェクト
+ */
+function createIntersectionEntry(target, bounds, rootBounds, thresholds, hidden = false) {
+    const rect = {
+        top: bounds.top,
+        left: bounds.left,
+        bottom: bounds.top + bounds.height,
+        right: bounds.left + bounds.width,
+        width: bounds.width,
+        height: bounds.height,
+        x: bounds.left,
+        y: bounds.top
+    };
+
+    const top = Math.max(rect.top, rootBounds.top);
+    const left = Math.max(rect.left, rootBounds.left);
+    const bottom = Math.min(rect.bottom, rootBounds.bottom);
+    const right = Math.min(rect.right, rootBounds.right);
+    const width = Math.max(0, right - left);
+    const height = Math.max(0, bottom - top);
+    const area = rect.width * rect.height;
+
+    const touching = !hidden && right >= left && bottom >= top;
+    const intersectionRatio = touching ? (area > 0 ? (width * height) / area : 1) : 0;
+    const isIntersecting = touching && (thresholds[0] === 0 || intersectionRatio >= thresholds[0]);
+
+    return {
+        target: target,
+        isIntersecting: isIntersecting,
+        intersectionRatio: intersectionRatio,
+        boundingClientRect: rect,
+        intersectionRect: touching
+            ? { top, left, width, height, bottom: top + height, right: left + width, x: left, y: top }
+            : { top: 0, left: 0, width: 0, height: 0, bottom: 0, right: 0, x: 0, y: 0 },
+        rootBounds: { ...rootBounds, width: rootBounds.right - rootBounds.left, height: rootBounds.bottom - rootBounds.top },
+        time: typeof performance !== 'undefined' ? performance.now() : Date.now()
+    };
+}
+
+/**
+ * エントリの交差率が超えているthresholdの数（通知の要否の判定に使用）
+ *
+ * @param {Object} entry - createIntersectionEntry()の結果
+ * @param {Array<number>} thresholds - 昇順のthreshold
+ * @returns {number} 超えているthresholdの数（交差していない場合は-1）
+ */
+function getThresholdIndex(entry, thresholds) {
+    if (!entry.isIntersecting) {
+        return -1;
+    }
+    return thresholds.filter(value => entry.intersectionRatio >= value).length;
+}
+
+/**
+ * スクロールイベントで交差状態を計算するIntersectionObserver互換の監視
+ *
+ * 要素の矩形はスクロール位置を除いた座標でキャッシュし、スクロール時は
+ * キャッシュからの計算のみを行います（レイアウトの読み取りはルートの矩形のみ）。
+ * キャッシュは resize、画像などの読み込み完了、要素のサイズ変更（ResizeObserver対応時）、
+ * スクロール領域のサイズ変更で破棄されます。
+ *
+ * 交差率と通知の条件は IntersectionObserver と同じです。
+ * - 辺が接しているだけの場合も交差とみなす（面積0の要素は接していれば交差率1）
+ * - 交差状態、または超えているthresholdの数が変化した場合に通知する
+ * - 監視開始後の最初のフレームで初回の状態を通知する
+ *
+ * @class ScrollObserver
+ */
+class ScrollObserver {
+    /**
+     * @param {Function} callback - 交差状態の変化時に呼ばれるコールバック
+     * @param {Object} [options] - IntersectionObserverと同じオプション
+     */
+    constructor(callback, options = {}) {
+        const threshold = options.threshold === undefined ? 0 : options.threshold;
+
+        this.root = options.root || null;
+        this.rootMargin = String(options.rootMargin || '0px').trim().split(/\s+/).join(' ');
+        this.thresholds = [].concat(threshold).map(Number).sort((a, b) => a - b);
+
+        this._callback = callback;
+        this._targets = new Map();            // 要素 → 前回通知した状態（未通知の場合はnull）
+        this._rects = new Map();              // 要素 → スクロール位置を除いた矩形のキャッシュ
+        this._contentSize = null;             // キャッシュ作成時のスクロール領域のサイズ
+        this._resizeObserver = null;
+        this._listening = false;
+        this._onScroll = () => this._requestCheck();
+        this._onInvalidate = () => {
+            this._rects.clear();
+            this._requestCheck();
+        };
+    }
+
+    /**
+     * 要素の監視を開始（初回通知は次のフレームで行われます）
+     *
+     * @param {Element} target - 監視対象の要素
+     * @public
+     */
+    observe(target) {
+        if (this._targets.has(target)) {
+            return;
+        }
+        this._targets.set(target, null);
+        this._listen();
+        if (this._resizeObserver) {
+            this._resizeObserver.observe(target);
+        }
+        this._requestCheck();
+    }
+
+    /**
+     * 要素の監視を終了
+     *
+     * @param {Element} target - 監視を終了する要素
+     * @public
+     */
+    unobserve(target) {
+        if (!this._targets.delete(target)) {
+            return;
+        }
+        this._rects.delete(target);
+        if (this._resizeObserver) {
+            this._resizeObserver.unobserve(target);
+        }
+        if (this._targets.size === 0) {
+            this._unlisten();
+        }
+    }
+
+    /**
+     * すべての監視を終了
+     *
+     * @public
+     */
+    disconnect() {
+        this._targets.clear();
+        this._rects.clear();
+        this._unlisten();
+    }
+
+    /**
+     * 未通知のエントリを取得（通知はフレームごとに行うため常に空）
+     *
+     * @returns {Array} 空の配列
+     * @public
+     */
+    takeRecords() {
+        return [];
+    }
+
+    /**
+     * スクロール・リサイズ・読み込み完了の監視を開始
+     *
+     * @private
+     */
+    _listen() {
+        if (this._listening) {
+            return;
+        }
+        this._listening = true;
+
+        window.addEventListener('scroll', this._onScroll, { passive: true });
+        if (this.root) {
+            this.root.addEventListener('scroll', this._onScroll, { passive: true });
+        }
+        window.addEventListener('resize', this._onInvalidate, { passive: true });
+        // 画像などの読み込み完了はバブリングしないためキャプチャで受け取る
+        window.addEventListener('load', this._onInvalidate, true);
+
+        if (typeof window.ResizeObserver === 'function') {
+            this._resizeObserver = new window.ResizeObserver(this._onInvalidate);
+        }
+    }
+
+    /**
+     * イベントの監視と予約中のフレームを解除
+     *
+     * @private
+     */
+    _unlisten() {
+        frameBatch.cancel(this);
+        if (!this._listening) {
+            return;
+        }
+        this._listening = false;
+
+        window.removeEventListener('scroll', this._onScroll);
+        if (this.root) {
+            this.root.removeEventListener('scroll', this._onScroll);
+        }
+        window.removeEventListener('resize', this._onInvalidate);
+        window.removeEventListener('load', this._onInvalidate, true);
+
+        if (this._resizeObserver) {
+            this._resizeObserver.disconnect();
+            this._resizeObserver = null;
+        }
+    }
+
+    /**
+     * 次のフレームでの交差判定を予約
+     * 他のインスタンスのスクロール追従と同じrAFで、読み取りの後に通知します
+     *
+     * @private
+     */
+    _requestCheck() {
+        frameBatch.request(this, (read) => this._measure(read), (entries) => {
+            if (entries.length > 0 && this._listening) {
+                this._callback(entries, this);
+            }
+        });
+    }
+
+    /**
+     * 全要素の交差状態を計算し、変化があった要素のエントリを作成
+     *
+     * @param {Function} read - 要素の矩形を取得する関数
+     * @returns {Array<Object>} IntersectionObserverEntry 相当のオブジェクトの配列
+     * @private
+     */
+    _measure(read) {
+        const viewport = this._getViewport(read);
+        const rootBounds = getRootBounds(viewport, this.rootMargin);
+        const entries = [];
+
+        // スクロール領域のサイズが変わった場合はレイアウトが変化したとみなす
+        const scroller = this.root || document.documentElement;
+        const contentSize = `${scroller.scrollWidth}x${scroller.scrollHeight}`;
+        if (this._contentSize !== contentSize) {
+            this._contentSize = contentSize;
+            this._rects.clear();
+        }
+
+        this._targets.forEach((previous, target) => {
+            const entry = this._createEntry(target, viewport, rootBounds, read);
+            const state = {
+                isIntersecting: entry.isIntersecting,
+                index: getThresholdIndex(entry, this.thresholds)
+            };
+
+            if (!previous || previous.isIntersecting !== state.isIntersecting || previous.index !== state.index) {
+                this._targets.set(target, state);
+                entries.push(entry);
+            }
+        });
+
+        return entries;
+    }
+
+    /**
+     * ルートの表示領域とスクロール位置を取得
+     *
+     * @param {Function} read - 要素の矩形を取得する関数
+     * @returns {{top: number, left: number, width: number, height: number, scrollX: number, scrollY: number}}
+     * @private
+     */
+    _getViewport(read) {
+        if (this.root) {
+            const rect = read(this.root);
+            return {
+                top: rect.top + this.root.clientTop,
+                left: rect.left + this.root.clientLeft,
+                width: this.root.clientWidth,
+                height: this.root.clientHeight,
+                scrollX: this.root.scrollLeft,
+                scrollY: this.root.scrollTop
+            };
+        }
+        return {
+            top: 0,
+            left: 0,
+            width: window.innerWidth,
+            height: window.innerHeight,
+            scrollX: window.pageXOffset,
+            scrollY: window.pageYOffset
+        };
+    }
+
+    /**
+     * 要素の交差状態を表すエントリを作成
+     *
+     * @param {Element} target - 対象要素
+     * @param {Object} viewport - _getViewport()の結果
+     * @param {Object} rootBounds - getRootBounds()の結果
+     * @param {Function} read - 要素の矩形を取得する関数
+     * @returns {Object} IntersectionObserverEntry 相当のオブジェクト
+     * @private
+     */
+    _createEntry(target, viewport, rootBounds, read) {
+        const cached = this._getCachedRect(target, viewport, read);
+        const bounds = {
+            top: cached.top - viewport.scrollY + viewport.top,
+            left: cached.left - viewport.scrollX + viewport.left,
+            width: cached.width,
+            height: cached.height
+        };
+        return createIntersectionEntry(target, bounds, rootBounds, this.thresholds, cached.hidden);
+    }
+
+    /**
+     * スクロール位置を除いた要素の矩形を取得（キャッシュがない場合のみ読み取る）
+     *
+     * @param {Element} target - 対象要素
+     * @param {Object} viewport - _getViewport()の結果
+     * @param {Function} read - 要素の矩形を取得する関数
+     * @returns {{top: number, left: number, width: number, height: number, hidden: boolean}} 矩形
+     * @private
+     */
+    _getCachedRect(target, viewport, read) {
+        if (!this._rects.has(target)) {
+            const rect = read(target);
+            // display: none などで描画されていない要素は交差しない
+            const hidden = !target.isConnected ||
+                (rect.width === 0 && rect.height === 0 && target.getClientRects().length === 0);
+            this._rects.set(target, {
+                top: rect.top - viewport.top + viewport.scrollY,
+                left: rect.left - viewport.left + viewport.scrollX,
+                width: rect.width,
+                height: rect.height,
+                hidden: hidden
+            });
+        }
+        return this._rects.get(target);
+    }
+}
+
+/** scrollエンジン用の共有Observerの登録簿 */
+const scrollObserverPool = new ObserverPool(() => ScrollObserver);
+
+/**
+ * engineオプションから使用するエンジンを決定
+ *
+ * @param {string} engine - 'auto' | 'intersection' | 'scroll'
+ * @returns {string} 'intersection' | 'scroll'
+ */
+function resolveEngine(engine) {
+    if (!ENGINES.includes(engine)) {
+        throw new Error(`Scrolltering: 未対応のエンジンです: ${engine}`);
+    }
+    if (engine === 'auto') {
+        return typeof window.IntersectionObserver === 'function' ? 'intersection' : 'scroll';
+    }
+    return engine;
+}
+
+/**
+ * エンジンに対応する共有Observerの登録簿を取得
+ *
+ * @param {string} engine - resolveEngine()で決定したエンジン
+ * @returns {ObserverPool} 登録簿
+ */
+function getObserverPool(engine) {
+    return engine === 'scroll' ? scrollObserverPool : observerPool;
+}
+
+export {
+    ENGINES, ScrollObserver, scrollObserverPool, resolveEngine, getObserverPool,
+    getRootMarginInsets, getRootBounds, createIntersectionEntry, getThresholdIndex
+};
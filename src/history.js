@@ -0,0 +1,130 @@
+/**
+ * URL同期
+ *
+ * 現在のトリガーIDを location.hash またはクエリパラメータに反映し、
+ * URLで指定されたトリガーへの移動（ディープリンク）を可能にします。
+ * URLの更新には history.replaceState を使用するため、履歴エントリは増えません。
+ *
+ * @class HistorySync
+ *
+ * @example
+ * // https://example.com/story#section2 → section2 から表示
+ * const scrolly = new Scrolltering({ history: 'hash' });
+ *
+ * // https://example.com/story?step=section2
+ * const scrolly = new Scrolltering({ history: 'query', historyParam: 'step' });
+ */
+class HistorySync {
+    /**
+     * HistorySyncのコンストラクタ
+     *
+     * @param {Scrolltering} scrolly - 対象のScrollteringインスタンス
+     */
+    constructor(scrolly) {
+        this.scrolly = scrolly;
+        this._onNavigate = () => this._restore('smooth');
+    }
+
+    /**
+     * URL同期の開始
+     * URLで参照されているトリガーへ移動し、hashchange / popstate の監視を開始します
+     *
+     * @public
+     */
+    start() {
+        window.addEventListener('hashchange', this._onNavigate);
+        window.addEventListener('popstate', this._onNavigate);
+        this._restore('auto');
+    }
+
+    /**
+     * 現在のトリガーIDをURLに反映
+     *
+     * @param {string|null} currentId - 現在のトリガーID
+     * @public
+     */
+    update(currentId) {
+        const url = this._buildUrl(currentId);
+        if (url !== window.location.href) {
+            window.history.replaceState(window.history.state, '', url);
+        }
+    }
+
+    /**
+     * URLからトリガーIDを読み取り
+     *
+     * @returns {string|null} 参照されているトリガーID
+     * @public
+     */
+    readId() {
+        const { history: mode, historyParam, fromSlug } = this.scrolly.config;
+        let slug;
+
+        if (mode === 'query') {
+            slug = new URLSearchParams(window.location.search).get(historyParam);
+        } else {
+            // 不正なエスケープを含むハッシュ（#%E0%A4%A など）はトリガーの参照なしとして扱う
+            try {
+                slug = decodeURIComponent(window.location.hash.slice(1));
+            } catch (error) {
+                return null;
+            }
+        }
+
+        if (!slug) {
+            return null;
+        }
+        return typeof fromSlug === 'function' ? fromSlug(slug) : slug;
+    }
+
+    /**
+     * URLで参照されているトリガーへ移動し、現在のトリガーに設定
+     * 途中のトリガーは通知しないため、onChange の previous は移動前のIDになります
+     *
+     * @param {string} behavior - スクロール動作
+     * @private
+     */
+    _restore(behavior) {
+        const id = this.readId();
+        if (!id || id === this.scrolly.currentTriggerId || !this.scrolly._findElementById(id)) {
+            return;
+        }
+        this.scrolly.scrollToTrigger(id, { behavior: behavior, suppress: true });
+    }
+
+    /**
+     * トリガーIDを反映したURLを生成
+     *
+     * @param {string|null} id - トリガーID
+     * @returns {string} 新しいURL
+     * @private
+     */
+    _buildUrl(id) {
+        const { history: mode, historyParam, toSlug } = this.scrolly.config;
+        const url = new URL(window.location.href);
+        const slug = id && typeof toSlug === 'function' ? toSlug(id) : id;
+
+        if (mode === 'query') {
+            if (slug) {
+                url.searchParams.set(historyParam, slug);
+            } else {
+                url.searchParams.delete(historyParam);
+            }
+        } else {
+            url.hash = slug ? encodeURIComponent(slug) : '';
+        }
+        return url.href;
+    }
+
+    /**
+     * イベントリスナーの解除
+     *
+     * @public
+     */
+    destroy() {
+        window.removeEventListener('hashchange', this._onNavigate);
+        window.removeEventListener('popstate', this._onNavigate);
+    }
+}
+
+export { HistorySync };
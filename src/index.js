@@ -8,6 +8,10 @@
 
 // Scrollteringクラスをインポート
 import { Scrolltering } from './scrolltering.js';
+import { defineScrollteringElement } from './element.js';
+
+// <scroll-tering> カスタム要素を登録（customElementsがあるブラウザ環境のみ）
+defineScrollteringElement(Scrolltering);
 
 // デフォルトエクスポートのみ
 export default Scrolltering;
\ No newline at end of file
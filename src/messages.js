@@ -0,0 +1,463 @@
+/**
+ * 診断メッセージのカタログ
+ *
+ * diagnose()の message / suggestion と、コンソール出力の見出しをロケールごとに定義します。
+ * テンプレートの {name} は問題の details（測定値や設定値）で置き換えられます。
+ * registerLocale()で独自のロケールを追加したり、既存のロケールの文言を上書きできます。
+ *
+ * @example
+ * Scrolltering.registerLocale('de', {
+ *   issues: {
+ *     no_elements: { message: 'Keine Elemente gefunden', suggestion: 'Elemente für "{selector}" hinzufügen' }
+ *   }
+ * });
+ */
+
+const catalogs = {
+    ja: {
+        issues: {
+            'no_elements': {
+                message: '監視対象要素が見つかりません',
+                suggestion: 'セレクタ "{selector}" に一致する要素を追加してください'
+            },
+            'missing_trigger_id': {
+                message: '要素 {position} にトリガーID属性がありません',
+                suggestion: '{attribute}="unique-id" を追加してください'
+            },
+            'duplicate_trigger_id': {
+                message: 'トリガーID "{triggerId}" が重複しています',
+                suggestion: '各要素には一意のトリガーIDを設定してください'
+            },
+            'invalid_target_selector': {
+                message: '要素 "{label}" の {attribute} に不正なセレクタ "{selector}" が指定されています',
+                suggestion: '有効なCSSセレクタを指定してください（このアクションの対象はスキップされます）'
+            },
+            'invalid_keyframes': {
+                message: '要素 "{label}" の {attribute} をJSONとして解析できません',
+                suggestion: 'キーフレームの配列（またはオブジェクト）をJSON形式で指定してください（このステップのキーフレームは無視されます）'
+            },
+            'invalid_keyframes.property': {
+                message: '要素 "{label}" の {attribute} のトラック {track} に property が指定されていません',
+                suggestion: 'CSSプロパティ名またはカスタムプロパティ名を文字列で指定してください（このトラックは無視されます）'
+            },
+            'invalid_keyframes.value': {
+                message: '要素 "{label}" の {attribute} のトラック {track} の from / to（または keyframes）が不正です',
+                suggestion: '数値・単位付きの値・色を from と to に、または { offset, value } の配列を keyframes に指定してください（このトラックは無視されます）'
+            },
+            'invalid_keyframes.target': {
+                message: '要素 "{label}" の {attribute} のトラック {track} に不正な target "{target}" が指定されています',
+                suggestion: '有効なCSSセレクタまたは要素を指定してください（このトラックは無視されます）'
+            },
+            'insufficient_height': {
+                message: '要素 "{label}" の高さが不十分です ({height}px)',
+                suggestion: 'min-height: 100vh またはそれ以上の高さを設定してください'
+            },
+            'insufficient_width': {
+                message: '要素 "{label}" の幅が不十分です ({width}px)',
+                suggestion: 'min-width: 100vw またはそれ以上の幅を設定してください'
+            },
+            'element_hidden': {
+                message: '要素 "{label}" が display: none で非表示です',
+                suggestion: 'display: none の代わりに visibility: hidden または opacity: 0 を使用してください'
+            },
+            'element_visibility_hidden': {
+                message: '要素 "{label}" が visibility: hidden です',
+                suggestion: 'IntersectionObserverは監視しますが、ユーザーには見えません'
+            },
+            'fixed_position': {
+                message: '要素 "{label}" が position: fixed です',
+                suggestion: 'スクロール位置の計算に影響する可能性があります'
+            },
+            'ancestor_hidden': {
+                message: '要素 "{label}" の祖先 {ancestor} が display: none です',
+                suggestion: '祖先要素を表示するか、表示されるまで監視を開始しないでください（autoStart: false）'
+            },
+            'ancestor_overflow_hidden': {
+                message: '要素 "{label}" の祖先 {ancestor} に {property}: {value} が設定されています',
+                suggestion: '祖先要素で切り取られた部分は交差と判定されません。overflowの設定を確認してください'
+            },
+            'transformed_ancestor': {
+                message: '要素 "{label}" の祖先 {ancestor} に {property}: {value} が設定されています',
+                suggestion: '新しい包含ブロックが作成され、position: fixed の要素や位置の計算に影響する可能性があります'
+            },
+            'sticky_ancestor': {
+                message: '要素 "{label}" が position: sticky の祖先 {ancestor} の中にあります',
+                suggestion: '固定表示中は要素がスクロールに合わせて移動しないため、トリガーが切り替わりません'
+            },
+            'nested_scroll_container': {
+                message: '要素 "{label}" が別のスクロールコンテナ {ancestor} の中にあります',
+                suggestion: 'このコンテナのスクロールを検出するには root オプションに {ancestor} を指定してください'
+            },
+            'zero_size': {
+                message: '要素 "{label}" のサイズが0です ({width}x{height}px)',
+                suggestion: 'IntersectionObserverが交差を正しく検出できません。コンテンツまたはサイズを設定してください'
+            },
+            'overlapping_elements': {
+                message: '要素 "{label}" と "{other}" が重なっています ({overlap}px)',
+                suggestion: 'トリガー要素が重なると現在のトリガーの判定が不安定になります。マージンや位置を見直してください'
+            },
+            'cross_origin_iframe': {
+                message: 'クロスオリジンのiframe内のため rootMargin ({rootMargin}) が無視されます',
+                suggestion: 'rootオプションにiframe内のスクロールコンテナを指定するか、rootMarginの代わりに strategy: \'line\' と offset を使用してください'
+            },
+            'too_many_elements': {
+                message: '監視対象要素が多すぎます ({count}個)',
+                suggestion: '{max}個以下に抑えるか、段階的な要素追加を検討してください'
+            },
+            'complex_threshold': {
+                message: 'threshold配列が複雑すぎます ({count}個の値)',
+                suggestion: '単一の値または最大{max}個までの配列を推奨します'
+            },
+            'high_threshold': {
+                message: 'threshold: {threshold} は要素が完全に表示されるまで発火しません',
+                suggestion: '0.1 - 0.5 程度の値を推奨します'
+            },
+            'invalid_strategy': {
+                message: '不明な strategy "{strategy}" が指定されています',
+                suggestion: '{strategies} のいずれか、または比較関数を指定してください（現在は topmost として動作します）'
+            },
+            'invalid_engine': {
+                message: '不明な engine "{engine}" が指定されています',
+                suggestion: '{engines} のいずれかを指定してください（現在は auto として動作しています）'
+            },
+            'ratio_strategy_threshold': {
+                message: 'largest-visible-ratio は threshold が単一値だと交差率が更新されにくくなります',
+                suggestion: '[0, 0.25, 0.5, 0.75, 1] のような配列を指定してください'
+            },
+            'invalid_axis': {
+                message: '不明な axis "{axis}" が指定されています',
+                suggestion: "'x' または 'y' を指定してください（現在は y として動作します）"
+            },
+            'high_debounce': {
+                message: 'debounceDelay が大きすぎる可能性があります ({debounceDelay}ms)',
+                suggestion: '応答性を重視する場合は50ms以下を推奨します'
+            },
+            'low_debounce': {
+                message: 'debounceDelay が小さすぎる可能性があります ({debounceDelay}ms)',
+                suggestion: 'パフォーマンスを重視する場合は10ms以上を推奨します'
+            },
+            'root_not_found': {
+                message: 'スクロールコンテナ "{root}" が見つかりません',
+                suggestion: 'rootオプションに存在する要素またはセレクタを指定してください'
+            },
+            'no_scroll.page': {
+                message: 'ページがスクロール不可能です',
+                suggestion: 'コンテンツの高さを増やすか、overflow設定を確認してください'
+            },
+            'no_scroll.page_x': {
+                message: 'ページが横方向にスクロール不可能です',
+                suggestion: 'コンテンツの幅を増やすか、overflow設定を確認してください'
+            },
+            'no_scroll.container': {
+                message: 'スクロールコンテナがスクロール不可能です',
+                suggestion: 'コンテナに固定の高さを設定するか、コンテンツの高さを増やしてください'
+            },
+            'no_scroll.container_x': {
+                message: 'スクロールコンテナがスクロール不可能です',
+                suggestion: 'コンテナに固定の幅を設定するか、コンテンツの幅を増やしてください'
+            },
+            'overflow_hidden.page': {
+                message: 'body または html に overflow: hidden が設定されています',
+                suggestion: 'overflow-x: hidden のみを使用するか、overflow設定を削除してください'
+            },
+            'overflow_hidden.page_x': {
+                message: 'body または html に overflow-x: hidden が設定されています',
+                suggestion: '横スクロールを使用する場合は overflow-x の設定を削除してください'
+            },
+            'overflow_hidden.container': {
+                message: 'スクロールコンテナの {property} が {value} です',
+                suggestion: 'コンテナに {property}: auto または scroll を設定してください'
+            },
+            'no_viewport_meta': {
+                message: 'ビューポートメタタグが設定されていません',
+                suggestion: '<meta name="viewport" content="width=device-width, initial-scale=1.0"> を追加してください'
+            },
+            'no_intersection_observer': {
+                message: 'IntersectionObserverがサポートされていません',
+                suggestion: 'engine を \'auto\' または \'scroll\' にするか、ポリフィルを追加してください'
+            },
+            'scroll_engine_fallback': {
+                message: 'IntersectionObserverがないため、スクロールイベントで交差を判定しています（engine: {engine}）',
+                suggestion: '動作は同じですが、スクロール中の計算がメインスレッドで行われます'
+            },
+            'diagnostic_rule_failed': {
+                message: '診断ルール "{rule}" の実行中にエラーが発生しました: {error}',
+                suggestion: 'check関数の実装を確認してください'
+            }
+        },
+        console: {
+            title: 'Scrolltering 診断結果 (ID: {id})',
+            summary: '📊 概要:',
+            issues: '🔍 検出された問題:',
+            element: '   🎯 要素:',
+            noIssues: '✨ 問題は検出されませんでした'
+        }
+    },
+    en: {
+        issues: {
+            'no_elements': {
+                message: 'No elements to observe were found',
+                suggestion: 'Add elements matching the selector "{selector}"'
+            },
+            'missing_trigger_id': {
+                message: 'Element {position} has no trigger ID attribute',
+                suggestion: 'Add {attribute}="unique-id"'
+            },
+            'duplicate_trigger_id': {
+                message: 'Trigger ID "{triggerId}" is used more than once',
+                suggestion: 'Give each element a unique trigger ID'
+            },
+            'invalid_target_selector': {
+                message: 'Element "{label}" has an invalid selector "{selector}" in {attribute}',
+                suggestion: 'Use a valid CSS selector (the targets of this action are skipped)'
+            },
+            'invalid_keyframes': {
+                message: 'The {attribute} of element "{label}" is not valid JSON',
+                suggestion: 'Specify an array (or object) of keyframes as JSON (the keyframes of this step are ignored)'
+            },
+            'invalid_keyframes.property': {
+                message: 'Track {track} in the {attribute} of element "{label}" has no property',
+                suggestion: 'Specify a CSS property or custom property name as a string (this track is ignored)'
+            },
+            'invalid_keyframes.value': {
+                message: 'Track {track} in the {attribute} of element "{label}" has invalid from / to (or keyframes)',
+                suggestion: 'Specify numbers, values with units or colors as from and to, or an array of { offset, value } as keyframes (this track is ignored)'
+            },
+            'invalid_keyframes.target': {
+                message: 'Track {track} in the {attribute} of element "{label}" has an invalid target "{target}"',
+                suggestion: 'Specify a valid CSS selector or element (this track is ignored)'
+            },
+            'insufficient_height': {
+                message: 'Element "{label}" is too short ({height}px)',
+                suggestion: 'Set min-height: 100vh or more'
+            },
+            'insufficient_width': {
+                message: 'Element "{label}" is too narrow ({width}px)',
+                suggestion: 'Set min-width: 100vw or more'
+            },
+            'element_hidden': {
+                message: 'Element "{label}" is hidden with display: none',
+                suggestion: 'Use visibility: hidden or opacity: 0 instead of display: none'
+            },
+            'element_visibility_hidden': {
+                message: 'Element "{label}" has visibility: hidden',
+                suggestion: 'IntersectionObserver still observes it, but users cannot see it'
+            },
+            'fixed_position': {
+                message: 'Element "{label}" has position: fixed',
+                suggestion: 'This may affect scroll position calculations'
+            },
+            'ancestor_hidden': {
+                message: 'An ancestor of element "{label}" ({ancestor}) has display: none',
+                suggestion: 'Show the ancestor, or start observing once it is visible (autoStart: false)'
+            },
+            'ancestor_overflow_hidden': {
+                message: 'An ancestor of element "{label}" ({ancestor}) has {property}: {value}',
+                suggestion: 'Parts clipped by the ancestor never count as intersecting. Check the overflow settings'
+            },
+            'transformed_ancestor': {
+                message: 'An ancestor of element "{label}" ({ancestor}) has {property}: {value}',
+                suggestion: 'This creates a new containing block, which may affect position: fixed elements and position calculations'
+            },
+            'sticky_ancestor': {
+                message: 'Element "{label}" is inside a position: sticky ancestor ({ancestor})',
+                suggestion: 'While stuck, the element does not move with scrolling, so the trigger never changes'
+            },
+            'nested_scroll_container': {
+                message: 'Element "{label}" is inside another scroll container ({ancestor})',
+                suggestion: 'Pass {ancestor} as the root option to detect scrolling of this container'
+            },
+            'zero_size': {
+                message: 'Element "{label}" has zero size ({width}x{height}px)',
+                suggestion: 'IntersectionObserver cannot detect intersections reliably. Give it content or a size'
+            },
+            'overlapping_elements': {
+                message: 'Elements "{label}" and "{other}" overlap ({overlap}px)',
+                suggestion: 'Overlapping trigger elements make the current trigger unstable. Check margins and positioning'
+            },
+            'cross_origin_iframe': {
+                message: 'rootMargin ({rootMargin}) is ignored inside a cross-origin iframe',
+                suggestion: "Pass a scroll container inside the iframe as root, or use strategy: 'line' with offset instead of rootMargin"
+            },
+            'too_many_elements': {
+                message: 'Too many elements are observed ({count})',
+                suggestion: 'Keep it to {max} or fewer, or add elements progressively'
+            },
+            'complex_threshold': {
+                message: 'The threshold array is too complex ({count} values)',
+                suggestion: 'Use a single value or an array of at most {max} values'
+            },
+            'high_threshold': {
+                message: 'threshold: {threshold} does not fire until the element is fully visible',
+                suggestion: 'A value around 0.1 - 0.5 is recommended'
+            },
+            'invalid_strategy': {
+                message: 'Unknown strategy "{strategy}"',
+                suggestion: 'Use one of {strategies} or a compare function (currently behaving as topmost)'
+            },
+            'invalid_engine': {
+                message: 'Unknown engine "{engine}"',
+                suggestion: 'Use one of {engines} (currently running as auto)'
+            },
+            'ratio_strategy_threshold': {
+                message: 'largest-visible-ratio rarely updates intersection ratios with a single threshold value',
+                suggestion: 'Use an array such as [0, 0.25, 0.5, 0.75, 1]'
+            },
+            'invalid_axis': {
+                message: 'Unknown axis "{axis}"',
+                suggestion: "Use 'x' or 'y' (currently behaving as y)"
+            },
+            'high_debounce': {
+                message: 'debounceDelay may be too long ({debounceDelay}ms)',
+                suggestion: 'Use 50ms or less for better responsiveness'
+            },
+            'low_debounce': {
+                message: 'debounceDelay may be too short ({debounceDelay}ms)',
+                suggestion: 'Use 10ms or more for better performance'
+            },
+            'root_not_found': {
+                message: 'Scroll container "{root}" was not found',
+                suggestion: 'Pass an existing element or selector as the root option'
+            },
+            'no_scroll.page': {
+                message: 'The page cannot scroll',
+                suggestion: 'Increase the content height or check the overflow settings'
+            },
+            'no_scroll.page_x': {
+                message: 'The page cannot scroll horizontally',
+                suggestion: 'Increase the content width or check the overflow settings'
+            },
+            'no_scroll.container': {
+                message: 'The scroll container cannot scroll',
+                suggestion: 'Give the container a fixed height or increase the content height'
+            },
+            'no_scroll.container_x': {
+                message: 'The scroll container cannot scroll',
+                suggestion: 'Give the container a fixed width or increase the content width'
+            },
+            'overflow_hidden.page': {
+                message: 'overflow: hidden is set on body or html',
+                suggestion: 'Use only overflow-x: hidden, or remove the overflow setting'
+            },
+            'overflow_hidden.page_x': {
+                message: 'overflow-x: hidden is set on body or html',
+                suggestion: 'Remove the overflow-x setting to use horizontal scrolling'
+            },
+            'overflow_hidden.container': {
+                message: 'The scroll container has {property}: {value}',
+                suggestion: 'Set {property}: auto or scroll on the container'
+            },
+            'no_viewport_meta': {
+                message: 'No viewport meta tag is set',
+                suggestion: 'Add <meta name="viewport" content="width=device-width, initial-scale=1.0">'
+            },
+            'no_intersection_observer': {
+                message: 'IntersectionObserver is not supported',
+                suggestion: 'Set engine to \'auto\' or \'scroll\', or add a polyfill'
+            },
+            'scroll_engine_fallback': {
+                message: 'IntersectionObserver is unavailable, so intersections are computed from scroll events (engine: {engine})',
+                suggestion: 'Behavior is the same, but the calculations run on the main thread while scrolling'
+            },
+            'diagnostic_rule_failed': {
+                message: 'Diagnostic rule "{rule}" threw an error: {error}',
+                suggestion: 'Check the implementation of the check function'
+            }
+        },
+        console: {
+            title: 'Scrolltering diagnostics (ID: {id})',
+            summary: '📊 Summary:',
+            issues: '🔍 Issues found:',
+            element: '   🎯 Element:',
+            noIssues: '✨ No issues found'
+        }
+    }
+};
+
+const FALLBACK_LOCALE = 'en';
+
+/**
+ * ロケールのカタログを登録
+ * 既存のロケールを指定した場合は、指定したキーだけが上書きされます
+ *
+ * @param {string} locale - ロケール（例: 'de', 'pt-BR'）
+ * @param {{issues?: Object, console?: Object}} catalog - メッセージカタログ
+ */
+function registerLocale(locale, catalog) {
+    const existing = catalogs[locale] || { issues: {}, console: {} };
+    const issues = { ...existing.issues };
+    Object.entries(catalog.issues || {}).forEach(([key, entry]) => {
+        issues[key] = { ...issues[key], ...entry };
+    });
+    catalogs[locale] = {
+        issues: issues,
+        console: { ...existing.console, ...catalog.console }
+    };
+}
+
+/**
+ * 利用可能なロケールを決定
+ *
+ * 指定されたロケール、ブラウザの言語設定（navigator.languages）の順に、
+ * 完全一致または言語部分（'en-US' → 'en'）が一致するカタログを探します。
+ *
+ * @param {string|null} [locale] - localeオプション
+ * @returns {string} カタログが存在するロケール
+ */
+function resolveLocale(locale) {
+    const navigatorLanguages = typeof navigator !== 'undefined'
+        ? (navigator.languages || [navigator.language])
+        : [];
+    const candidates = [locale, ...navigatorLanguages].filter(candidate => candidate);
+
+    for (const candidate of candidates) {
+        if (catalogs[candidate]) {
+            return candidate;
+        }
+        const language = candidate.split('-')[0];
+        if (catalogs[language]) {
+            return language;
+        }
+    }
+    return FALLBACK_LOCALE;
+}
+
+/**
+ * テンプレートの {name} を値で置き換え
+ *
+ * @param {string} template - テンプレート
+ * @param {Object} params - 置き換える値
+ * @returns {string} 置き換え後の文字列
+ */
+function format(template, params) {
+    return template.replace(/\{(\w+)\}/g, (match, name) =>
+        (params[name] === undefined || params[name] === null ? match : String(params[name]))
+    );
+}
+
+/**
+ * カタログから文言を取得
+ * 指定ロケールにキーがない場合は英語の文言を使用します
+ *
+ * @param {string} locale - resolveLocale()で決定したロケール
+ * @param {string} section - 'issues' または 'console'
+ * @param {string} key - 問題のキー（issues）または見出しのキー（console）
+ * @param {Object} [params={}] - テンプレートに埋め込む値
+ * @returns {*} issuesの場合は { message, suggestion }、consoleの場合は文字列
+ */
+function translate(locale, section, key, params = {}) {
+    const localized = (catalogs[locale] || {})[section] || {};
+    const fallback = catalogs[FALLBACK_LOCALE][section];
+    const entry = localized[key] || fallback[key];
+
+    if (section === 'console') {
+        return format(entry || key, params);
+    }
+    const { message = '', suggestion = '' } = { ...fallback[key], ...entry };
+    return {
+        message: format(message, params),
+        suggestion: format(suggestion, params)
+    };
+}
+
+export { registerLocale, resolveLocale, translate };
@@ -0,0 +1,316 @@
+import { frameBatch, readRect } from './pool.js';
+import { getRootMarginInsets } from './engine.js';
+
+/**
+ * デバッグオーバーレイ
+ *
+ * rootMarginを反映した判定領域、トリガーライン、監視中の要素の枠とトリガーID・交差率を
+ * 画面上に描画します。現在のトリガー要素は強調表示され、diagnose()で検出された問題は
+ * 該当する要素の横に表示されます（要素に紐づかない問題は画面右下に一覧表示）。
+ *
+ * オーバーレイは pointer-events: none のため、ページの操作を妨げません。
+ * 再描画は他のインスタンスやタイムラインと同じrAFで実行され、すべての読み取りの後に書き込まれます。
+ *
+ * @class DebugOverlay
+ *
+ * @example
+ * const scrolly = new Scrolltering({ debug: true });
+ * // または
+ * scrolly.showOverlay();
+ */
+
+const COLORS = {
+    rootMargin: 'rgba(0, 150, 255, 0.9)',
+    line: 'rgba(255, 0, 90, 0.9)',
+    element: 'rgba(120, 120, 120, 0.9)',
+    visible: 'rgba(0, 170, 90, 0.9)',
+    current: 'rgba(255, 140, 0, 1)',
+    error: 'rgba(220, 30, 30, 0.95)',
+    warning: 'rgba(200, 130, 0, 0.95)'
+};
+
+const LABEL_STYLE = 'position:absolute;padding:2px 6px;font:11px/1.4 monospace;color:#fff;white-space:nowrap;';
+
+class DebugOverlay {
+    /**
+     * DebugOverlayのコンストラクタ
+     *
+     * @param {Scrolltering} scrolly - 対象のScrollteringインスタンス
+     */
+    constructor(scrolly) {
+        this.scrolly = scrolly;
+        this.container = null;                // オーバーレイのルート要素
+        this._boxes = new Map();              // 監視中の要素 → 枠の要素
+        this._issues = [];                    // diagnose()で検出された問題
+        this._scrollTarget = null;
+        this._onScroll = () => this.requestUpdate();
+        this._offListeners = [];
+    }
+
+    /**
+     * オーバーレイを表示し、スクロール・トリガー変更への追従を開始
+     *
+     * @param {Object} [options] - 表示オプション
+     * @param {boolean} [options.diagnose=true] - 表示時にdiagnose()を実行して問題を表示
+     * @public
+     */
+    show(options = {}) {
+        if (this.container) {
+            return;
+        }
+
+        this.container = document.createElement('div');
+        this.container.className = 'scrolltering-overlay';
+        this.container.setAttribute('aria-hidden', 'true');
+        this.container.style.cssText =
+            'position:fixed;inset:0;pointer-events:none;z-index:2147483647;overflow:hidden;';
+
+        this._marginBox = this._createElement('scrolltering-overlay__root-margin',
+            `position:absolute;box-sizing:border-box;border:2px dashed ${COLORS.rootMargin};`);
+        this._line = this._createElement('scrolltering-overlay__line',
+            `position:absolute;background:${COLORS.line};`);
+        this._lineLabel = this._createElement('scrolltering-overlay__line-label',
+            `${LABEL_STYLE}background:${COLORS.line};`);
+        this._panel = this._createElement('scrolltering-overlay__issues',
+            'position:absolute;right:8px;bottom:8px;max-width:40%;display:flex;flex-direction:column;gap:2px;align-items:flex-end;');
+
+        document.body.appendChild(this.container);
+
+        this._scrollTarget = this.scrolly._getRoot() || window;
+        this._scrollTarget.addEventListener('scroll', this._onScroll, { passive: true });
+        window.addEventListener('resize', this._onScroll, { passive: true });
+        this._offListeners = [
+            this.scrolly.on('change', this._onScroll),
+            this.scrolly.on('destroy', () => this.destroy())
+        ];
+
+        if (options.diagnose === false) {
+            this.requestUpdate();
+        } else {
+            this.refresh();
+        }
+    }
+
+    /**
+     * diagnose()を再実行して問題の表示を更新
+     *
+     * @public
+     */
+    refresh() {
+        this._issues = this.scrolly.diagnose().issues;
+        this._renderIssuePanel();
+        this.requestUpdate();
+    }
+
+    /**
+     * 次のフレームでの再描画を予約
+     * 同一フレーム内の複数回の呼び出しは1回にまとめられます
+     *
+     * @public
+     */
+    requestUpdate() {
+        if (!this.container) {
+            return;
+        }
+        frameBatch.request(this, (read) => this._measure(read), (measurement) => this._render(measurement));
+    }
+
+    /**
+     * 判定領域・トリガーライン・要素の枠を現在の位置で描画
+     *
+     * @public
+     */
+    update() {
+        if (!this.container) {
+            return;
+        }
+        this._render(this._measure());
+    }
+
+    /**
+     * 読み取りフェーズ: コンテナと監視中の要素の矩形を取得
+     *
+     * @param {Function} [read] - 要素の矩形を取得する関数
+     * @returns {{rootRect: Object, rects: Map<Element, DOMRect>}} 計測結果
+     * @private
+     */
+    _measure(read = readRect) {
+        const rects = new Map();
+        this.scrolly.observedElements.forEach(element => rects.set(element, read(element)));
+        return { rootRect: this.scrolly._getRootRect(read), rects: rects };
+    }
+
+    /**
+     * 書き込みフェーズ: 計測結果をもとにオーバーレイを描画
+     *
+     * @param {{rootRect: Object, rects: Map<Element, DOMRect>}} measurement - _measure()の結果
+     * @private
+     */
+    _render({ rootRect, rects }) {
+        if (!this.container) {
+            return;
+        }
+
+        const axis = this.scrolly._getAxis();
+
+        // rootMarginを反映した判定領域
+        const margin = getRootMarginInsets(this.scrolly.config.rootMargin, rootRect.width, rootRect.height);
+        this._place(this._marginBox, {
+            top: rootRect.top - margin.top,
+            left: rootRect.left - margin.left,
+            width: rootRect.width + margin.left + margin.right,
+            height: rootRect.height + margin.top + margin.bottom
+        });
+
+        // トリガーライン（axis: 'x' では縦線）
+        const line = this.scrolly._getTriggerLine(rootRect);
+        if (axis.start === 'top') {
+            this._place(this._line, { top: rootRect.top + line - 1, left: rootRect.left, width: rootRect.width, height: 2 });
+            this._place(this._lineLabel, { top: rootRect.top + line + 2, left: rootRect.left + 4 });
+        } else {
+            this._place(this._line, { top: rootRect.top, left: rootRect.left + line - 1, width: 2, height: rootRect.height });
+            this._place(this._lineLabel, { top: rootRect.top + 4, left: rootRect.left + line + 4 });
+        }
+        this._lineLabel.textContent = `trigger line (offset: ${this.scrolly.config.offset})`;
+
+        // 監視対象外になった要素の枠を削除
+        this._boxes.forEach((box, element) => {
+            if (!rects.has(element)) {
+                box.remove();
+                this._boxes.delete(element);
+            }
+        });
+
+        rects.forEach((rect, element) => {
+            this._renderElement(element, rect);
+        });
+    }
+
+    /**
+     * 要素の枠・ラベル・問題を描画
+     *
+     * @param {Element} element - 監視中の要素
+     * @param {DOMRect} rect - 計測済みの要素の矩形
+     * @private
+     */
+    _renderElement(element, rect) {
+        if (!this._boxes.has(element)) {
+            const box = this._createElement('scrolltering-overlay__element',
+                'position:absolute;box-sizing:border-box;');
+            const label = document.createElement('div');
+            label.className = 'scrolltering-overlay__label';
+            label.style.cssText = `${LABEL_STYLE}top:0;left:0;`;
+            const issues = document.createElement('div');
+            issues.className = 'scrolltering-overlay__element-issues';
+            issues.style.cssText = 'position:absolute;top:20px;left:0;display:flex;flex-direction:column;gap:2px;';
+            box.append(label, issues);
+            this._boxes.set(element, box);
+        }
+
+        const box = this._boxes.get(element);
+        const [label, issueList] = box.children;
+        const isCurrent = element === this.scrolly.currentElement;
+        const isVisible = this.scrolly.visibleElements.has(element);
+        const ratio = this.scrolly._intersectionRatios.get(element) || 0;
+        const color = isCurrent ? COLORS.current : (isVisible ? COLORS.visible : COLORS.element);
+        const id = element.getAttribute(this.scrolly.config.triggerAttribute);
+
+        this._place(box, { top: rect.top, left: rect.left, width: rect.width, height: rect.height });
+        box.style.border = `${isCurrent ? 3 : 1}px solid ${color}`;
+        box.style.background = isCurrent ? 'rgba(255, 140, 0, 0.08)' : 'transparent';
+        box.classList.toggle('is-current', isCurrent);
+        label.style.background = color;
+        label.textContent = `${id || '(no id)'}  ratio: ${ratio.toFixed(2)}${isCurrent ? '  ● current' : ''}`;
+
+        const issues = this._issues.filter(issue => issue.element === element);
+        if (issueList.childElementCount !== issues.length) {
+            issueList.replaceChildren(...issues.map(issue => this._createIssue(issue)));
+        }
+    }
+
+    /**
+     * 要素に紐づかない問題を一覧表示
+     *
+     * @private
+     */
+    _renderIssuePanel() {
+        const issues = this._issues.filter(issue => !issue.element);
+        this._panel.replaceChildren(...issues.map(issue => this._createIssue(issue)));
+        // 要素側の問題は次の描画で作り直す
+        this._boxes.forEach(box => box.children[1].replaceChildren());
+    }
+
+    /**
+     * 問題の表示要素を作成
+     *
+     * @param {Object} issue - diagnose()の問題
+     * @returns {HTMLElement} 表示要素
+     * @private
+     */
+    _createIssue(issue) {
+        const item = document.createElement('div');
+        item.className = `scrolltering-overlay__issue is-${issue.severity}`;
+        item.style.cssText = `${LABEL_STYLE}position:static;white-space:normal;background:${
+            issue.severity === 'error' ? COLORS.error : COLORS.warning}`;
+        item.textContent = `${issue.type}: ${issue.message}`;
+        item.title = issue.suggestion || '';
+        return item;
+    }
+
+    /**
+     * オーバーレイの子要素を作成して追加
+     *
+     * @param {string} className - クラス名
+     * @param {string} cssText - インラインスタイル
+     * @returns {HTMLElement} 作成した要素
+     * @private
+     */
+    _createElement(className, cssText) {
+        const element = document.createElement('div');
+        element.className = className;
+        element.style.cssText = cssText;
+        this.container.appendChild(element);
+        return element;
+    }
+
+    /**
+     * 要素をビューポート座標に配置
+     *
+     * @param {HTMLElement} element - 配置する要素
+     * @param {Object} rect - top / left / width / height（省略可）
+     * @private
+     */
+    _place(element, rect) {
+        element.style.top = `${rect.top}px`;
+        element.style.left = `${rect.left}px`;
+        if (rect.width !== undefined) {
+            element.style.width = `${rect.width}px`;
+            element.style.height = `${rect.height}px`;
+        }
+    }
+
+    /**
+     * オーバーレイの削除とイベントリスナーの解除
+     *
+     * @public
+     */
+    destroy() {
+        frameBatch.cancel(this);
+        if (this._scrollTarget) {
+            this._scrollTarget.removeEventListener('scroll', this._onScroll);
+            window.removeEventListener('resize', this._onScroll);
+            this._scrollTarget = null;
+        }
+        this._offListeners.forEach(off => off());
+        this._offListeners = [];
+
+        if (this.container) {
+            this.container.remove();
+            this.container = null;
+        }
+        this._boxes.clear();
+        this._issues = [];
+    }
+}
+
+export { DebugOverlay };
@@ -0,0 +1,578 @@
+/**
+ * インスタンス間で共有する監視・計測の仕組み
+ *
+ * ページ上に複数のScrollteringインスタンスがある場合に、
+ * - root / rootMargin / threshold が同じインスタンスで1つのIntersectionObserverを共有し（ObserverPool）
+ * - デバウンス後のトリガー更新を、同じタイミングのインスタンスでまとめて実行し（DebounceBatch）
+ * - スクロール追従の再計測を、1フレームにつき1回のrAFにまとめます（FrameBatch）
+ *
+ * まとめて実行する処理は、すべてのインスタンスの矩形の読み取り（read）を先に行い、
+ * その後でイベントの発火などの書き込み（write）を行います。読み取りと書き込みが交互に
+ * 発生しないため、コールバック内のDOM変更による強制レイアウトを避けられます。
+ * 同じフレーム内では、同じ要素の getBoundingClientRect() は1回しか呼び出されません。
+ *
+ * ただし DebounceBatch でまとめられるのは、同じタイマーの実行時点で期限を迎えたタスクだけです。
+ * スクロールの開始・停止のタイミングがずれてデバウンスの期限が揃わないインスタンスは、
+ * それぞれのタイマーで実行されるため、読み取りと書き込みの分離はそのタスクの範囲に限られます。
+ * 1フレームのすべての読み取りを書き込みより先に行うことを保証するのは FrameBatch のみです。
+ *
+ * 1つのタスクの読み取り・書き込みで例外が発生しても他の登録者の処理は続行し、
+ * 例外は非同期で再送出します（読み取りに失敗したタスクの書き込みは行いません）。
+ */
+
+/**
+ * 要素の矩形を取得（キャッシュなし）
+ *
+ * @param {Element} element - 対象要素
+ * @returns {DOMRect} 要素の矩形
+ */
+function readRect(element) {
+    return element.getBoundingClientRect();
+}
+
+/**
+ * 同じ要素の矩形を1回だけ読み取るリーダーを作成
+ *
+ * @returns {Function} (element) => DOMRect
+ */
+function createRectReader() {
+    const rects = new Map();
+    return (element) => {
+        if (!rects.has(element)) {
+            rects.set(element, element.getBoundingClientRect());
+        }
+        return rects.get(element);
+    };
+}
+
+/**
+ * 関数を実行し、例外は他の登録者の処理を中断しないよう非同期で再送出
+ *
+ * @param {Function} fn - 実行する関数
+ * @returns {{ok: boolean, value: *}} 実行結果（例外が発生した場合は ok: false）
+ */
+function runIsolated(fn) {
+    try {
+        return { ok: true, value: fn() };
+    } catch (error) {
+        setTimeout(() => {
+            throw error;
+        });
+        return { ok: false, value: undefined };
+    }
+}
+
+/**
+ * タスクの読み取りをすべて実行してから、書き込みをまとめて実行
+ * 先に書き込んだタスクのコールバックで取り消されたタスク（destroy()など）と、
+ * 読み取りで例外が発生したタスクは書き込みません
+ *
+ * @param {Map<Object, {read: Function, write: Function, cancelled: boolean}>} tasks - 登録者 → 実行するタスク
+ */
+function runTasks(tasks) {
+    const read = createRectReader();
+    const list = Array.from(tasks.values());
+    const results = list.map(task => runIsolated(() => task.read(read)));
+    list.forEach((task, index) => {
+        if (!task.cancelled && results[index].ok) {
+            runIsolated(() => task.write(results[index].value));
+        }
+    });
+}
+
+/**
+ * 共有IntersectionObserverの利用者ごとのハンドル
+ *
+ * IntersectionObserverと同じ observe / unobserve / disconnect を持ち、
+ * このハンドルで監視した要素のエントリだけがコールバックに渡されます。
+ *
+ * @class ObserverHandle
+ */
+class ObserverHandle {
+    /**
+     * @param {SharedObserver} shared - 共有Observer
+     * @param {Function} callback - (entries, handle) を受け取るコールバック
+     */
+    constructor(shared, callback) {
+        this._shared = shared;
+        this._callback = callback;
+        this._elements = new Set();           // このハンドルで監視中の要素
+
+        // disconnect() 後も参照できるよう、作成時の値を保持する
+        this.root = shared.observer.root;               // IntersectionObserverのroot
+        this.rootMargin = shared.observer.rootMargin;   // IntersectionObserverのrootMargin
+        this.thresholds = shared.observer.thresholds;   // IntersectionObserverのthresholds
+    }
+
+    /**
+     * 要素の監視を開始
+     *
+     * @param {Element} element - 監視対象の要素
+     * @public
+     */
+    observe(element) {
+        if (this._shared && !this._elements.has(element)) {
+            this._elements.add(element);
+            this._shared.observe(element, this);
+        }
+    }
+
+    /**
+     * 要素の監視を終了
+     *
+     * @param {Element} element - 監視を終了する要素
+     * @public
+     */
+    unobserve(element) {
+        if (this._shared && this._elements.delete(element)) {
+            this._shared.unobserve(element, this);
+        }
+    }
+
+    /**
+     * すべての監視を終了し、共有Observerの利用をやめる
+     *
+     * @public
+     */
+    disconnect() {
+        if (!this._shared) {
+            return;
+        }
+        this._elements.forEach(element => this._shared.unobserve(element, this));
+        this._elements.clear();
+        this._shared.release(this);
+        this._shared = null;
+    }
+}
+
+/**
+ * 複数のハンドルで共有されるIntersectionObserver
+ *
+ * @class SharedObserver
+ */
+class SharedObserver {
+    /**
+     * @param {ObserverPool} pool - 所属するプール
+     * @param {string} key - プール内のキー
+     * @param {Object} options - IntersectionObserverのオプション
+     */
+    constructor(pool, key, options) {
+        this.pool = pool;
+        this.key = key;
+        this.root = options.root;
+        this.handles = new Set();             // 利用中のハンドル（登録順）
+        this._subscribers = new Map();        // 要素 → 監視しているハンドル
+
+        const Observer = pool.getObserverClass();
+        this.observer = new Observer(entries => this._dispatch(entries), options);
+    }
+
+    /**
+     * 要素の監視を開始
+     * 他のハンドルが監視中の要素は、初回の通知を受け取れるよう監視し直します
+     *
+     * @param {Element} element - 監視対象の要素
+     * @param {ObserverHandle} handle - 監視するハンドル
+     */
+    observe(element, handle) {
+        const subscribers = this._subscribers.get(element);
+        if (!subscribers) {
+            this._subscribers.set(element, new Set([handle]));
+            this.observer.observe(element);
+            return;
+        }
+        subscribers.add(handle);
+        // 既存のハンドルにも同じ状態が再通知されるが、交差状態は変わらないため影響はない
+        this.observer.unobserve(element);
+        this.observer.observe(element);
+    }
+
+    /**
+     * 要素の監視を終了（他のハンドルが監視中の場合は継続）
+     *
+     * @param {Element} element - 監視を終了する要素
+     * @param {ObserverHandle} handle - 監視を終了するハンドル
+     */
+    unobserve(element, handle) {
+        const subscribers = this._subscribers.get(element);
+        if (!subscribers) {
+            return;
+        }
+        subscribers.delete(handle);
+        if (subscribers.size === 0) {
+            this._subscribers.delete(element);
+            this.observer.unobserve(element);
+        }
+    }
+
+    /**
+     * ハンドルの利用を終了し、利用者がいなくなった場合はObserverを切断
+     *
+     * @param {ObserverHandle} handle - 利用を終了するハンドル
+     */
+    release(handle) {
+        this.handles.delete(handle);
+        if (this.handles.size === 0) {
+            this.observer.disconnect();
+            this.pool._remove(this);
+        }
+    }
+
+    /**
+     * すべてのハンドルを切り離してObserverを切断（登録簿からの削除は呼び出し元が行う）
+     */
+    reset() {
+        this.handles.forEach(handle => {
+            handle._shared = null;
+            handle._elements.clear();
+        });
+        this.handles.clear();
+        this._subscribers.clear();
+        this.observer.disconnect();
+    }
+
+    /**
+     * エントリを監視しているハンドルごとに振り分けて通知
+     *
+     * @param {Array<IntersectionObserverEntry>} entries - エントリ
+     * @private
+     */
+    _dispatch(entries) {
+        const grouped = new Map();
+        entries.forEach(entry => {
+            const subscribers = this._subscribers.get(entry.target);
+            if (!subscribers) {
+                return;
+            }
+            subscribers.forEach(handle => {
+                if (!grouped.has(handle)) {
+                    grouped.set(handle, []);
+                }
+                grouped.get(handle).push(entry);
+            });
+        });
+
+        // 登録順に通知する（コールバック内でハンドルが解除された場合は通知しない）
+        Array.from(this.handles).forEach(handle => {
+            if (grouped.has(handle) && this.handles.has(handle)) {
+                handle._callback(grouped.get(handle), handle);
+            }
+        });
+    }
+}
+
+/**
+ * root / rootMargin / threshold ごとのIntersectionObserverの登録簿
+ *
+ * @class ObserverPool
+ */
+class ObserverPool {
+    /**
+     * @param {Function} [getObserverClass] - IntersectionObserver互換のクラスを返す関数
+     */
+    constructor(getObserverClass = () => window.IntersectionObserver) {
+        this.getObserverClass = getObserverClass;
+        this._observers = new Map();          // root（null = ビューポート）→ Map(キー → SharedObserver)
+    }
+
+    /**
+     * 条件が同じ共有Observerのハンドルを取得（なければ作成）
+     *
+     * @param {Object} options - IntersectionObserverのオプション（root / rootMargin / threshold）
+     * @param {Function} callback - (entries, handle) を受け取るコールバック
+     * @returns {ObserverHandle} ハンドル
+     * @public
+     */
+    acquire(options, callback) {
+        const root = options.root || null;
+        const key = this._createKey(options);
+        if (!this._observers.has(root)) {
+            this._observers.set(root, new Map());
+        }
+        const observers = this._observers.get(root);
+
+        let shared = observers.get(key);
+        if (!shared) {
+            shared = new SharedObserver(this, key, options);
+            observers.set(key, shared);
+        }
+
+        const handle = new ObserverHandle(shared, callback);
+        shared.handles.add(handle);
+        return handle;
+    }
+
+    /**
+     * 作成済みの共有Observerの数
+     *
+     * @returns {number} Observerの数
+     * @public
+     */
+    get size() {
+        let size = 0;
+        this._observers.forEach(observers => {
+            size += observers.size;
+        });
+        return size;
+    }
+
+    /**
+     * すべての共有Observerを切断し、登録簿を空にする
+     * 既存のハンドルは切り離され、以後の observe() などは何もしません
+     * IntersectionObserverを差し替えるテストハーネスが、インストール時と復元時に呼び出します
+     *
+     * @public
+     */
+    reset() {
+        this._observers.forEach(observers => {
+            observers.forEach(shared => shared.reset());
+        });
+        this._observers.clear();
+    }
+
+    /**
+     * 共有Observerを登録簿から削除
+     *
+     * @param {SharedObserver} shared - 削除するObserver
+     * @private
+     */
+    _remove(shared) {
+        const observers = this._observers.get(shared.root);
+        if (!observers || observers.get(shared.key) !== shared) {
+            return;
+        }
+        observers.delete(shared.key);
+        if (observers.size === 0) {
+            this._observers.delete(shared.root);
+        }
+    }
+
+    /**
+     * rootMargin / threshold から共有のキーを作成
+     * 表記の揺れ（空白の数、0 と [0]、配列の順序）は同じキーになります
+     *
+     * @param {Object} options - IntersectionObserverのオプション
+     * @returns {string} キー
+     * @private
+     */
+    _createKey(options) {
+        const rootMargin = String(options.rootMargin || '0px').trim().split(/\s+/).join(' ');
+        const threshold = options.threshold === undefined ? 0 : options.threshold;
+        const thresholds = [].concat(threshold).map(Number).sort((a, b) => a - b);
+        return `${rootMargin}|${thresholds.join(',')}`;
+    }
+}
+
+/**
+ * デバウンス後の処理をまとめて実行するキュー
+ *
+ * 登録ごとにタイマーを作らず、最も早い期限に合わせた1つのタイマーで管理します。
+ * 期限を迎えたタスクは、読み取りをすべて行ってから書き込みをまとめて実行します。
+ *
+ * @class DebounceBatch
+ */
+class DebounceBatch {
+    constructor() {
+        this._tasks = new Map();              // 登録者 → { due, read, write }
+        this._running = new Map();            // 実行中のタスク
+        this._timer = null;
+        this._timerDue = null;                // 予約中のタイマーの期限
+    }
+
+    /**
+     * タスクを登録（同じ登録者の既存のタスクは置き換え、期限を延長）
+     *
+     * @param {Object} owner - 登録者（Scrollteringインスタンス）
+     * @param {number} wait - 待機時間（ミリ秒）
+     * @param {Function} read - (readRect) => 計測結果
+     * @param {Function} write - (計測結果) => void
+     * @public
+     */
+    schedule(owner, wait, read, write) {
+        this.cancel(owner);
+        this._tasks.set(owner, { due: Date.now() + wait, read, write, cancelled: false });
+        this._arm();
+    }
+
+    /**
+     * 登録者のタスクを取り消し
+     *
+     * @param {Object} owner - 登録者
+     * @public
+     */
+    cancel(owner) {
+        const task = this._tasks.get(owner) || this._running.get(owner);
+        if (!task) {
+            return;
+        }
+        task.cancelled = true;
+        if (this._tasks.delete(owner) && this._tasks.size === 0) {
+            this._disarm();
+        }
+    }
+
+    /**
+     * すべてのタスクを取り消し、タイマーを解除
+     * タイマーを差し替えるテストハーネスが、インストール時と復元時に呼び出します
+     *
+     * @public
+     */
+    reset() {
+        this._tasks.forEach(task => {
+            task.cancelled = true;
+        });
+        this._running.forEach(task => {
+            task.cancelled = true;
+        });
+        this._tasks.clear();
+        this._disarm();
+    }
+
+    /**
+     * 最も早い期限にタイマーを合わせる
+     *
+     * @private
+     */
+    _arm() {
+        let due = Infinity;
+        this._tasks.forEach(task => {
+            due = Math.min(due, task.due);
+        });
+        if (this._timer !== null && this._timerDue <= due) {
+            return;
+        }
+
+        this._disarm();
+        this._timerDue = due;
+        this._timer = setTimeout(() => {
+            this._timer = null;
+            this._timerDue = null;
+            this._run();
+        }, Math.max(0, due - Date.now()));
+    }
+
+    /**
+     * タイマーを解除
+     *
+     * @private
+     */
+    _disarm() {
+        if (this._timer !== null) {
+            clearTimeout(this._timer);
+            this._timer = null;
+            this._timerDue = null;
+        }
+    }
+
+    /**
+     * 期限を迎えたタスクを実行し、残りのタスクのタイマーを予約
+     *
+     * @private
+     */
+    _run() {
+        const now = Date.now();
+        this._tasks.forEach((task, owner) => {
+            if (task.due <= now) {
+                this._running.set(owner, task);
+                this._tasks.delete(owner);
+            }
+        });
+
+        try {
+            runTasks(this._running);
+        } finally {
+            this._running.clear();
+        }
+
+        if (this._tasks.size > 0) {
+            this._arm();
+        }
+    }
+}
+
+/**
+ * 次のフレームの処理をまとめて実行するキュー
+ *
+ * すべての登録者の処理を1回の requestAnimationFrame で実行します。
+ *
+ * @class FrameBatch
+ */
+class FrameBatch {
+    constructor() {
+        this._tasks = new Map();              // 登録者 → { read, write }
+        this._running = new Map();            // 実行中のタスク
+        this._frameId = null;
+    }
+
+    /**
+     * 次のフレームでの処理を予約（同じフレーム内の同じ登録者の予約は1回にまとめる）
+     *
+     * @param {Object} owner - 登録者（Scrollteringインスタンス）
+     * @param {Function} read - (readRect) => 計測結果
+     * @param {Function} write - (計測結果) => void
+     * @public
+     */
+    request(owner, read, write) {
+        if (!this._tasks.has(owner)) {
+            this._tasks.set(owner, { read, write, cancelled: false });
+        }
+        if (this._frameId !== null) {
+            return;
+        }
+        this._frameId = requestAnimationFrame(() => {
+            this._frameId = null;
+            this._running = this._tasks;
+            this._tasks = new Map();
+            try {
+                runTasks(this._running);
+            } finally {
+                this._running = new Map();
+            }
+        });
+    }
+
+    /**
+     * 登録者の予約を取り消し
+     *
+     * @param {Object} owner - 登録者
+     * @public
+     */
+    cancel(owner) {
+        const task = this._tasks.get(owner) || this._running.get(owner);
+        if (!task) {
+            return;
+        }
+        task.cancelled = true;
+        if (this._tasks.delete(owner) && this._tasks.size === 0 && this._frameId !== null) {
+            cancelAnimationFrame(this._frameId);
+            this._frameId = null;
+        }
+    }
+
+    /**
+     * すべての予約を取り消し
+     * requestAnimationFrame を差し替えるテストハーネスが、インストール時と復元時に呼び出します
+     *
+     * @public
+     */
+    reset() {
+        this._tasks.forEach(task => {
+            task.cancelled = true;
+        });
+        this._running.forEach(task => {
+            task.cancelled = true;
+        });
+        this._tasks = new Map();
+        if (this._frameId !== null) {
+            cancelAnimationFrame(this._frameId);
+            this._frameId = null;
+        }
+    }
+}
+
+/** 全インスタンスで共有する登録簿とキュー */
+const observerPool = new ObserverPool();
+const debounceBatch = new DebounceBatch();
+const frameBatch = new FrameBatch();
+
+export { ObserverPool, DebounceBatch, FrameBatch, observerPool, debounceBatch, frameBatch, readRect };
@@ -0,0 +1,121 @@
+/**
+ * React バインディング（scrolltering/react）
+ *
+ * コンポーネントのマウント時にScrollteringを作成し、アンマウント時にdestroy()します。
+ * インスタンスはエフェクト内で作成するため、StrictModeの二重マウントでも
+ * 最初のインスタンスは確実に破棄されます。
+ *
+ * @example
+ * import { useScrolltering } from 'scrolltering/react';
+ *
+ * function Story() {
+ *     const { current, progress, stepRef } = useScrolltering({ threshold: 0.5, progress: true });
+ *     return (
+ *         <>
+ *             <Graphic step={current} progress={progress} />
+ *             <section ref={stepRef('intro')}>...</section>
+ *             <section ref={stepRef('chart')}>...</section>
+ *         </>
+ *     );
+ * }
+ */
+import { useCallback, useEffect, useRef, useState } from 'react';
+import { Scrolltering } from './scrolltering.js';
+import { serializeOptions, createBindingConfig, StepRegistry } from './bindings.js';
+
+const INITIAL_STATE = {
+    current: null,
+    previous: null,
+    direction: null,
+    progress: 0
+};
+
+/**
+ * refオブジェクトを要素に解決
+ *
+ * @param {Element|string|Object|null} root - rootオプション（要素・セレクタ・useRef()の戻り値）
+ * @returns {Element|string|null} Scrollteringに渡すroot
+ */
+function resolveRoot(root) {
+    if (root && typeof root === 'object' && 'current' in root) {
+        return root.current;
+    }
+    return root;
+}
+
+/**
+ * Scrollteringを使用するReactフック
+ *
+ * オプションのうち設定値（threshold / rootMargin など）が変わった場合は
+ * updateOptions()でインスタンスを作り直さずに反映します。
+ * コールバックは常に最新の描画時のものが呼び出されます。
+ *
+ * @param {Object} [options={}] - Scrollteringのオプション。rootにはuseRef()の戻り値も指定できます
+ * @returns {{current: string|null, previous: string|null, direction: string|null,
+ *            progress: number, scrolly: Scrolltering|null, stepRef: Function}}
+ *   現在の状態、インスタンス、ステップ要素を登録するコールバックrefを返す関数
+ */
+function useScrolltering(options = {}) {
+    const [state, setState] = useState(INITIAL_STATE);
+    const [scrolly, setScrolly] = useState(null);
+    const optionsRef = useRef(options);
+    const instanceRef = useRef(null);
+    const appliedKeyRef = useRef(null);
+    const registryRef = useRef(null);
+    const configKey = serializeOptions(options);
+
+    if (!registryRef.current) {
+        registryRef.current = new StepRegistry(
+            () => instanceRef.current,
+            () => optionsRef.current.triggerAttribute || 'data-trigger'
+        );
+    }
+
+    // コールバックから最新のオプションを参照できるようにする
+    useEffect(() => {
+        optionsRef.current = options;
+    });
+
+    const createConfig = useCallback(() => {
+        const registry = registryRef.current;
+        return createBindingConfig(optionsRef.current, () => optionsRef.current, {
+            resolveRoot: resolveRoot,
+            getElements: () => registry.getElements(),
+            onChange: ({ current, previous, direction }) => {
+                setState(prev => ({ ...prev, current, previous, direction }));
+            },
+            onProgress: ({ progress }) => {
+                setState(prev => ({ ...prev, progress }));
+            }
+        });
+    }, []);
+
+    useEffect(() => {
+        const instance = new Scrolltering(createConfig());
+        instanceRef.current = instance;
+        appliedKeyRef.current = serializeOptions(optionsRef.current);
+        setScrolly(instance);
+
+        return () => {
+            instance.destroy();
+            instanceRef.current = null;
+            setScrolly(null);
+            setState(INITIAL_STATE);
+        };
+    }, [createConfig]);
+
+    useEffect(() => {
+        const instance = instanceRef.current;
+        if (!instance || appliedKeyRef.current === configKey) {
+            return;
+        }
+        appliedKeyRef.current = configKey;
+        instance.updateOptions(createConfig());
+    }, [configKey, createConfig]);
+
+    const stepRef = useCallback(id => registryRef.current.ref(id), []);
+
+    return { ...state, scrolly, stepRef };
+}
+
+export { useScrolltering };
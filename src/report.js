@@ -0,0 +1,118 @@
+/**
+ * 診断レポートの出力
+ *
+ * diagnose()の結果を、CIなどで機械的に扱える JSON / JUnit XML 形式に変換します。
+ * 要素はDOMへの参照の代わりに、トリガーIDと識別用のセレクタで表現されます。
+ *
+ * @example
+ * const xml = scrolly.exportDiagnostics('junit');
+ * // error の問題は <failure> になり、JUnitを読み込むCIでビルドを失敗させられます
+ */
+
+/**
+ * 要素を識別用の情報に変換
+ *
+ * @param {Element} element - 問題のある要素
+ * @param {string} triggerAttribute - トリガーIDの属性名
+ * @returns {{triggerId: string|null, selector: string}} 要素の情報
+ */
+function describeElement(element, triggerAttribute) {
+    const triggerId = element.getAttribute(triggerAttribute);
+    if (triggerId) {
+        return { triggerId: triggerId, selector: `[${triggerAttribute}="${triggerId}"]` };
+    }
+
+    const id = element.id ? `#${element.id}` : '';
+    const classes = Array.from(element.classList).map(name => `.${name}`).join('');
+    return { triggerId: null, selector: `${element.tagName.toLowerCase()}${id}${classes}` };
+}
+
+/**
+ * 診断結果をシリアライズ可能なレポートに変換
+ *
+ * @param {Object} result - diagnose()の結果
+ * @param {Object} meta - レポートの付加情報
+ * @param {string} meta.instanceId - インスタンスID
+ * @param {string} meta.triggerAttribute - トリガーIDの属性名
+ * @returns {Object} レポート
+ */
+function createReport(result, meta) {
+    return {
+        tool: 'scrolltering',
+        instanceId: meta.instanceId,
+        status: result.status,
+        summary: result.summary,
+        issues: result.issues.map(issue => {
+            // element / ancestor / relatedElement などのDOM要素を識別情報に置き換える
+            const serialized = { ...issue, element: null };
+            Object.keys(issue).forEach(key => {
+                if (issue[key] && issue[key].nodeType === 1) {
+                    serialized[key] = describeElement(issue[key], meta.triggerAttribute);
+                }
+            });
+            return serialized;
+        })
+    };
+}
+
+/**
+ * XMLの特殊文字をエスケープ
+ *
+ * @param {*} value - 値
+ * @returns {string} エスケープ済みの文字列
+ */
+function escapeXml(value) {
+    return String(value === undefined || value === null ? '' : value)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&apos;');
+}
+
+/**
+ * レポートをJUnit XMLに変換
+ *
+ * 問題ごとに1つの testcase を出力し、severity が error の問題を failure とします。
+ * warning / info は成功扱いで、内容を system-out に出力します。
+ * 問題がない場合も、結果を判別できるよう成功した testcase を1つ出力します。
+ *
+ * @param {Object} report - createReport()で作成したレポート
+ * @returns {string} JUnit XML
+ */
+function toJUnit(report) {
+    const suiteName = `scrolltering diagnostics (${report.instanceId})`;
+    const failures = report.issues.filter(issue => issue.severity === 'error').length;
+    const timestamp = new Date(report.summary.timestamp).toISOString();
+
+    const testcases = report.issues.map(issue => {
+        const location = issue.element ? ` ${issue.element.selector}` : '';
+        const name = escapeXml(`${issue.message}${location}`);
+        const details = escapeXml([
+            issue.suggestion,
+            ...['element', 'ancestor', 'relatedElement']
+                .filter(key => issue[key])
+                .map(key => `${key}: ${issue[key].selector}`)
+        ].filter(line => line).join('\n'));
+        const body = issue.severity === 'error'
+            ? `<failure type="${escapeXml(issue.type)}" message="${escapeXml(issue.message)}">${details}</failure>`
+            : `<system-out>[${escapeXml(issue.severity)}] ${details}</system-out>`;
+        return `    <testcase classname="scrolltering.${escapeXml(issue.type)}" name="${name}">${body}</testcase>`;
+    });
+
+    if (testcases.length === 0) {
+        testcases.push('    <testcase classname="scrolltering" name="diagnose"/>');
+    }
+
+    return [
+        '<?xml version="1.0" encoding="UTF-8"?>',
+        `<testsuites name="scrolltering" tests="${testcases.length}" failures="${failures}">`,
+        `  <testsuite name="${escapeXml(suiteName)}" tests="${testcases.length}" failures="${failures}" errors="0" skipped="0" timestamp="${timestamp}">`,
+        ...testcases,
+        '  </testsuite>',
+        '</testsuites>',
+        ''
+    ].join('\n');
+}
+
+export { describeElement, createReport, toJUnit };
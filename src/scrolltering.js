@@ -1,3 +1,87 @@
+import { TriggerActions } from './actions.js';
+import { HistorySync } from './history.js';
+import { ScrollTimeline, toTrackDefinitions, validateTrack } from './timeline.js';
+import { DebugOverlay } from './overlay.js';
+import { ReadingAnalytics, createBeaconSink } from './analytics.js';
+import { AccessibilityLayer } from './a11y.js';
+import { describeElement, createReport, toJUnit } from './report.js';
+import { registerLocale, resolveLocale, translate } from './messages.js';
+import { debounceBatch, frameBatch, readRect } from './pool.js';
+import { ENGINES, resolveEngine, getObserverPool, getRootMarginInsets } from './engine.js';
+
+/**
+ * スクロール軸ごとのプロパティ名
+ * axisオプションに応じて、矩形・スクロール量・サイズの参照先を切り替えます
+ */
+const AXES = {
+    y: {
+        start: 'top',
+        end: 'bottom',
+        size: 'height',
+        offsetSize: 'offsetHeight',
+        clientSize: 'clientHeight',
+        scrollSize: 'scrollHeight',
+        scrollPosition: 'scrollTop',
+        pageOffset: 'pageYOffset',
+        innerSize: 'innerHeight',
+        overflow: 'overflowY',
+        forward: 'down',
+        backward: 'up'
+    },
+    x: {
+        start: 'left',
+        end: 'right',
+        size: 'width',
+        offsetSize: 'offsetWidth',
+        clientSize: 'clientWidth',
+        scrollSize: 'scrollWidth',
+        scrollPosition: 'scrollLeft',
+        pageOffset: 'pageXOffset',
+        innerSize: 'innerWidth',
+        overflow: 'overflowX',
+        forward: 'right',
+        backward: 'left'
+    }
+};
+
+/**
+ * registerDiagnosticRule()で登録された診断ルール（type → ルール）
+ * 全インスタンスのdiagnose()で共有されます
+ */
+const diagnosticRules = new Map();
+let diagnosticsVersion = 0;           // ルールやメッセージカタログの変更時に診断キャッシュを無効化するためのバージョン
+
+/**
+ * use()で登録されたプラグイン
+ * 登録後に作成されたすべてのインスタンスに適用されます
+ */
+const globalPlugins = [];
+
+/** プラグインが実装できるフック */
+const PLUGIN_HOOKS = ['init', 'beforeObserve', 'intersect', 'selectCurrent', 'beforeChange', 'afterChange', 'diagnose', 'destroy'];
+
+/**
+ * プラグインの形式を検証
+ * 
+ * @param {Object} plugin - プラグイン
+ * @throws {Error} name がない場合、またはフック・メソッドが関数でない場合
+ */
+function validatePlugin(plugin) {
+    if (!plugin || typeof plugin.name !== 'string' || !plugin.name) {
+        throw new Error('Scrolltering: プラグインには name が必要です');
+    }
+    PLUGIN_HOOKS.forEach(hook => {
+        if (plugin[hook] !== undefined && typeof plugin[hook] !== 'function') {
+            throw new Error(`Scrolltering: プラグイン "${plugin.name}" の ${hook} は関数である必要があります`);
+        }
+    });
+    Object.keys(plugin.methods || {}).forEach(name => {
+        if (typeof plugin.methods[name] !== 'function') {
+            throw new Error(`Scrolltering: プラグイン "${plugin.name}" の methods.${name} は関数である必要があります`);
+        }
+    });
+}
+
 /**
  * Simple Scrolly Triggering System
  * IntersectionObserverを使用したシンプルなスクロールトリガリングシステム
@@ -25,9 +109,47 @@ class Scrolltering {
      * @param {string} [options.triggerAttribute='data-trigger'] - トリガーIDを格納する属性名
      * @param {number|number[]} [options.threshold=0] - 交差の閾値（0-1の値、または配列）
      * @param {string} [options.rootMargin='0px'] - ルート要素のマージン（CSS margin形式）
+     * @param {Element|string} [options.root=null] - スクロールコンテナ（要素またはセレクタ）。未指定時はウィンドウ
+     * @param {Element|string} [options.scope=null] - 監視対象要素の検索範囲（要素またはセレクタ）。未指定時はroot
+     * @param {Array<Element>|Function} [options.elements=null] - selectorの代わりに使用する監視対象要素（配列、または配列を返す関数）
      * @param {number} [options.debounceDelay=10] - デバウンス遅延時間（ミリ秒）
+     * @param {string|Function} [options.strategy='topmost'] - アクティブ要素の選択方式
+     *   ('topmost' | 'line' | 'largest-visible-ratio' | 比較関数)
+     * @param {string} [options.axis='y'] - スクロール軸（'y': 縦スクロール、'x': 横スクロール）
+     * @param {number|string} [options.offset=0.5] - トリガーラインの位置（0-1の比率、または '100px' 形式）
      * @param {Function} [options.onChange=null] - トリガー変更時のコールバック関数
-     * @param {boolean} [options.debug=false] - デバッグモードの有効化
+     * @param {Function} [options.onEnter=null] - 要素が画面内に入った時のコールバック関数
+     * @param {Function} [options.onExit=null] - 要素が画面外に出た時のコールバック関数
+     * @param {boolean} [options.progress=false] - スクロール進捗（0-1）の計測を有効化
+     * @param {boolean} [options.progressAll=false] - アクティブ要素に加えて表示中の全要素の進捗を報告
+     * @param {Function} [options.onProgress=null] - 進捗更新時のコールバック関数
+     * @param {string} [options.eventTarget='window'] - DOMイベントの発火先（'window' | 'root' | 'element'）
+     * @param {boolean} [options.nested=false] - 入れ子のトリガー（章 > ステップ）を階層として扱う
+     * @param {Function[]} [options.onLevelChange=[]] - 階層ごとの変更時コールバック（インデックス = 階層）
+     * @param {boolean} [options.watch=false] - DOMの変更を監視し、要素の追加/削除を自動追跡
+     * @param {boolean} [options.actions=false] - data属性による宣言的アクションを有効化
+     * @param {Object} [options.stateClasses] - actions有効時に付与する状態クラス名
+     *   （{ active: 'is-active', past: 'is-past', future: 'is-future' }）
+     * @param {string|boolean} [options.history=false] - URL同期モード（'hash' | 'query' | false）
+     * @param {string} [options.historyParam='step'] - history: 'query' 時のパラメータ名
+     * @param {Function} [options.toSlug=null] - トリガーIDをURL用の文字列に変換する関数
+     * @param {Function} [options.fromSlug=null] - URLの文字列をトリガーIDに変換する関数
+     * @param {boolean} [options.a11y=false] - アクセシビリティ機能（ライブリージョンでの読み上げ、aria-current、キーボード操作）を有効化
+     * @param {boolean} [options.a11yKeyboard=true] - a11y有効時に PageDown / PageUp・Home / End でステップを移動
+     *     （フォーカスが root / scope の範囲内かトリガー要素内にある場合のみ）
+     * @param {boolean} [options.a11yArrowKeys=false] - キーボード操作に矢印キー（axis: 'x' では左右）を含める
+     * @param {boolean} [options.a11yGlobalKeys=false] - フォーカスがページ本体（body）にある場合もキー操作を処理
+     * @param {Function} [options.a11yAnnounce=null] - 読み上げる文言を返す関数（変更の詳細と label を受け取る）。未指定時はラベルのみ
+     * @param {boolean} [options.analytics=false] - 読了分析（滞在時間・到達深度・逆スクロール回数）の集計を有効化
+     * @param {Function|Object} [options.analyticsSink=null] - 集計結果の送信先（関数、または send(summary) を持つオブジェクト）
+     * @param {number} [options.idleTimeout=30000] - 操作がない場合に滞在時間の加算を止めるまでの時間（ミリ秒、0で無効）
+     * @param {string} [options.engine='auto'] - 交差判定エンジン（'auto' | 'intersection' | 'scroll'）。'auto'はIntersectionObserverがない場合にscrollを使用
+     * @param {Array<Object>} [options.plugins=[]] - このインスタンスに適用するプラグイン（use()で登録したプラグインに追加）
+     * @param {Array<string>} [options.disabledRules=[]] - diagnose()で無効にする診断ルールのtype
+     * @param {string} [options.locale=null] - 診断メッセージのロケール（'ja' | 'en' | registerLocale()で登録したロケール）。未指定時はnavigator.language
+     * @param {boolean} [options.autoStart=true] - コンストラクタで監視を開始するかどうか（falseの場合はstart()を呼び出す）
+     * @param {boolean} [options.debug=false] - デバッグモードの有効化（診断結果のコンソール出力とオーバーレイ表示）
+     * @param {boolean} [options.autoDiagnose=true] - debug有効時に、開始時にdiagnose()を実行して問題をオーバーレイとコンソールに表示（falseで無効化）
      */
     constructor(options = {}) {
         // デフォルト設定
@@ -36,21 +158,92 @@ class Scrolltering {
             triggerAttribute: 'data-trigger',  // トリガーID属性名
             threshold: 0,                      // 交差の閾値
             rootMargin: '0px',                 // ルートマージン
+            root: null,                        // スクロールコンテナ（null = ウィンドウ）
+            scope: null,                       // 監視対象要素の検索範囲（null = root）
+            elements: null,                    // 監視対象要素の直接指定（null = selector）
             debounceDelay: 10,                 // デバウンス遅延時間(ms)
+            strategy: 'topmost',               // アクティブ要素の選択方式
+            offset: 0.5,                       // トリガーラインの位置
+            axis: 'y',                         // スクロール軸
             onChange: null,                    // カスタムコールバック
+            onEnter: null,                     // 要素進入時のコールバック
+            onExit: null,                      // 要素退出時のコールバック
+            progress: false,                   // 進捗計測の有効化
+            progressAll: false,                // 表示中の全要素の進捗を報告
+            onProgress: null,                  // 進捗コールバック
+            eventTarget: 'window',             // DOMイベントの発火先
+            nested: false,                     // 入れ子トリガーの階層化
+            onLevelChange: [],                 // 階層ごとのコールバック
+            watch: false,                      // DOM変更の自動追跡
+            actions: false,                    // 宣言的アクション
+            history: false,                    // URL同期モード
+            historyParam: 'step',              // クエリパラメータ名
+            toSlug: null,                      // ID → URL文字列の変換
+            fromSlug: null,                    // URL文字列 → IDの変換
+            a11y: false,                       // アクセシビリティ機能
+            a11yKeyboard: true,                // キーボードでのステップ移動
+            a11yArrowKeys: false,              // 矢印キーでのステップ移動
+            a11yGlobalKeys: false,             // ページ本体にフォーカスがある場合のキー操作
+            a11yAnnounce: null,                // 読み上げ文言の生成
+            analytics: false,                  // 読了分析
+            analyticsSink: null,               // 集計結果の送信先
+            idleTimeout: 30000,                // アイドル判定までの時間(ms)
+            engine: 'auto',                    // 交差判定エンジン
+            plugins: [],                       // インスタンス単位のプラグイン
+            disabledRules: [],                 // 無効にする診断ルール
+            locale: null,                      // 診断メッセージのロケール（null = ブラウザの言語設定）
+            autoStart: true,                   // コンストラクタでの自動開始
             debug: false,                      // デバッグモード
-            ...options
+            autoDiagnose: true,                // debug有効時の開始時の診断
+            ...options,
+            stateClasses: {                    // 状態クラス名
+                active: 'is-active',
+                past: 'is-past',
+                future: 'is-future',
+                ...options.stateClasses
+            }
         };
         
-        this.observer = null;
+        this.observer = null;                 // 共有IntersectionObserverのハンドル
+        this.mutationObserver = null;
+        this.actions = null;                  // 宣言的アクション（actions有効時）
+        this.historySync = null;              // URL同期（history有効時）
+        this.overlay = null;                  // デバッグオーバーレイ（showOverlay()時）
+        this.a11y = null;                     // アクセシビリティ機能（a11y有効時）
+        this.analytics = null;                // 読了分析（analytics有効時）
+        this.observedElements = new Set();    // 監視中の要素
+        this._elementCache = null;            // 要素のインデックスとトリガーIDの索引（_getElementCache()）
+        this.root = null;                     // 解決済みのスクロールコンテナ要素
         this.visibleElements = new Map();
+        this._intersectionRatios = new Map(); // 要素ごとの最新の交差率
         this.currentTriggerId = null;
+        this.currentElement = null;           // 現在のトリガー要素
+        this.currentPath = [];                // nested有効時の現在のトリガーパス
         this.lastValidTriggerId = null;
-        this._debounceTimer = null;           // タイマー管理用
+        this.direction = null;                // 最後に検出したスクロール方向（'up' | 'down' | 'left' | 'right'）
+        this._lastScrollPosition = null;      // 方向判定用の前回スクロール位置
+        this._navigation = null;              // scrollToTrigger()の進行中ナビゲーション
+        this._listeners = new Map();          // on()で登録されたイベントリスナー
+        this._started = false;                // start()済みかどうか
+        this._paused = false;                 // pause()中かどうか
+        this._onReady = null;                 // DOMContentLoaded待ちのハンドラー
+        this._pendingUpdate = null;           // デバウンス待ちの処理（flush()用）
+        this._progressCache = new Map();      // 要素ごとの前回の進捗値
+        this._progressTriggerId = null;       // 前回進捗を通知したトリガーID
+        this._scrollTarget = null;            // scrollイベントの登録先
+        this._onScroll = null;                // scrollイベントハンドラー
         this.instanceId = `scrolly-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`; // ユニークなインスタンスID
         this._diagnosticCache = new Map();    // 診断結果のキャッシュ
+        this._plugins = [];                   // 適用中のプラグイン
+        this._timelines = new Set();          // createTimeline()で作成したタイムライン（診断用）
+        this._initializedPlugins = new Set(); // initフックを実行済みのプラグイン
         
-        this.init();
+        this._installPlugins(globalPlugins.concat(this.config.plugins || []));
+        
+        // autoStart: false の場合はdocumentに触れないため、SSR環境でもインスタンスを作成できる
+        if (this.config.autoStart) {
+            this.start();
+        }
     }
     
     /**
@@ -60,20 +253,178 @@ class Scrolltering {
      * @private
      */
     init() {
-        // デバウンス関数の準備
+        // デバウンス関数の準備（計測と反映は他のインスタンスとまとめて実行される）
         this.debouncedUpdate = this.debounce(
-            () => this.updateCurrentTrigger(), 
+            (read) => this._measureTrigger(read),
+            (measurement) => {
+                this._commitTrigger(measurement);
+                // アクティブ要素が切り替わった可能性があるため進捗も再計測する
+                if (this.config.progress) {
+                    this._requestFrameUpdate();
+                }
+            },
             this.config.debounceDelay
         );
         
         // DOMが準備できたら開始
         if (document.readyState === 'loading') {
-            document.addEventListener('DOMContentLoaded', () => this.setup());
+            this._onReady = () => {
+                this._onReady = null;
+                this.setup();
+            };
+            document.addEventListener('DOMContentLoaded', this._onReady);
         } else {
             this.setup();
         }
     }
     
+    /**
+     * 監視を開始
+     * 
+     * autoStart: false を指定した場合に、コンテンツの準備ができた時点で呼び出します。
+     * 既に開始済みの場合は何もしません。
+     * 
+     * @public
+     */
+    start() {
+        if (this._started) {
+            return;
+        }
+        this._started = true;
+        this.init();
+    }
+    
+    /**
+     * イベントの発火を一時停止
+     * 
+     * 監視は継続するため、表示中の要素などの内部状態は失われません。
+     * resume()時に現在の状態が再評価されます。
+     * 
+     * @public
+     */
+    pause() {
+        this._paused = true;
+    }
+    
+    /**
+     * イベントの発火を再開し、現在のトリガーを再評価
+     * 一時停止中にトリガーが変わっていた場合は onChange が発火します
+     * 
+     * @public
+     */
+    resume() {
+        if (!this._paused) {
+            return;
+        }
+        this._paused = false;
+        
+        if (this._started && this.observer) {
+            this.updateCurrentTrigger();
+            if (this.config.progress) {
+                this._requestFrameUpdate();
+            }
+        }
+    }
+    
+    /**
+     * 一時停止中かどうか
+     * 
+     * @returns {boolean} pause()中の場合true
+     * @public
+     */
+    isPaused() {
+        return this._paused;
+    }
+    
+    /**
+     * オプションを変更し、Observerをその場で再構築
+     * 
+     * instanceId、現在のトリガー、on()で登録したリスナーは維持されます。
+     * threshold / rootMargin / selector / root などを変更した後、現在のトリガーが再評価されます。
+     * 
+     * @param {Object} options - 変更するオプション（コンストラクタと同じ形式）
+     * @public
+     */
+    updateOptions(options = {}) {
+        const wasStarted = this._started;
+        // オーバーレイは新しいスクロールコンテナで作り直す
+        const overlayVisible = this.overlay !== null;
+        this.hideOverlay();
+        
+        // 宣言的アクションは新しい設定で再適用するため、いったん解除する
+        if (this.actions) {
+            this.actions.clear(this.currentTriggerId);
+            this.actions = null;
+        }
+        this._teardown();
+        
+        this.config = {
+            ...this.config,
+            ...options,
+            stateClasses: {
+                ...this.config.stateClasses,
+                ...options.stateClasses
+            }
+        };
+        
+        // 追加されたプラグインを適用する（適用済みのプラグインは解除されない）
+        this._installPlugins(this.config.plugins || []);
+        
+        if (!this.config.analytics && this.analytics) {
+            this.analytics.destroy();
+            this.analytics = null;
+        }
+        
+        // 新しいObserverが交差状態を改めて通知する
+        this.observedElements.clear();
+        this.visibleElements.clear();
+        this._intersectionRatios.clear();
+        this._progressCache.clear();
+        this._diagnosticCache.clear();
+        this.root = null;
+        
+        if (wasStarted) {
+            this.init();
+        }
+        if (overlayVisible) {
+            this.showOverlay();
+        }
+        
+        this._emit('update', { instanceId: this.instanceId, options: options, timestamp: Date.now() });
+    }
+    
+    /**
+     * デバッグオーバーレイを表示
+     * 
+     * rootMarginを反映した判定領域、トリガーライン、監視中の要素の枠と交差率、
+     * diagnose()で検出された問題を画面上に描画します。debug: true の場合は自動で表示されます
+     * （autoDiagnose: false を指定した場合、問題は overlay.refresh() を呼び出すまで表示されません）。
+     * 
+     * @param {Object} [options] - 表示オプション
+     * @param {boolean} [options.diagnose=true] - 表示時にdiagnose()を実行して問題を表示
+     * @returns {DebugOverlay} 表示中のオーバーレイ
+     * @public
+     */
+    showOverlay(options = {}) {
+        if (!this.overlay) {
+            this.overlay = new DebugOverlay(this);
+            this.overlay.show(options);
+        }
+        return this.overlay;
+    }
+    
+    /**
+     * デバッグオーバーレイを削除
+     * 
+     * @public
+     */
+    hideOverlay() {
+        if (this.overlay) {
+            this.overlay.destroy();
+            this.overlay = null;
+        }
+    }
+    
     /**
      * IntersectionObserverのセットアップと初期評価
      * ObserverとDOM要素の監視を開始し、初期状態を評価します
@@ -81,9 +432,58 @@ class Scrolltering {
      * @private
      */
     setup() {
+        this.root = this._resolveRoot();
+        
+        // initフックはプラグインごとに1回のみ実行する（updateOptions()では追加されたプラグインのみ）
+        this._plugins.forEach(plugin => {
+            if (!this._initializedPlugins.has(plugin)) {
+                this._initializedPlugins.add(plugin);
+                if (plugin.init) {
+                    plugin.init(this);
+                }
+            }
+        });
+        
+        if (this.config.actions) {
+            this.actions = new TriggerActions(this);
+            // 初期状態ではすべての要素を is-future とする（updateOptions()時は現在のトリガーを再適用）
+            this.actions.apply(this.currentTriggerId, null);
+        }
+        
+        if (this.config.a11y) {
+            this.a11y = new AccessibilityLayer(this);
+            this.a11y.start();
+            // updateOptions()時は現在のトリガーに aria-current を再設定する
+            this.a11y.setCurrent(this.currentTriggerId ? this._findElementById(this.currentTriggerId) : null);
+        }
+        
+        // 集計はupdateOptions()をまたいで継続する
+        if (this.config.analytics && !this.analytics) {
+            this.analytics = new ReadingAnalytics(this);
+            this.analytics.start();
+        }
+        
         this.setupObserver();
         // 初期状態を即座に評価
         this.updateCurrentTrigger();
+        
+        if (this.config.progress || this._tracksScrollPosition()) {
+            this.setupScrollTracking();
+        }
+        
+        if (this.config.watch) {
+            this.setupMutationObserver();
+        }
+        
+        // URLで参照されているトリガーへ移動
+        if (this.config.history) {
+            this.historySync = new HistorySync(this);
+            this.historySync.start();
+        }
+        
+        if (this.config.debug) {
+            this.showOverlay({ diagnose: this.config.autoDiagnose });
+        }
     }
     
     /**
@@ -95,210 +495,1613 @@ class Scrolltering {
      * - ブラウザによる最適化（フレーム単位での処理）
      * - バッテリー消費の削減
      * 
+     * Observerはroot / rootMargin / thresholdが同じ他のインスタンスと共有されます。
+     * IntersectionObserverがない環境（またはengine: 'scroll'）では、スクロールイベントで
+     * 同じ交差判定を行う互換のObserverを使用します。
+     * 
      * @private
      */
     setupObserver() {
         const options = {
+            root: this.root,
             threshold: this.config.threshold,
             rootMargin: this.config.rootMargin
         };
         
+        // プラグインは Observer のオプションと監視対象の要素を変更できる
+        const context = {
+            scrolly: this,
+            options: options,
+            elements: Array.from(this._getTargetElements())
+        };
+        this._callPlugins('beforeObserve', context).forEach(result => {
+            if (Array.isArray(result)) {
+                context.elements = result;
+            }
+        });
+        
         // IntersectionObserverのコールバック関数
         // entries: 交差状態が変化した要素の配列
-        this.observer = new IntersectionObserver((entries) => {
+        // root / rootMargin / threshold が同じインスタンスとはObserverを共有し、
+        // このインスタンスが監視している要素のエントリだけが渡される
+        this.observer = getObserverPool(this._getEngine(true)).acquire(context.options, (observedEntries) => {
+            this._updateDirection();
+            
+            // プラグインは生のエントリを参照し、配列を返した場合はそれに置き換えられる
+            let entries = observedEntries;
+            this._plugins.forEach(plugin => {
+                if (typeof plugin.intersect === 'function') {
+                    const result = plugin.intersect(entries, this);
+                    if (Array.isArray(result)) {
+                        entries = result;
+                    }
+                }
+            });
+            
             entries.forEach(entry => {
                 const element = entry.target;
                 const triggerId = element.getAttribute(this.config.triggerAttribute);
+                const wasVisible = this.visibleElements.has(element);
                 
                 // entry.isIntersecting: 要素がビューポートと交差しているかどうか
                 // threshold設定に基づいて交差判定が行われる
                 if (entry.isIntersecting) {
                     // 要素が画面内に入った場合、Mapに追加
                     this.visibleElements.set(element, triggerId);
+                    this._intersectionRatios.set(element, entry.intersectionRatio);
+                    if (!wasVisible) {
+                        this.emitElementEvent('enter', element, triggerId);
+                    }
                 } else {
                     // 要素が画面外に出た場合、Mapから削除
                     this.visibleElements.delete(element);
+                    this._intersectionRatios.delete(element);
+                    if (wasVisible) {
+                        this.emitElementEvent('exit', element, triggerId);
+                    }
                 }
             });
             
             // デバウンス処理を適用してトリガー更新を実行
             // 連続した交差イベントによるパフォーマンス低下を防ぐ
             this.debouncedUpdate();
-        }, options);
+            
+            // オーバーレイの交差率を更新
+            if (this.overlay) {
+                this.overlay.requestUpdate();
+            }
+        });
         
-        // 監視対象の要素を登録
-        const targets = document.querySelectorAll(this.config.selector);
-        targets.forEach(target => this.observer.observe(target));
+        // 監視対象の要素を登録（rootが指定されている場合はその子孫のみ）
+        context.elements.forEach(target => this.observe(target));
+        this._getElementCache(true);
     }
     
     /**
-     * 現在アクティブなトリガーの更新
+     * MutationObserverによるDOM変更の自動追跡
      * 
-     * 画面内に表示されている要素の中から、最も上に位置する要素を
-     * 現在のトリガーとして選択します。これにより、スクロール位置に
-     * 応じた適切なセクション判定を実現します。
+     * 検索範囲（scope / root、未指定時はdocument.body）の子孫を監視し、
+     * 監視対象（selector、またはelementsの要素）の追加を自動でobserve()、
+     * DOMから切り離された要素を自動でunobserve()します。
      * 
      * @private
      */
-    updateCurrentTrigger() {
-        const entries = Array.from(this.visibleElements.entries());
-        
-        if (entries.length > 0) {
-            // 画面内で最も上にある要素を取得
-            // getBoundingClientRect()でビューポート相対位置を取得し、
-            // top値が最小（最上位）の要素を選択する
-            const topEntry = entries.reduce((prev, curr) => {
-                const prevRect = prev[0].getBoundingClientRect();
-                const currRect = curr[0].getBoundingClientRect();
-                return currRect.top < prevRect.top ? curr : prev;
+    setupMutationObserver() {
+        this.mutationObserver = new MutationObserver((mutations) => {
+            const addedNodes = [];
+            let hasRemovedNodes = false;
+            
+            mutations.forEach(mutation => {
+                mutation.addedNodes.forEach(node => {
+                    if (node.nodeType === Node.ELEMENT_NODE) {
+                        addedNodes.push(node);
+                    }
+                });
+                
+                if (mutation.removedNodes.length > 0) {
+                    hasRemovedNodes = true;
+                }
             });
             
-            const triggerId = topEntry[1];
-            this.lastValidTriggerId = triggerId;
-            this.setCurrentTrigger(triggerId);
-        } else {
-            // 画面内に要素がない場合（すべての要素が画面外）
-            // このケースは、要素間のスペースが大きい場合や
-            // 高速スクロール時に発生する可能性がある
-            if (this.lastValidTriggerId !== null) {
-                // 最後の有効なトリガーを維持することで、
-                // トリガーが突然消失することを防ぐ
-                this.setCurrentTrigger(this.lastValidTriggerId);
+            if (addedNodes.length > 0) {
+                this._observeAddedElements(addedNodes);
             }
-        }
+            if (hasRemovedNodes) {
+                this._forgetDetachedElements();
+            }
+        });
+        
+        this.mutationObserver.observe(this._getScope() || document.body, {
+            childList: true,
+            subtree: true
+        });
     }
     
     /**
-     * 現在のトリガーIDを設定し、変更イベントを発火
+     * 追加されたノード自身とその子孫に含まれる監視対象要素をobserve
+     * 監視対象は初期化時と同じ_getTargetElements()から取得するため、
+     * elementsに関数を指定した場合はその戻り値に含まれる要素が追加されます
      * 
-     * @param {string} triggerId - 設定するトリガーID
+     * @param {Array<Element>} nodes - 追加されたノード
      * @private
      */
-    setCurrentTrigger(triggerId) {
-        if (this.currentTriggerId !== triggerId) {
-            const previousTriggerId = this.currentTriggerId;
-            this.currentTriggerId = triggerId;
-            
-            // カスタムイベントを発火
-            this.emitTriggerChange(triggerId, previousTriggerId);
+    _observeAddedElements(nodes) {
+        Array.from(this._getTargetElements()).forEach(element => {
+            if (!this.observedElements.has(element) && nodes.some(node => node.contains(element))) {
+                this.observe(element);
+            }
+        });
+    }
+    
+    /**
+     * DOMから切り離された要素を監視対象から除外
+     * アクティブ要素が削除された場合はトリガーを再評価します
+     * 
+     * @private
+     */
+    _forgetDetachedElements() {
+        let currentRemoved = false;
+        
+        this.observedElements.forEach(element => {
+            if (element.isConnected) {
+                return;
+            }
+            if (element === this.currentElement) {
+                currentRemoved = true;
+            }
+            this.unobserve(element);
+        });
+        
+        if (currentRemoved) {
+            // 削除された要素のIDを最後の有効なトリガーとして維持しない
+            this.currentElement = null;
+            this.lastValidTriggerId = null;
+            this.updateCurrentTrigger();
         }
     }
     
     /**
-     * トリガー変更イベントの発火
+     * rootオプションをスクロールコンテナ要素に解決
      * 
-     * コールバック関数とカスタムイベントの両方を発火することで、
-     * 異なる使用パターンに対応します。
+     * @returns {Element|null} コンテナ要素、またはウィンドウを使用する場合はnull
+     * @private
+     */
+    _resolveRoot() {
+        const { root } = this.config;
+        if (!root) {
+            return null;
+        }
+        if (typeof root === 'string') {
+            return document.querySelector(root);
+        }
+        return root;
+    }
+
+    /**
+     * 現在のスクロールコンテナを取得
+     * setup()前に呼ばれた場合（診断など）はその場で解決します
      * 
-     * @param {string} currentId - 現在のトリガーID
-     * @param {string} previousId - 前回のトリガーID
+     * @returns {Element|null} コンテナ要素、またはウィンドウの場合はnull
      * @private
      */
-    emitTriggerChange(currentId, previousId) {
-        const detail = {
-            current: currentId,
-            previous: previousId,
-            timestamp: Date.now(),
-            instanceId: this.instanceId
-        };
-        
-        // カスタムコールバックがあれば実行
-        if (typeof this.config.onChange === 'function') {
-            this.config.onChange(detail);
+    _getRoot() {
+        return this.root || this._resolveRoot();
+    }
+
+    /**
+     * 監視対象要素の取得
+     * elementsが指定されている場合はその要素を、それ以外はselectorに一致する要素を返します。
+     * scopeまたはrootが指定されている場合はその要素内に検索範囲を限定します
+     * 
+     * @returns {NodeList|Array<Element>} 監視対象の要素
+     * @private
+     */
+    _getTargetElements() {
+        const { elements } = this.config;
+        // 関数がnullを返した場合（要素が未登録）はselectorで検索する
+        const specified = typeof elements === 'function' ? elements() : elements;
+        if (specified) {
+            return Array.from(specified);
         }
         
-        // イベントも発火（互換性のため）
-        const event = new CustomEvent('scrollTrigger', { detail });
-        window.dispatchEvent(event);
+        const scope = this._getScope() || document;
+        return scope.querySelectorAll(this.config.selector);
     }
     
     /**
-     * デバウンス関数のユーティリティ
+     * 監視対象要素の検索範囲を取得
+     * scopeオプションが未指定の場合はスクロールコンテナを使用します
      * 
-     * 短時間に連続して呼び出される関数の実行を制限し、
-     * 最後の呼び出しから指定時間後に一度だけ実行します。
-     * これにより、IntersectionObserverからの頻繁なコールバックによる
-     * パフォーマンス低下を防ぎます。
+     * @returns {Element|null} 検索範囲の要素、またはドキュメント全体の場合はnull
+     * @private
+     */
+    _getScope() {
+        const { scope } = this.config;
+        if (!scope) {
+            return this._getRoot();
+        }
+        return typeof scope === 'string' ? document.querySelector(scope) : scope;
+    }
+
+    /**
+     * axisオプションに対応するプロパティ名を取得
      * 
-     * @param {Function} func - デバウンス対象の関数
-     * @param {number} wait - 待機時間（ミリ秒）
-     * @returns {Function} デバウンス処理が適用された関数
+     * @returns {Object} AXESの定義（不明な値の場合は縦軸）
      * @private
      */
-    debounce(func, wait) {
-        return (...args) => {
-            clearTimeout(this._debounceTimer);
-            this._debounceTimer = setTimeout(() => func.apply(this, args), wait);
-        };
+    _getAxis() {
+        return AXES[this.config.axis] || AXES.y;
     }
     
     /**
-     * 現在のトリガーIDを取得
+     * スクロールコンテナの表示領域を取得
      * 
-     * @returns {string|null} 現在のトリガーID、または未設定の場合はnull
-     * @public
+     * @param {Function} [read] - 要素の矩形を取得する関数（まとめて計測する場合のキャッシュ付きリーダー）
+     * @returns {{top: number, left: number, width: number, height: number}} ビューポート相対の矩形
+     * @private
      */
-    getCurrentTriggerId() {
-        return this.currentTriggerId;
+    _getRootRect(read = readRect) {
+        const root = this._getRoot();
+        if (root) {
+            const rect = read(root);
+            return {
+                top: rect.top + root.clientTop,
+                left: rect.left + root.clientLeft,
+                width: root.clientWidth,
+                height: root.clientHeight
+            };
+        }
+        return {
+            top: 0,
+            left: 0,
+            width: window.innerWidth,
+            height: window.innerHeight
+        };
     }
     
     /**
-     * 要素を動的に監視対象に追加
+     * トリガーラインの位置を計算
      * 
-     * ページの動的コンテンツや遅延読み込みされた要素を
-     * 後から監視対象に追加する際に使用します。
+     * offsetが0-1の数値の場合はコンテナのサイズ（axis: 'x' では幅）に対する比率、
+     * '100px' 形式の文字列（または1より大きい数値）の場合はピクセル値として扱います。
      * 
-     * @param {Element} element - 監視対象に追加する要素
-     * @public
+     * @param {Object} rootRect - _getRootRect()で取得したコンテナ矩形
+     * @returns {number} コンテナ始端（上端または左端）からのトリガーライン位置（px）
+     * @private
      */
-    observe(element) {
-        if (this.observer && element) {
-            this.observer.observe(element);
+    _getTriggerLine(rootRect) {
+        const { offset } = this.config;
+        const size = rootRect[this._getAxis().size];
+        
+        if (typeof offset === 'string' && offset.trim().endsWith('px')) {
+            return parseFloat(offset);
+        }
+        
+        const value = parseFloat(offset);
+        if (isNaN(value)) {
+            return size * 0.5;
         }
+        return value > 1 ? value : size * value;
     }
     
     /**
-     * 要素を動的に監視対象から削除
+     * 選択方式の名前を取得
      * 
-     * 不要になった要素を監視対象から除外し、
-     * メモリリークを防ぎます。
+     * @returns {string} 選択方式名（比較関数の場合は 'custom'）
+     * @private
+     */
+    _getStrategyName() {
+        const { strategy } = this.config;
+        return typeof strategy === 'function' ? 'custom' : strategy;
+    }
+    
+    /**
+     * 使用する交差判定エンジンを取得
      * 
-     * @param {Element} element - 監視対象から削除する要素
-     * @public
+     * @param {boolean} [strict=false] - trueの場合、engine: 'intersection' で
+     *     IntersectionObserverがない時に例外を投げる
+     * @returns {string} 'intersection' | 'scroll'
+     * @private
      */
-    unobserve(element) {
-        if (this.observer && element) {
-            this.observer.unobserve(element);
-            this.visibleElements.delete(element);
+    _getEngine(strict = false) {
+        // 不明なエンジンでも監視を開始できるよう auto として扱い、diagnose() の invalid_engine で報告する
+        const name = ENGINES.includes(this.config.engine) ? this.config.engine : 'auto';
+        const engine = resolveEngine(name);
+        if (strict && engine === 'intersection' && typeof window.IntersectionObserver !== 'function') {
+            throw new Error('Scrolltering: IntersectionObserver がサポートされていません。engine に \'auto\' または \'scroll\' を指定してください');
         }
+        return engine;
     }
     
     /**
-     * システムの完全な破棄とクリーンアップ
+     * 候補の中からアクティブ要素を選択
      * 
-     * すべてのリソース（タイマー、Observer、内部状態）を解放し、
-     * メモリリークを防ぎます。SPA環境でのページ遷移時や、
-     * コンポーネントのアンマウント時に呼び出すことを推奨します。
+     * 各候補は { element, id, start, end, top, bottom, left, right, ratio } の形式で、
+     * 位置はすべてスクロールコンテナの表示領域からの相対位置です。
+     * start/end はaxisオプションに応じて top/bottom または left/right と同じ値になります。
      * 
-     * @public
+     * @param {Array<Object>} candidates - 表示中の要素の候補
+     * @param {number} line - トリガーライン位置（px）
+     * @returns {Object} 選択された候補
+     * @private
      */
-    destroy() {
-        // タイマーをクリア
-        if (this._debounceTimer) {
-            clearTimeout(this._debounceTimer);
+    _selectCandidate(candidates, line) {
+        const { strategy } = this.config;
+        
+        if (typeof strategy === 'function') {
+            // 比較関数: 負の値を返した場合に a を優先
+            return candidates.slice().sort(strategy)[0];
         }
         
-        // IntersectionObserverを完全に切断
-        // disconnect()ですべての監視対象が解除される
+        switch (strategy) {
+            case 'line': {
+                // トリガーラインをまたいでいる要素を優先し、
+                // なければライン上で最後に通過した要素、それもなければ最も近い要素を選択
+                const crossing = candidates.find(c => c.start <= line && c.end > line);
+                if (crossing) {
+                    return crossing;
+                }
+                const passed = candidates.filter(c => c.start <= line);
+                if (passed.length > 0) {
+                    return passed.reduce((prev, curr) => curr.start > prev.start ? curr : prev);
+                }
+                return candidates.reduce((prev, curr) => curr.start < prev.start ? curr : prev);
+            }
+            case 'largest-visible-ratio':
+                return candidates.reduce((prev, curr) => curr.ratio > prev.ratio ? curr : prev);
+            case 'topmost':
+            default:
+                // 始端の値が最小（最上位、axis: 'x' では最左）の要素を選択する
+                return candidates.reduce((prev, curr) => curr.start < prev.start ? curr : prev);
+        }
+    }
+    
+    /**
+     * 入れ子のトリガーを階層ごとに選択
+     * 
+     * 最上位の階層から順に選択方式を適用し、選択された要素の直下の子トリガーの中から
+     * 次の階層を選択します。最も深い階層で選択された要素を返します。
+     * 
+     * @param {Array<Object>} candidates - 表示中の要素の候補
+     * @param {number} line - トリガーライン位置（px）
+     * @returns {Object} 最も深い階層で選択された候補
+     * @private
+     */
+    _selectNestedCandidate(candidates, line) {
+        const visible = new Set(candidates.map(c => c.element));
+        let level = candidates.filter(c => !visible.has(this._getParentTrigger(c.element)));
+        let selected = this._selectCandidate(level, line);
+        
+        for (;;) {
+            const parent = selected.element;
+            level = candidates.filter(c => this._getParentTrigger(c.element) === parent);
+            if (level.length === 0) {
+                return selected;
+            }
+            selected = this._selectCandidate(level, line);
+        }
+    }
+    
+    /**
+     * 最も近い祖先のトリガー要素を取得
+     * 
+     * @param {Element} element - 対象要素
+     * @returns {Element|null} 親トリガー要素（rootの外側は含まない）
+     * @private
+     */
+    _getParentTrigger(element) {
+        const parent = element.parentElement
+            ? element.parentElement.closest(this.config.selector)
+            : null;
+        const root = this._getRoot();
+        if (!parent || (root && !root.contains(parent))) {
+            return null;
+        }
+        return parent;
+    }
+    
+    /**
+     * 最上位から指定要素までのトリガー要素の階層を取得
+     * 
+     * @param {Element|null} element - 最も深い階層の要素
+     * @returns {Array<Element>} 最上位から順に並べたトリガー要素
+     * @private
+     */
+    _getTriggerElementPath(element) {
+        const path = [];
+        for (let current = element; current; current = this._getParentTrigger(current)) {
+            path.unshift(current);
+        }
+        return path;
+    }
+    
+    /**
+     * トリガーIDの階層パスを取得
+     * 
+     * @param {string|null} triggerId - 最も深い階層のトリガーID
+     * @returns {Array<string>} 最上位から順に並べたトリガーID（例: ['chapter-2', 'step-3']）
+     * @private
+     */
+    _getTriggerPath(triggerId) {
+        const element = triggerId ? this._findElementById(triggerId) : null;
+        return this._getTriggerElementPath(element)
+            .map(el => el.getAttribute(this.config.triggerAttribute));
+    }
+    
+    /**
+     * 現在アクティブなトリガーの更新
+     * 
+     * 画面内に表示されている要素の中から、strategyオプションに従って
+     * 現在のトリガーを選択します。デフォルトでは最も上に位置する要素を選択し、
+     * スクロール位置に応じた適切なセクション判定を実現します。
+     * 
+     * @private
+     */
+    updateCurrentTrigger() {
+        this._commitTrigger(this._measureTrigger());
+    }
+    
+    /**
+     * トリガー選択に必要な要素の位置を計測
+     * 
+     * 他のインスタンスとまとめて更新する場合は、すべてのインスタンスの計測を
+     * 先に行ってから _commitTrigger() で反映します。
+     * 
+     * @param {Function} [read] - 要素の矩形を取得する関数
+     * @returns {Object|null} 計測結果（一時停止中はnull）
+     * @private
+     */
+    _measureTrigger(read = readRect) {
+        // 一時停止中は現在のトリガーを維持し、resume()時に再評価する
+        if (this._paused) {
+            return null;
+        }
+        
+        const entries = Array.from(this.visibleElements.entries());
+        if (entries.length === 0) {
+            return { candidates: [], line: 0 };
+        }
+        
+        // getBoundingClientRect()でスクロールコンテナ相対の位置を求め、
+        // 選択方式に渡す候補を作成する
+        const rootRect = this._getRootRect(read);
+        const axis = this._getAxis();
+        const candidates = entries.map(([element, id]) => {
+            const rect = read(element);
+            const top = rect.top - rootRect.top;
+            const bottom = rect.bottom - rootRect.top;
+            const left = rect.left - rootRect.left;
+            const right = rect.right - rootRect.left;
+            const position = { top, bottom, left, right };
+            return {
+                element: element,
+                id: id,
+                start: position[axis.start],
+                end: position[axis.end],
+                top: top,
+                bottom: bottom,
+                left: left,
+                right: right,
+                ratio: this._intersectionRatios.get(element) || 0
+            };
+        });
+        
+        return { candidates: candidates, line: this._getTriggerLine(rootRect) };
+    }
+    
+    /**
+     * 計測結果から現在のトリガーを選択して反映
+     * 
+     * @param {Object|null} measurement - _measureTrigger()の計測結果
+     * @private
+     */
+    _commitTrigger(measurement) {
+        // 計測後に一時停止された場合も反映しない
+        if (!measurement || this._paused) {
+            return;
+        }
+        
+        // 計測後に監視対象から外れた要素は候補から除く
+        const candidates = measurement.candidates.filter(candidate => this.visibleElements.has(candidate.element));
+        const line = measurement.line;
+        
+        if (candidates.length > 0) {
+            let selected = this.config.nested
+                ? this._selectNestedCandidate(candidates, line)
+                : this._selectCandidate(candidates, line);
+            
+            // プラグインは候補またはトリガーIDを返して選択を上書きできる
+            this._plugins.forEach(plugin => {
+                if (typeof plugin.selectCurrent !== 'function') {
+                    return;
+                }
+                const result = plugin.selectCurrent({ scrolly: this, candidates, selected, line });
+                const override = typeof result === 'string'
+                    ? candidates.find(candidate => candidate.id === result)
+                    : candidates.find(candidate => candidate === result);
+                if (override) {
+                    selected = override;
+                }
+            });
+            
+            const triggerId = selected.id;
+            // 抑制中のナビゲーションで通過したトリガーは、現在の要素も含めて反映しない
+            // （進捗やオーバーレイが出発点のIDと異なる要素を参照しないようにする）
+            if (this._isSuppressedByNavigation(triggerId)) {
+                return;
+            }
+            this.currentElement = selected.element;
+            this.lastValidTriggerId = triggerId;
+            this.setCurrentTrigger(triggerId);
+        } else {
+            // 画面内に要素がない場合（すべての要素が画面外）
+            // このケースは、要素間のスペースが大きい場合や
+            // 高速スクロール時に発生する可能性がある
+            if (this.lastValidTriggerId !== null) {
+                // 最後の有効なトリガーを維持することで、
+                // トリガーが突然消失することを防ぐ
+                this.setCurrentTrigger(this.lastValidTriggerId);
+            }
+        }
+    }
+    
+    /**
+     * 現在のトリガーIDを設定し、変更イベントを発火
+     * 
+     * @param {string} triggerId - 設定するトリガーID
+     * @private
+     */
+    setCurrentTrigger(triggerId) {
+        const navigation = this._navigation;
+        
+        // ナビゲーション中は途中で通過したトリガーの通知を抑制できる
+        // currentTriggerIdも更新しないため、到着時のpreviousは出発点のIDになる
+        if (this._isSuppressedByNavigation(triggerId)) {
+            return;
+        }
+        
+        // 一時停止中は通知せず、ナビゲーションの完了のみ扱う
+        if (this._paused) {
+            if (navigation && triggerId === navigation.id) {
+                this._finishNavigation();
+            }
+            return;
+        }
+        
+        if (this.currentTriggerId !== triggerId) {
+            const previousTriggerId = this.currentTriggerId;
+            this.currentTriggerId = triggerId;
+            
+            // カスタムイベントを発火（プラグインのbeforeChangeで取り消された場合は元に戻す）
+            if (!this.emitTriggerChange(triggerId, previousTriggerId)) {
+                this.currentTriggerId = previousTriggerId;
+                this.currentElement = previousTriggerId ? this._findElementById(previousTriggerId) : null;
+                this.lastValidTriggerId = previousTriggerId;
+            }
+        }
+        
+        if (navigation && triggerId === navigation.id) {
+            this._finishNavigation();
+        }
+    }
+    
+    /**
+     * 抑制付きのナビゲーション中に、目的地以外のトリガーが選択されたかどうか
+     * 
+     * @param {string} triggerId - 選択されたトリガーID
+     * @returns {boolean} 反映を抑制する場合true
+     * @private
+     */
+    _isSuppressedByNavigation(triggerId) {
+        const navigation = this._navigation;
+        return Boolean(navigation && navigation.suppress && triggerId !== navigation.id);
+    }
+    
+    /**
+     * トリガー変更イベントの発火
+     * 
+     * コールバック関数とカスタムイベントの両方を発火することで、
+     * 異なる使用パターンに対応します。
+     * 
+     * @param {string} currentId - 現在のトリガーID
+     * @param {string} previousId - 前回のトリガーID
+     * @returns {boolean} プラグインのbeforeChangeで取り消された場合false
+     * @private
+     */
+    emitTriggerChange(currentId, previousId) {
+        this._updateDirection();
+        
+        const detail = {
+            current: currentId,
+            previous: previousId,
+            direction: this.direction,
+            reducedMotion: this._prefersReducedMotion(),
+            timestamp: Date.now(),
+            instanceId: this.instanceId
+        };
+        
+        // 入れ子モードでは階層パスと変更された階層を付与
+        if (this.config.nested) {
+            const previousPath = this.currentPath;
+            const path = this._getTriggerPath(currentId);
+            const depth = Math.max(path.length, previousPath.length);
+            
+            detail.path = path;
+            detail.previousPath = previousPath;
+            detail.changedLevels = [];
+            for (let level = 0; level < depth; level++) {
+                if (path[level] !== previousPath[level]) {
+                    detail.changedLevels.push(level);
+                }
+            }
+        }
+        
+        // プラグインはdetailを変更でき、falseを返すと変更を取り消せる
+        const cancelled = this._plugins.some(plugin =>
+            typeof plugin.beforeChange === 'function' && plugin.beforeChange(detail, this) === false
+        );
+        if (cancelled) {
+            return false;
+        }
+        if (this.config.nested) {
+            this.currentPath = detail.path;
+        }
+        
+        // 宣言的アクションを先に適用し、コールバック内から最新の状態を参照できるようにする
+        if (this.actions) {
+            this.actions.apply(currentId, previousId);
+        }
+        
+        if (this.historySync) {
+            this.historySync.update(currentId);
+        }
+        
+        if (this.a11y) {
+            this.a11y.update(detail);
+        }
+        
+        if (this.analytics) {
+            this.analytics.record(currentId, previousId, this.direction);
+        }
+        
+        // カスタムコールバックがあれば実行
+        if (typeof this.config.onChange === 'function') {
+            this.config.onChange(detail);
+        }
+        
+        if (this.config.nested) {
+            this._emitLevelChanges(detail);
+        }
+        
+        this._emit('change', detail);
+        
+        // イベントも発火（互換性のため）
+        this._dispatchEvent('scrollTrigger', detail, currentId ? this._findElementById(currentId) : null);
+        
+        this._callPlugins('afterChange', detail, this);
+        return true;
+    }
+    
+    /**
+     * 変更された階層ごとのコールバックを実行
+     * 
+     * @param {Object} detail - トリガー変更の詳細（path / previousPath / changedLevels を含む）
+     * @private
+     */
+    _emitLevelChanges(detail) {
+        const callbacks = this.config.onLevelChange || [];
+        
+        detail.changedLevels.forEach(level => {
+            const callback = callbacks[level];
+            if (typeof callback !== 'function') {
+                return;
+            }
+            callback({
+                ...detail,
+                level: level,
+                current: detail.path[level] || null,
+                previous: detail.previousPath[level] || null
+            });
+        });
+    }
+    
+    /**
+     * 要素単位の進入・退出イベントの発火
+     * 
+     * onEnter / onExit コールバックと、scrollEnter / scrollExit カスタムイベントを発火します。
+     * 
+     * @param {string} type - 'enter' または 'exit'
+     * @param {Element} element - 対象要素
+     * @param {string} triggerId - 対象要素のトリガーID
+     * @private
+     */
+    emitElementEvent(type, element, triggerId) {
+        if (this._paused) {
+            return;
+        }
+        
+        const detail = {
+            element: element,
+            id: triggerId,
+            index: this._getElementIndex(element),
+            direction: this.direction,
+            timestamp: Date.now(),
+            instanceId: this.instanceId
+        };
+        
+        const callback = type === 'enter' ? this.config.onEnter : this.config.onExit;
+        if (typeof callback === 'function') {
+            callback(detail);
+        }
+        
+        this._emit(type, detail);
+        
+        const eventName = type === 'enter' ? 'scrollEnter' : 'scrollExit';
+        this._dispatchEvent(eventName, detail, element);
+    }
+    
+    /**
+     * DOMカスタムイベントの発火
+     * 
+     * eventTargetオプションに応じて発火先を切り替えます。
+     * 'root' / 'element' の場合はバブリングするため、祖先要素でもまとめて受け取れます。
+     * 
+     * @param {string} name - イベント名
+     * @param {Object} detail - イベントの詳細
+     * @param {Element|null} element - イベントに関連するトリガー要素
+     * @private
+     */
+    _dispatchEvent(name, detail, element) {
+        const { eventTarget } = this.config;
+        let target = window;
+        
+        if (eventTarget === 'element' && element) {
+            target = element;
+        } else if (eventTarget === 'root' && this._getRoot()) {
+            target = this._getRoot();
+        }
+        
+        const event = new CustomEvent(name, { detail, bubbles: target !== window });
+        target.dispatchEvent(event);
+    }
+    
+    /**
+     * インスタンスイベントのリスナーを登録
+     * 
+     * windowのグローバルイベントと異なり、このインスタンスのイベントのみを受け取ります。
+     * 
+     * @param {string} type - イベント名（'change' | 'enter' | 'exit' | 'progress' | 'update' | 'destroy'）
+     * @param {Function} listener - リスナー関数
+     * @returns {Function} 登録を解除する関数
+     * @public
+     */
+    on(type, listener) {
+        if (!this._listeners.has(type)) {
+            this._listeners.set(type, new Set());
+        }
+        this._listeners.get(type).add(listener);
+        return () => this.off(type, listener);
+    }
+    
+    /**
+     * インスタンスイベントのリスナーを解除
+     * 
+     * @param {string} type - イベント名
+     * @param {Function} listener - on()またはonce()で登録したリスナー関数
+     * @public
+     */
+    off(type, listener) {
+        const listeners = this._listeners.get(type);
+        if (!listeners) {
+            return;
+        }
+        listeners.delete(listener);
+        // once()で登録されたラッパーも解除する
+        listeners.forEach(registered => {
+            if (registered._original === listener) {
+                listeners.delete(registered);
+            }
+        });
+    }
+    
+    /**
+     * 一度だけ実行されるインスタンスイベントのリスナーを登録
+     * 
+     * @param {string} type - イベント名
+     * @param {Function} listener - リスナー関数
+     * @returns {Function} 登録を解除する関数
+     * @public
+     */
+    once(type, listener) {
+        const wrapper = (detail) => {
+            this.off(type, wrapper);
+            listener(detail);
+        };
+        wrapper._original = listener;
+        return this.on(type, wrapper);
+    }
+    
+    /**
+     * 指定したトリガーが現在のトリガーになるまで待機
+     * 
+     * @param {string} id - 待機するトリガーID
+     * @returns {Promise<string>} トリガーIDで解決されるPromise（destroy()時はreject）
+     * @public
+     */
+    waitFor(id) {
+        if (this.currentTriggerId === id) {
+            return Promise.resolve(id);
+        }
+        
+        return new Promise((resolve, reject) => {
+            const offChange = this.on('change', (detail) => {
+                if (detail.current === id) {
+                    offChange();
+                    offDestroy();
+                    resolve(id);
+                }
+            });
+            const offDestroy = this.once('destroy', () => {
+                offChange();
+                reject(new Error(`Scrolltering: トリガー "${id}" を待機中にインスタンスが破棄されました`));
+            });
+        });
+    }
+    
+    /**
+     * インスタンスイベントのリスナーを実行
+     * 
+     * @param {string} type - イベント名
+     * @param {Object} detail - イベントの詳細
+     * @private
+     */
+    _emit(type, detail) {
+        const listeners = this._listeners.get(type);
+        if (!listeners) {
+            return;
+        }
+        // 実行中のoff()による変更の影響を受けないようコピーしてから実行
+        Array.from(listeners).forEach(listener => listener(detail));
+    }
+    
+    /**
+     * プラグインをインスタンスに適用し、methodsをインスタンスのメソッドとして追加
+     * 
+     * @param {Array<Object>} plugins - プラグインの配列（重複は1つにまとめる）
+     * @private
+     */
+    _installPlugins(plugins) {
+        plugins.forEach(plugin => {
+            validatePlugin(plugin);
+            if (this._plugins.includes(plugin)) {
+                return;
+            }
+            
+            Object.keys(plugin.methods || {}).forEach(name => {
+                if (name in this) {
+                    throw new Error(`Scrolltering: プラグイン "${plugin.name}" のメソッド "${name}" は既に存在します`);
+                }
+                Object.defineProperty(this, name, {
+                    configurable: true,
+                    writable: true,
+                    value: plugin.methods[name].bind(this)
+                });
+            });
+            this._plugins.push(plugin);
+        });
+    }
+    
+    /**
+     * 適用中のプラグインのフックを登録順に実行
+     * 
+     * @param {string} hook - フック名
+     * @param {...*} args - フックに渡す引数
+     * @returns {Array} 各プラグインの戻り値（フックを実装していないプラグインは含まない）
+     * @private
+     */
+    _callPlugins(hook, ...args) {
+        return this._plugins
+            .filter(plugin => typeof plugin[hook] === 'function')
+            .map(plugin => plugin[hook](...args));
+    }
+    
+    /**
+     * 監視対象要素内での要素のインデックス（文書順）を取得
+     * 
+     * @param {Element} element - 対象要素
+     * @returns {number} インデックス、見つからない場合は-1
+     * @private
+     */
+    _getElementIndex(element) {
+        const { indexes } = this._getElementCache();
+        if (indexes.has(element)) {
+            return indexes.get(element);
+        }
+        // 索引の作成後に追加された要素は作り直して検索する
+        const rebuilt = this._getElementCache(true).indexes;
+        return rebuilt.has(element) ? rebuilt.get(element) : -1;
+    }
+    
+    /**
+     * 監視対象要素のインデックスとトリガーIDの索引を取得
+     * 
+     * setupObserver()で作成し、observe() / unobserve()（watchによる自動追跡を含む）と
+     * 設定の変更で破棄します。破棄後は次の参照時に作り直します。
+     * 
+     * @param {boolean} [rebuild=false] - trueの場合は作り直す
+     * @returns {{indexes: Map<Element, number>, ids: Map<string, Element>}} 要素 → 文書順のインデックス、トリガーID → 要素
+     * @private
+     */
+    _getElementCache(rebuild = false) {
+        if (this._elementCache && !rebuild) {
+            return this._elementCache;
+        }
+        
+        const indexes = new Map();
+        const ids = new Map();
+        Array.from(this._getTargetElements()).forEach((element, index) => {
+            indexes.set(element, index);
+            const id = element.getAttribute(this.config.triggerAttribute);
+            // IDが重複している場合は文書順で最初の要素
+            if (id && !ids.has(id)) {
+                ids.set(id, element);
+            }
+        });
+        this._elementCache = { indexes: indexes, ids: ids };
+        return this._elementCache;
+    }
+    
+    /**
+     * 現在のスクロール位置を取得
+     * 
+     * @returns {number} コンテナまたはウィンドウのスクロール量（axisオプションの軸）
+     * @private
+     */
+    _getScrollPosition() {
+        const root = this._getRoot();
+        const axis = this._getAxis();
+        return root ? root[axis.scrollPosition] : window[axis.pageOffset];
+    }
+    
+    /**
+     * 前回のスクロール位置と比較してスクロール方向を更新
+     * 位置が変化していない場合は直前の方向を維持します
+     * 
+     * @private
+     */
+    _updateDirection() {
+        const position = this._getScrollPosition();
+        if (this._lastScrollPosition !== null && position !== this._lastScrollPosition) {
+            const axis = this._getAxis();
+            this.direction = position > this._lastScrollPosition ? axis.forward : axis.backward;
+        }
+        this._lastScrollPosition = position;
+    }
+    
+    /**
+     * スクロール位置に応じた再評価が必要な選択方式かどうか
+     * 
+     * topmost / largest-visible-ratio の順位は交差状態の変化時にしか変わりませんが、
+     * line や比較関数はスクロールのたびに結果が変わり得ます。
+     * 
+     * @returns {boolean} scrollイベントでの再評価が必要な場合true
+     * @private
+     */
+    _tracksScrollPosition() {
+        const strategy = this._getStrategyName();
+        return strategy === 'line' || strategy === 'custom';
+    }
+    
+    /**
+     * スクロール追従のセットアップ
+     * 
+     * scrollイベントはpassiveで登録し、ハンドラー内ではrAFの予約のみを行います。
+     * レイアウトの読み取りは1フレームにつき最大1回に抑えられます。
+     * rAFは全インスタンスで共有され、すべてのインスタンスの計測後にまとめて反映されます。
+     * 
+     * @private
+     */
+    setupScrollTracking() {
+        this._scrollTarget = this.root || window;
+        this._onScroll = () => this._requestFrameUpdate();
+        
+        this._scrollTarget.addEventListener('scroll', this._onScroll, { passive: true });
+        window.addEventListener('resize', this._onScroll, { passive: true });
+        
+        this._requestFrameUpdate();
+    }
+    
+    /**
+     * 次のフレームでの再評価を予約
+     * 同一フレーム内の複数回の呼び出しは1回にまとめられます
+     * 
+     * @private
+     */
+    _requestFrameUpdate() {
+        frameBatch.request(this, (read) => ({
+            trigger: this._tracksScrollPosition() ? this._measureTrigger(read) : null,
+            progress: this.config.progress ? this._measureProgress(read) : null
+        }), (measurement) => {
+            if (measurement.trigger) {
+                this._commitTrigger(measurement.trigger);
+            }
+            if (measurement.progress) {
+                this.updateProgress(measurement.progress);
+            }
+        });
+    }
+    
+    /**
+     * 進捗の計算に必要な要素の位置を計測
+     * 
+     * トリガーの反映でアクティブ要素が切り替わっても計測し直さずに済むよう、
+     * 表示中の全要素と現在のアクティブ要素を計測します。
+     * 
+     * @param {Function} read - 要素の矩形を取得する関数
+     * @returns {{rootRect: Object, rects: Map<Element, DOMRect>}} 計測結果
+     * @private
+     */
+    _measureProgress(read) {
+        const elements = new Set(this.visibleElements.keys());
+        if (this.currentElement) {
+            elements.add(this.currentElement);
+        }
+        
+        const rects = new Map();
+        elements.forEach(element => rects.set(element, read(element)));
+        return { rootRect: this._getRootRect(read), rects: rects };
+    }
+    
+    /**
+     * 要素の進捗値を計算
+     * 
+     * 要素の上端がコンテナ下端に達した時点を0、要素の下端がコンテナ上端に
+     * 達した時点を1とし、その間を線形に補間します（axis: 'x' では左右で同様に計算）。
+     * 
+     * @param {Element} element - 対象要素
+     * @param {Object} rootRect - _getRootRect()で取得したコンテナ矩形
+     * @param {DOMRect} [rect] - 計測済みの要素の矩形
+     * @returns {number} 0-1の進捗値
+     * @private
+     */
+    _calculateProgress(element, rootRect, rect = element.getBoundingClientRect()) {
+        const axis = this._getAxis();
+        const start = rect[axis.start] - rootRect[axis.start];
+        const viewportSize = rootRect[axis.size];
+        const distance = rect[axis.size] + viewportSize;
+        
+        if (distance <= 0) {
+            return 0;
+        }
+        
+        const progress = (viewportSize - start) / distance;
+        return Math.min(1, Math.max(0, progress));
+    }
+    
+    /**
+     * 進捗値の計測と通知
+     * 
+     * アクティブ要素（progressAll時は表示中の全要素）の進捗を計算し、
+     * 前回から値が変化した場合のみ進捗イベントを発火します。
+     * 
+     * @param {Object} [measurement] - _measureProgress()の計測結果（省略時はその場で計測）
+     * @private
+     */
+    updateProgress(measurement = null) {
+        if (!this.currentElement || this._paused) {
+            return;
+        }
+        
+        const rootRect = measurement ? measurement.rootRect : this._getRootRect();
+        const targets = this.config.progressAll
+            ? Array.from(this.visibleElements.keys())
+            : [this.currentElement];
+        
+        if (!targets.includes(this.currentElement)) {
+            targets.unshift(this.currentElement);
+        }
+        
+        // アクティブ要素が切り替わった場合は値に関わらず通知する
+        let changed = this._progressTriggerId !== this.currentTriggerId;
+        this._progressTriggerId = this.currentTriggerId;
+        const elements = targets.map(element => {
+            const rect = measurement ? measurement.rects.get(element) : undefined;
+            const progress = this._calculateProgress(element, rootRect, rect);
+            if (this._progressCache.get(element) !== progress) {
+                this._progressCache.set(element, progress);
+                changed = true;
+            }
+            return {
+                id: element.getAttribute(this.config.triggerAttribute),
+                element: element,
+                progress: progress
+            };
+        });
+        
+        if (!changed) {
+            return;
+        }
+        
+        const active = elements.find(item => item.element === this.currentElement);
+        this.emitProgress({
+            current: this.currentTriggerId,
+            progress: active.progress,
+            element: active.element,
+            elements: this.config.progressAll ? elements : undefined
+        });
+    }
+    
+    /**
+     * 進捗イベントの発火
+     * 
+     * emitTriggerChange()と同様に、コールバックとカスタムイベントの両方を発火します。
+     * 
+     * @param {Object} progressDetail - 進捗情報
+     * @private
+     */
+    emitProgress(progressDetail) {
+        const detail = {
+            ...progressDetail,
+            timestamp: Date.now(),
+            instanceId: this.instanceId
+        };
+        
+        if (typeof this.config.onProgress === 'function') {
+            this.config.onProgress(detail);
+        }
+        
+        this._emit('progress', detail);
+        
+        this._dispatchEvent('scrollProgress', detail, detail.element);
+    }
+    
+    /**
+     * デバウンス関数のユーティリティ
+     * 
+     * 短時間に連続して呼び出される関数の実行を制限し、
+     * 最後の呼び出しから指定時間後に一度だけ実行します。
+     * これにより、IntersectionObserverからの頻繁なコールバックによる
+     * パフォーマンス低下を防ぎます。
+     * 
+     * 同じタイミングで期限を迎えた他のインスタンスとまとめて実行され、
+     * すべてのインスタンスの計測（read）の後に反映（write）が行われます。
+     * 
+     * @param {Function} read - (read) => 計測結果 を返す計測関数
+     * @param {Function} write - 計測結果を反映する関数
+     * @param {number} wait - 待機時間（ミリ秒）
+     * @returns {Function} デバウンス処理が適用された関数
+     * @private
+     */
+    debounce(read, write, wait) {
+        return () => {
+            this._pendingUpdate = () => {
+                debounceBatch.cancel(this);
+                this._pendingUpdate = null;
+                write(read(readRect));
+            };
+            debounceBatch.schedule(this, wait, read, (measurement) => {
+                this._pendingUpdate = null;
+                write(measurement);
+            });
+        };
+    }
+    
+    /**
+     * デバウンス待ちのトリガー更新を即座に実行
+     * 
+     * テストや、DOM変更直後に確実に最新の状態を反映したい場合に使用します。
+     * 待機中の更新がない場合は何もしません。
+     * 
+     * @public
+     */
+    flush() {
+        if (this._pendingUpdate) {
+            this._pendingUpdate();
+        }
+    }
+    
+    /**
+     * 現在のトリガーIDを取得
+     * 
+     * @returns {string|null} 現在のトリガーID、または未設定の場合はnull
+     * @public
+     */
+    getCurrentTriggerId() {
+        return this.currentTriggerId;
+    }
+    
+    /**
+     * キーフレームタイムラインを作成
+     * 
+     * 各トリガー要素のスクロール進捗に応じて数値・色・CSSカスタムプロパティを補間します。
+     * タイムラインはこのインスタンスのdestroy()時に自動で破棄されます。
+     * 
+     * @param {Object} [options] - タイムラインの設定（steps, easing）
+     * @returns {ScrollTimeline} 作成されたタイムライン
+     * @public
+     */
+    createTimeline(options) {
+        const timeline = new ScrollTimeline(this, options);
+        this._timelines.add(timeline);
+        this._diagnosticCache.clear();
+        return timeline;
+    }
+    
+    /**
+     * 現在のトリガーの階層パスを取得
+     * 
+     * @returns {Array<string>} 最上位から順に並べたトリガーID（nested無効時は現在のIDのみ）
+     * @public
+     */
+    getCurrentPath() {
+        if (!this.config.nested) {
+            return this.currentTriggerId !== null ? [this.currentTriggerId] : [];
+        }
+        return this.currentPath.slice();
+    }
+    
+    /**
+     * 読了分析の集計結果を取得
+     * 
+     * ステップごとの滞在時間（ミリ秒）・表示回数・逆方向へのスクロール回数を初回表示順に並べた steps、
+     * 到達した最も深い要素 maxDepth、逆スクロールの合計 backScrolls などを含みます。
+     * 
+     * @returns {Object|null} 集計結果（analytics無効時はnull）
+     * @public
+     */
+    getStats() {
+        return this.analytics ? this.analytics.getStats() : null;
+    }
+    
+    /**
+     * 指定したトリガーまでスクロール
+     * 
+     * ウィンドウまたはrootコンテナをスクロールし、対象要素が現在のトリガーに
+     * なった時点で解決されるPromiseを返します。strategy: 'line' の場合は
+     * 対象要素の上端がトリガーラインに来る位置までスクロールします。
+     * 直前の要素が判定領域に接したまま残らないよう、境界を1px越えた位置に止まります。
+     * 対象に到着しないままスクロールが止まった場合は、その時点の現在のトリガーIDで解決されます。
+     * start()前やdestroy()後は拒否されます。
+     * 
+     * @param {string} id - 移動先のトリガーID
+     * @param {Object} [options] - スクロールオプション
+     * @param {string} [options.behavior='smooth'] - スクロール動作（'smooth' | 'auto'）。
+     *   a11y有効時に動きを減らす設定（prefers-reduced-motion）の場合は 'auto'
+     * @param {number} [options.offset=0] - 追加のオフセット（px、正の値で手前に止まる）
+     * @param {boolean} [options.suppress=false] - 途中で通過したトリガーの通知を抑制
+     * @returns {Promise<string>} 到着したトリガーIDで解決されるPromise
+     * @public
+     */
+    scrollToTrigger(id, {
+        behavior = this.config.a11y && this._prefersReducedMotion() ? 'auto' : 'smooth',
+        offset = 0,
+        suppress = false
+    } = {}) {
+        if (!this._isRunning()) {
+            return Promise.reject(new Error('Scrolltering: 監視を開始していないため、スクロールできません'));
+        }
+        
+        const element = this._findElementById(id);
+        if (!element) {
+            return Promise.reject(new Error(`Scrolltering: トリガーID "${id}" の要素が見つかりません`));
+        }
+        
+        // 進行中のナビゲーションは現在位置で完了させる
+        if (this._navigation) {
+            this._finishNavigation();
+        }
+        
+        if (this.currentTriggerId === id) {
+            return Promise.resolve(id);
+        }
+        
+        const root = this._getRoot();
+        const rootRect = this._getRootRect();
+        const axis = this._getAxis();
+        // 対象要素の始端を合わせる位置（line: トリガーライン、それ以外: rootMarginを反映した判定領域の始端）
+        const insets = getRootMarginInsets(this.config.rootMargin, rootRect.width, rootRect.height);
+        const anchor = this._getStrategyName() === 'line' ? this._getTriggerLine(rootRect) : -insets[axis.start];
+        const position = element.getBoundingClientRect()[axis.start] - rootRect[axis.start] +
+            this._getScrollPosition() - anchor - offset;
+        
+        const scrollTarget = root || window;
+        const navigation = {
+            id: id,
+            suppress: suppress,
+            resolve: null,
+            idleTimer: null,
+            scrollTarget: scrollTarget,
+            onScroll: null
+        };
+        const promise = new Promise(resolve => {
+            navigation.resolve = resolve;
+        });
+        
+        // スクロールが止まっても到着判定されない場合（最後の要素が短い等）に備え、
+        // スクロール停止を検出したら再評価し、それでも未到着ならその時点の現在のトリガーで完了する
+        navigation.onScroll = () => {
+            clearTimeout(navigation.idleTimer);
+            navigation.idleTimer = setTimeout(() => {
+                if (this._navigation !== navigation) {
+                    return;
+                }
+                this.updateCurrentTrigger();
+                if (this._navigation === navigation) {
+                    this._finishNavigation();
+                    // suppress中に通知しなかった変更を反映する
+                    this.updateCurrentTrigger();
+                }
+            }, 150);
+        };
+        
+        this._navigation = navigation;
+        scrollTarget.addEventListener('scroll', navigation.onScroll, { passive: true });
+        // 境界ちょうどでは直前の要素の端が判定領域に接して交差中のまま残るため、1px越えた位置に止まる
+        scrollTarget.scrollTo({ [axis.start]: position > 0 ? position + 1 : 0, behavior: behavior });
+        // スクロールが発生しない場合も停止検出を開始する
+        navigation.onScroll();
+        
+        return promise;
+    }
+    
+    /**
+     * 次のトリガーまでスクロール
+     * 
+     * @param {Object} [options] - scrollToTrigger()と同じオプション
+     * @returns {Promise<string|null>} 到着したトリガーIDで解決されるPromise
+     * @public
+     */
+    next(options) {
+        return this._scrollByStep(1, options);
+    }
+    
+    /**
+     * 前のトリガーまでスクロール
+     * 
+     * @param {Object} [options] - scrollToTrigger()と同じオプション
+     * @returns {Promise<string|null>} 到着したトリガーIDで解決されるPromise
+     * @public
+     */
+    prev(options) {
+        return this._scrollByStep(-1, options);
+    }
+    
+    /**
+     * 現在のトリガーから指定数だけ前後のトリガーへスクロール
+     * 
+     * @param {number} step - 移動量（1: 次、-1: 前）
+     * @param {Object} [options] - scrollToTrigger()と同じオプション
+     * @returns {Promise<string|null>} 到着したトリガーIDで解決されるPromise
+     * @private
+     */
+    _scrollByStep(step, options) {
+        if (!this._isRunning()) {
+            return Promise.reject(new Error('Scrolltering: 監視を開始していないため、スクロールできません'));
+        }
+        const ids = this._getTriggerIds();
+        const index = ids.indexOf(this.currentTriggerId);
+        // 現在のトリガーが未設定の場合は先頭から開始
+        const targetIndex = index === -1 ? 0 : index + step;
+        
+        if (targetIndex < 0 || targetIndex >= ids.length) {
+            return Promise.resolve(this.currentTriggerId);
+        }
+        return this.scrollToTrigger(ids[targetIndex], options);
+    }
+    
+    /**
+     * 監視中（start()済みでセットアップが完了し、destroy()されていない）かどうか
+     * 
+     * @returns {boolean} 監視中の場合true
+     * @private
+     */
+    _isRunning() {
+        return this._started && this.observer !== null;
+    }
+    
+    /**
+     * ユーザーが動きを減らす設定（prefers-reduced-motion: reduce）にしているかどうか
+     * 
+     * @returns {boolean} 設定されている場合true（matchMedia非対応の環境ではfalse）
+     * @private
+     */
+    _prefersReducedMotion() {
+        return typeof window.matchMedia === 'function' &&
+            window.matchMedia('(prefers-reduced-motion: reduce)').matches;
+    }
+    
+    /**
+     * 監視対象要素のトリガーIDを文書順に取得
+     * 
+     * @returns {Array<string>} トリガーIDの配列
+     * @private
+     */
+    _getTriggerIds() {
+        return Array.from(this._getTargetElements())
+            .map(element => element.getAttribute(this.config.triggerAttribute))
+            .filter(id => id);
+    }
+    
+    /**
+     * トリガーIDから要素を検索
+     * 
+     * @param {string} id - トリガーID
+     * @returns {Element|null} 一致する要素
+     * @private
+     */
+    _findElementById(id) {
+        const element = this._getElementCache().ids.get(id);
+        if (element && element.isConnected && element.getAttribute(this.config.triggerAttribute) === id) {
+            return element;
+        }
+        // 索引の作成後に追加・変更された要素は作り直して検索する
+        return this._getElementCache(true).ids.get(id) || null;
+    }
+    
+    /**
+     * 進行中のナビゲーションを完了し、Promiseを解決
+     * 
+     * @private
+     */
+    _finishNavigation() {
+        const navigation = this._navigation;
+        if (!navigation) {
+            return;
+        }
+        this._navigation = null;
+        
+        clearTimeout(navigation.idleTimer);
+        navigation.scrollTarget.removeEventListener('scroll', navigation.onScroll);
+        navigation.resolve(this.currentTriggerId);
+    }
+    
+    /**
+     * 要素を動的に監視対象に追加
+     * 
+     * ページの動的コンテンツや遅延読み込みされた要素を
+     * 後から監視対象に追加する際に使用します。
+     * 
+     * @param {Element} element - 監視対象に追加する要素
+     * @public
+     */
+    observe(element) {
+        if (this.observer && element) {
+            this.observer.observe(element);
+            this.observedElements.add(element);
+            this._elementCache = null;
+        }
+    }
+    
+    /**
+     * 要素を動的に監視対象から削除
+     * 
+     * 不要になった要素を監視対象から除外し、
+     * メモリリークを防ぎます。
+     * 
+     * @param {Element} element - 監視対象から削除する要素
+     * @public
+     */
+    unobserve(element) {
+        if (this.observer && element) {
+            this.observer.unobserve(element);
+            this.observedElements.delete(element);
+            this.visibleElements.delete(element);
+            this._intersectionRatios.delete(element);
+            this._progressCache.delete(element);
+            this._elementCache = null;
+        }
+    }
+    
+    /**
+     * システムの完全な破棄とクリーンアップ
+     * 
+     * すべてのリソース（タイマー、Observer、内部状態）を解放し、
+     * メモリリークを防ぎます。SPA環境でのページ遷移時や、
+     * コンポーネントのアンマウント時に呼び出すことを推奨します。
+     * 
+     * @public
+     */
+    destroy() {
+        // 破棄前に通知
+        this._emit('destroy', { instanceId: this.instanceId, timestamp: Date.now() });
+        this._listeners.clear();
+        
+        this._plugins.forEach(plugin => {
+            if (this._initializedPlugins.has(plugin) && plugin.destroy) {
+                plugin.destroy(this);
+            }
+        });
+        this._initializedPlugins.clear();
+        
+        this._teardown();
+        this.hideOverlay();
+        
+        // 最終的な集計結果を送信
+        if (this.analytics) {
+            this.analytics.flush('destroy');
+            this.analytics.destroy();
+            this.analytics = null;
+        }
+        
+        // 宣言的アクションで付与したクラスやCSS変数を解除
+        if (this.actions) {
+            this.actions.clear(this.currentTriggerId);
+            this.actions = null;
+        }
+        
+        // 内部状態をクリア
+        this.observedElements.clear();
+        this.visibleElements.clear();
+        this._intersectionRatios.clear();
+        this._progressCache.clear();
+        this._progressTriggerId = null;
+        this.root = null;
+        this.currentTriggerId = null;
+        this.currentElement = null;
+        this.currentPath = [];
+        this.lastValidTriggerId = null;
+        this.direction = null;
+        this._lastScrollPosition = null;
+        this._diagnosticCache.clear();
+        this._started = false;
+        this._paused = false;
+    }
+    
+    /**
+     * 監視に使用しているリソース（タイマー、Observer、イベントリスナー）を解放
+     * 
+     * destroy()とupdateOptions()から呼び出されます。現在のトリガーなどの状態は維持します。
+     * 
+     * @private
+     */
+    _teardown() {
+        // DOMContentLoaded待ちを解除
+        if (this._onReady) {
+            document.removeEventListener('DOMContentLoaded', this._onReady);
+            this._onReady = null;
+        }
+        
+        // デバウンス待ちの更新を取り消し
+        debounceBatch.cancel(this);
+        this._pendingUpdate = null;
+        this._elementCache = null;
+        
+        // 進行中のナビゲーションを完了
+        this._finishNavigation();
+        
+        // スクロール追従のフレームとイベントリスナーを解除
+        frameBatch.cancel(this);
+        if (this._onScroll) {
+            this._scrollTarget.removeEventListener('scroll', this._onScroll);
+            window.removeEventListener('resize', this._onScroll);
+            this._onScroll = null;
+            this._scrollTarget = null;
+        }
+        
+        // IntersectionObserverの利用を終了
+        // disconnect()でこのインスタンスの監視対象が解除され、利用者がいなくなった共有Observerは切断される
         if (this.observer) {
             this.observer.disconnect();
+            this.observer = null;
+        }
+        
+        // DOM変更の監視を停止
+        if (this.mutationObserver) {
+            this.mutationObserver.disconnect();
+            this.mutationObserver = null;
+        }
+        
+        // URL同期のイベントリスナーを解除
+        if (this.historySync) {
+            this.historySync.destroy();
+            this.historySync = null;
         }
         
-        // 内部状態をクリア
-        this.visibleElements.clear();
-        this.currentTriggerId = null;
-        this.lastValidTriggerId = null;
-        this._diagnosticCache.clear();
+        // ライブリージョンと aria-current を削除
+        if (this.a11y) {
+            this.a11y.destroy();
+            this.a11y = null;
+        }
     }
 
     /**
@@ -312,25 +2115,38 @@ class Scrolltering {
      * @public
      */
     diagnose(verbose = false) {
-        const cacheKey = `diagnose_${verbose}`;
+        const cacheKey = `diagnose_${verbose}_${diagnosticsVersion}`;
         if (this._diagnosticCache.has(cacheKey)) {
             return this._diagnosticCache.get(cacheKey);
         }
 
-        const issues = [];
-        const elements = document.querySelectorAll(this.config.selector);
+        const detectedIssues = [];
+        const elements = this._getTargetElements();
         
         // 要素関連の診断
         const elementIssues = this.validateElements();
-        issues.push(...elementIssues);
+        detectedIssues.push(...elementIssues);
+        
+        // 祖先要素と配置の診断
+        if (elements.length > 0) {
+            detectedIssues.push(...this._checkLayout(elements));
+        }
         
         // パフォーマンス関連の診断
         const performanceIssues = this.checkPerformance();
-        issues.push(...performanceIssues);
+        detectedIssues.push(...performanceIssues);
         
         // 環境関連の診断
         const environmentIssues = this._checkEnvironment();
-        issues.push(...environmentIssues);
+        detectedIssues.push(...environmentIssues);
+        
+        // registerDiagnosticRule()で登録されたルールとプラグインの診断
+        detectedIssues.push(...this._runDiagnosticRules(elements));
+        detectedIssues.push(...this._runPluginDiagnostics(elements));
+        
+        // disabledRulesで無効にしたルールの問題を除外
+        const disabledRules = this.config.disabledRules || [];
+        const issues = detectedIssues.filter(issue => !disabledRules.includes(issue.type));
 
         // 診断結果の作成
         const result = {
@@ -340,6 +2156,10 @@ class Scrolltering {
                 totalElements: elements.length,
                 problematicElements: this._countProblematicElements(issues),
                 performanceScore: this._calculatePerformanceScore(issues),
+                strategy: this._getStrategyName(),
+                engine: this._getEngine(),
+                offset: this.config.offset,
+                axis: this.config.axis,
                 timestamp: Date.now()
             }
         };
@@ -358,6 +2178,254 @@ class Scrolltering {
         return result;
     }
 
+    /**
+     * 登録された診断ルールを実行
+     * 
+     * check関数の戻り値（問題オブジェクト、メッセージ文字列、またはそれらの配列）を、
+     * ルールのtype / severity を補った問題に変換します。
+     * 
+     * @param {NodeList|Array<Element>} elements - 監視対象要素
+     * @returns {Array} 問題配列
+     * @private
+     */
+    _runDiagnosticRules(elements) {
+        const issues = [];
+        const context = {
+            scrolly: this,
+            config: this.config,
+            elements: Array.from(elements),
+            root: this._getRoot()
+        };
+        
+        diagnosticRules.forEach(rule => {
+            let results;
+            try {
+                results = rule.check(context);
+            } catch (error) {
+                issues.push(this._createIssue('diagnostic_rule_failed', 'error', {
+                    rule: rule.type,
+                    error: error.message
+                }));
+                return;
+            }
+            
+            [].concat(results || [])
+                .filter(result => typeof result === 'string' || (result && typeof result === 'object'))
+                .forEach(result => {
+                    issues.push({
+                        type: rule.type,
+                        severity: rule.severity,
+                        message: rule.message || '',
+                        suggestion: rule.suggestion || '',
+                        ...(typeof result === 'string' ? { message: result } : result)
+                    });
+                });
+        });
+        
+        return issues;
+    }
+    
+    /**
+     * プラグインのdiagnoseフックを実行
+     * 
+     * 戻り値の形式はregisterDiagnosticRule()のcheck関数と同じです。
+     * typeを省略した問題にはプラグインのnameが使用されます。
+     * 
+     * @param {NodeList|Array<Element>} elements - 監視対象要素
+     * @returns {Array} 問題配列
+     * @private
+     */
+    _runPluginDiagnostics(elements) {
+        const issues = [];
+        const context = {
+            scrolly: this,
+            config: this.config,
+            elements: Array.from(elements),
+            root: this._getRoot()
+        };
+        
+        this._plugins.forEach(plugin => {
+            if (typeof plugin.diagnose !== 'function') {
+                return;
+            }
+            let results;
+            try {
+                results = plugin.diagnose(context);
+            } catch (error) {
+                issues.push(this._createIssue('diagnostic_rule_failed', 'error', {
+                    rule: plugin.name,
+                    error: error.message
+                }));
+                return;
+            }
+            
+            [].concat(results || [])
+                .filter(result => typeof result === 'string' || (result && typeof result === 'object'))
+                .forEach(result => {
+                    issues.push({
+                        type: plugin.name,
+                        severity: 'warning',
+                        message: '',
+                        suggestion: '',
+                        ...(typeof result === 'string' ? { message: result } : result)
+                    });
+                });
+        });
+        
+        return issues;
+    }
+    
+    /**
+     * 診断結果を機械可読な形式で出力
+     * 
+     * CIで使用する場合は 'junit' を指定すると、severity が error の問題が
+     * failure として出力され、ビルドを失敗させることができます。
+     * 
+     * @param {string} [format='json'] - 出力形式（'json' | 'junit'）
+     * @returns {string} レポート文字列
+     * @public
+     */
+    exportDiagnostics(format = 'json') {
+        const report = createReport(this.diagnose(), {
+            instanceId: this.instanceId,
+            triggerAttribute: this.config.triggerAttribute
+        });
+        
+        if (format === 'junit') {
+            return toJUnit(report);
+        }
+        if (format !== 'json') {
+            throw new Error(`Scrolltering: 未対応のレポート形式です: ${format}`);
+        }
+        return JSON.stringify(report, null, 2);
+    }
+    
+    /**
+     * 独自の診断ルールを登録
+     * 
+     * 登録したルールはすべてのインスタンスのdiagnose()で実行されます。
+     * 同じtypeのルールを登録した場合は置き換えられます。
+     * 
+     * @param {Object} rule - 診断ルール
+     * @param {string} rule.type - 問題の種類（disabledRulesで無効にする際の名前）
+     * @param {string} [rule.severity='warning'] - 重要度（'error' | 'warning' | 'info'）
+     * @param {Function} rule.check - ({ scrolly, config, elements, root }) を受け取り、
+     *   問題（{ message, element, suggestion }）・メッセージ文字列・それらの配列、または問題がなければnullを返す関数
+     * @param {string} [rule.suggestion] - 問題に付与する既定の改善案
+     * @returns {Function} ルールの登録を解除する関数
+     * @public
+     * 
+     * @example
+     * Scrolltering.registerDiagnosticRule({
+     *   type: 'missing_aria_label',
+     *   severity: 'error',
+     *   check: ({ elements }) => elements
+     *     .filter(element => !element.hasAttribute('aria-label'))
+     *     .map(element => ({ element, message: 'aria-label がありません' }))
+     * });
+     */
+    static registerDiagnosticRule(rule) {
+        if (!rule || !rule.type || typeof rule.check !== 'function') {
+            throw new Error('Scrolltering: 診断ルールには type と check 関数が必要です');
+        }
+        
+        const registered = { severity: 'warning', ...rule };
+        diagnosticRules.set(rule.type, registered);
+        diagnosticsVersion++;
+        
+        return () => {
+            if (diagnosticRules.get(rule.type) === registered) {
+                diagnosticRules.delete(rule.type);
+                diagnosticsVersion++;
+            }
+        };
+    }
+    
+    /**
+     * プラグインを登録
+     * 
+     * 登録したプラグインは、登録後に作成されたすべてのインスタンスに適用されます。
+     * 特定のインスタンスだけに適用する場合は plugins オプションを使用します。
+     * 
+     * @param {Object} plugin - プラグイン
+     * @param {string} plugin.name - プラグイン名（診断の問題のtypeの既定値にも使用）
+     * @param {Object} [plugin.methods] - インスタンスに追加するメソッド（thisはインスタンス）
+     * @param {Function} [plugin.init] - (scrolly) 最初の監視開始時
+     * @param {Function} [plugin.beforeObserve] - ({ scrolly, options, elements }) Observer作成前。
+     *   options の変更、または監視対象の要素の配列を返して置き換え
+     * @param {Function} [plugin.intersect] - (entries, scrolly) IntersectionObserverの生のエントリ（scrollエンジンでは互換のエントリ）。配列を返して置き換え
+     * @param {Function} [plugin.selectCurrent] - ({ scrolly, candidates, selected, line }) 候補またはトリガーIDを返して選択を上書き
+     * @param {Function} [plugin.beforeChange] - (detail, scrolly) 通知前。detailの変更、またはfalseを返して取り消し
+     * @param {Function} [plugin.afterChange] - (detail, scrolly) すべての通知の後
+     * @param {Function} [plugin.diagnose] - ({ scrolly, config, elements, root }) diagnose()に追加する問題を返す
+     * @param {Function} [plugin.destroy] - (scrolly) destroy()時
+     * @returns {Function} プラグインの登録を解除する関数（作成済みのインスタンスには影響しません）
+     * @public
+     * 
+     * @example
+     * Scrolltering.use({
+     *   name: 'skip-interludes',
+     *   beforeChange: (detail) => !detail.current.startsWith('interlude-')
+     * });
+     */
+    static use(plugin) {
+        validatePlugin(plugin);
+        
+        if (!globalPlugins.includes(plugin)) {
+            globalPlugins.push(plugin);
+            diagnosticsVersion++;
+        }
+        
+        return () => {
+            const index = globalPlugins.indexOf(plugin);
+            if (index !== -1) {
+                globalPlugins.splice(index, 1);
+                diagnosticsVersion++;
+            }
+        };
+    }
+    
+    /**
+     * 診断メッセージのロケールを登録
+     * 
+     * 既存のロケール（'ja' / 'en'）を指定した場合は、指定したキーの文言だけが上書きされます。
+     * 翻訳がないキーは英語の文言が使用されます。
+     * 
+     * @param {string} locale - ロケール（例: 'de'）
+     * @param {Object} catalog - { issues: { [type]: { message, suggestion } }, console: { ... } } 形式のカタログ
+     * @public
+     * 
+     * @example
+     * Scrolltering.registerLocale('de', {
+     *   issues: { duplicate_trigger_id: { message: 'Trigger-ID "{triggerId}" ist doppelt vergeben' } }
+     * });
+     * const scrolly = new Scrolltering({ locale: 'de' });
+     */
+    static registerLocale(locale, catalog) {
+        registerLocale(locale, catalog);
+        diagnosticsVersion++;
+    }
+    
+    /**
+     * navigator.sendBeacon で読了分析の集計結果を送信するsinkを作成
+     * sendBeacon 非対応の環境では keepalive 付きの fetch で送信します
+     * 
+     * @param {string} url - 送信先のURL
+     * @param {Object} [options] - オプション
+     * @param {Function} [options.transform] - 送信前に集計結果を変換する関数
+     * @returns {Function} analyticsSink に指定する関数
+     * @public
+     * 
+     * @example
+     * const scrolly = new Scrolltering({
+     *   analytics: true,
+     *   analyticsSink: Scrolltering.createBeaconSink('/api/reading')
+     * });
+     */
+    static createBeaconSink(url, options) {
+        return createBeaconSink(url, options);
+    }
+    
     /**
      * 監視対象要素の妥当性をチェック
      * 
@@ -366,92 +2434,342 @@ class Scrolltering {
      */
     validateElements() {
         const issues = [];
-        const elements = document.querySelectorAll(this.config.selector);
+        const elements = this._getTargetElements();
         const triggerIds = new Set();
-        const viewportHeight = window.innerHeight;
+        const axis = this._getAxis();
+        const viewportSize = this._getRootRect()[axis.size];
 
         if (elements.length === 0) {
-            issues.push({
-                type: 'no_elements',
-                severity: 'error',
-                message: '監視対象要素が見つかりません',
-                suggestion: `セレクタ "${this.config.selector}" に一致する要素を追加してください`
-            });
+            issues.push(this._createIssue('no_elements', 'error', {
+                selector: this.config.selector
+            }));
             return issues;
         }
 
         elements.forEach((element, index) => {
             const triggerId = element.getAttribute(this.config.triggerAttribute);
-            const rect = element.getBoundingClientRect();
             const styles = window.getComputedStyle(element);
+            // 問題の特定に使用する共通の詳細情報
+            const base = { triggerId: triggerId || null, index: index };
+            const params = { label: triggerId || index + 1 };
 
             // data-trigger属性のチェック
             if (!triggerId) {
-                issues.push({
-                    type: 'missing_trigger_id',
-                    severity: 'error',
-                    message: `要素 ${index + 1} にトリガーID属性がありません`,
-                    element: element,
-                    suggestion: `${this.config.triggerAttribute}="unique-id" を追加してください`
-                });
+                issues.push(this._createIssue('missing_trigger_id', 'error', {
+                    ...base,
+                    attribute: this.config.triggerAttribute
+                }, { element: element, params: { position: index + 1 } }));
             } else if (triggerIds.has(triggerId)) {
-                issues.push({
-                    type: 'duplicate_trigger_id',
-                    severity: 'error',
-                    message: `トリガーID "${triggerId}" が重複しています`,
-                    element: element,
-                    suggestion: '各要素には一意のトリガーIDを設定してください'
-                });
+                issues.push(this._createIssue('duplicate_trigger_id', 'error', base, { element: element }));
             } else {
                 triggerIds.add(triggerId);
             }
 
-            // 要素の高さチェック
-            const elementHeight = element.offsetHeight;
-            if (elementHeight < viewportHeight * 0.5) {
-                issues.push({
-                    type: 'insufficient_height',
-                    severity: 'warning',
-                    message: `要素 "${triggerId || index + 1}" の高さが不十分です (${elementHeight}px)`,
-                    element: element,
-                    suggestion: 'min-height: 100vh またはそれ以上の高さを設定してください'
-                });
+            // 要素のサイズチェック（axis: 'x' では幅）
+            const elementSize = element[axis.offsetSize];
+            const minimumSize = viewportSize * 0.5;
+            if (elementSize < minimumSize) {
+                issues.push(axis === AXES.x
+                    ? this._createIssue('insufficient_width', 'warning', {
+                        ...base,
+                        width: elementSize,
+                        minWidth: minimumSize
+                    }, { element: element, params: params })
+                    : this._createIssue('insufficient_height', 'warning', {
+                        ...base,
+                        height: elementSize,
+                        minHeight: minimumSize
+                    }, { element: element, params: params }));
             }
 
             // 可視性のチェック
             if (styles.display === 'none') {
-                issues.push({
-                    type: 'element_hidden',
-                    severity: 'error',
-                    message: `要素 "${triggerId || index + 1}" が display: none で非表示です`,
-                    element: element,
-                    suggestion: 'display: none の代わりに visibility: hidden または opacity: 0 を使用してください'
-                });
+                issues.push(this._createIssue('element_hidden', 'error', {
+                    ...base,
+                    display: styles.display
+                }, { element: element, params: params }));
             } else if (styles.visibility === 'hidden') {
-                issues.push({
-                    type: 'element_visibility_hidden',
-                    severity: 'warning',
-                    message: `要素 "${triggerId || index + 1}" が visibility: hidden です`,
-                    element: element,
-                    suggestion: 'IntersectionObserverは監視しますが、ユーザーには見えません'
-                });
+                issues.push(this._createIssue('element_visibility_hidden', 'warning', {
+                    ...base,
+                    visibility: styles.visibility
+                }, { element: element, params: params }));
             }
 
             // position: fixed のチェック
             if (styles.position === 'fixed') {
-                issues.push({
-                    type: 'fixed_position',
-                    severity: 'warning',
-                    message: `要素 "${triggerId || index + 1}" が position: fixed です`,
-                    element: element,
-                    suggestion: 'スクロール位置の計算に影響する可能性があります'
-                });
+                issues.push(this._createIssue('fixed_position', 'warning', {
+                    ...base,
+                    position: styles.position
+                }, { element: element, params: params }));
+            }
+
+            // data-trigger-target のセレクタのチェック（actions有効時のみ）
+            const targetSelector = this.config.actions
+                ? element.getAttribute(`${this.config.triggerAttribute}-target`)
+                : null;
+            if (targetSelector && !this._isValidSelector(targetSelector)) {
+                issues.push(this._createIssue('invalid_target_selector', 'error', {
+                    ...base,
+                    attribute: `${this.config.triggerAttribute}-target`,
+                    selector: targetSelector
+                }, { element: element, params: params }));
+            }
+
+            // data-trigger-keyframes のJSONのチェック（createTimeline() で使用）
+            const keyframes = element.getAttribute(`${this.config.triggerAttribute}-keyframes`);
+            if (keyframes && !this._isValidJson(keyframes)) {
+                issues.push(this._createIssue('invalid_keyframes', 'error', {
+                    ...base,
+                    attribute: `${this.config.triggerAttribute}-keyframes`,
+                    value: keyframes
+                }, { element: element, params: params }));
             }
+            
+            issues.push(...this._validateTimelineTracks(element, base, params));
         });
 
         return issues;
     }
 
+    /**
+     * タイムラインのトラック定義のチェック
+     * 
+     * createTimeline()のstepsとdata-trigger-keyframes属性のうち、
+     * タイムラインでスキップされる不正なトラックをinvalid_keyframesとして報告します。
+     * タイムラインを作成していない場合はチェックしません。
+     * 
+     * @param {Element} element - トリガー要素
+     * @param {Object} base - 問題の共通の詳細情報
+     * @param {Object} params - メッセージのパラメータ
+     * @returns {Array} トラック関連の問題配列
+     * @private
+     */
+    _validateTimelineTracks(element, base, params) {
+        if (this._timelines.size === 0) {
+            return [];
+        }
+        
+        const attribute = `${this.config.triggerAttribute}-keyframes`;
+        const value = element.getAttribute(attribute);
+        const sources = [];
+        this._timelines.forEach(timeline => {
+            sources.push({ attribute: 'steps', definitions: toTrackDefinitions(timeline.config.steps[base.triggerId]) });
+        });
+        if (value && this._isValidJson(value)) {
+            sources.push({ attribute: attribute, definitions: toTrackDefinitions(JSON.parse(value)) });
+        }
+        
+        const issues = [];
+        sources.forEach(source => {
+            source.definitions.forEach((definition, index) => {
+                const invalid = validateTrack(definition);
+                if (!invalid) {
+                    return;
+                }
+                issues.push(this._createIssue('invalid_keyframes', 'error', {
+                    ...base,
+                    attribute: source.attribute,
+                    track: index + 1,
+                    reason: invalid.reason,
+                    ...(invalid.reason === 'target' ? { target: String(invalid.target) } : {})
+                }, { key: `invalid_keyframes.${invalid.reason}`, element: element, params: params }));
+            });
+        });
+        return issues;
+    }
+
+    /**
+     * セレクタとして解釈できるかを判定
+     * 
+     * @param {string} selector - CSSセレクタ
+     * @returns {boolean} querySelectorAll に渡せる場合は true
+     * @private
+     */
+    _isValidSelector(selector) {
+        try {
+            document.createDocumentFragment().querySelector(selector);
+            return true;
+        } catch (error) {
+            return false;
+        }
+    }
+
+    /**
+     * JSONとして解析できるかを判定
+     * 
+     * @param {string} value - 文字列
+     * @returns {boolean} JSON.parse() できる場合は true
+     * @private
+     */
+    _isValidJson(value) {
+        try {
+            JSON.parse(value);
+            return true;
+        } catch (error) {
+            return false;
+        }
+    }
+
+    /**
+     * 祖先要素と要素同士の配置に起因する問題をチェック
+     * 
+     * 各トリガー要素からスクロールコンテナ（ウィンドウの場合はbody）までの祖先を調べ、
+     * 非表示・overflowによる切り取り・transform・sticky・入れ子のスクロールコンテナを検出します。
+     * 同じ祖先に起因する問題は1件にまとめ、影響を受けるトリガーIDを details.triggerIds に含めます。
+     * 
+     * @param {NodeList|Array<Element>} elements - 監視対象要素
+     * @returns {Array} 配置関連の問題配列
+     * @private
+     */
+    _checkLayout(elements) {
+        const issues = [];
+        const axis = this._getAxis();
+        const root = this._getRoot();
+        const ancestorIssues = new Map();     // `${type}` → Map(祖先 → 問題)
+        const list = Array.from(elements);
+        
+        const report = (type, severity, element, ancestor, details) => {
+            if (!ancestorIssues.has(type)) {
+                ancestorIssues.set(type, new Map());
+            }
+            const byAncestor = ancestorIssues.get(type);
+            const triggerId = element.getAttribute(this.config.triggerAttribute) || `${list.indexOf(element) + 1}`;
+            
+            if (byAncestor.has(ancestor)) {
+                byAncestor.get(ancestor).triggerIds.push(triggerId);
+                return;
+            }
+            byAncestor.set(ancestor, { type, severity, element, ancestor, details, triggerIds: [triggerId] });
+        };
+        
+        list.forEach(element => {
+            let ancestor = element.parentElement;
+            while (ancestor && ancestor !== root &&
+                   ancestor !== document.body && ancestor !== document.documentElement) {
+                const styles = window.getComputedStyle(ancestor);
+                const overflow = styles[axis.overflow];
+                
+                if (styles.display === 'none') {
+                    report('ancestor_hidden', 'error', element, ancestor, { display: styles.display });
+                }
+                
+                if (overflow === 'auto' || overflow === 'scroll') {
+                    // スクロール可能な祖先は、rootとして指定されていない限りスクロールを検出できない
+                    if (ancestor[axis.scrollSize] > ancestor[axis.clientSize]) {
+                        report('nested_scroll_container', 'error', element, ancestor, {
+                            property: axis === AXES.x ? 'overflow-x' : 'overflow-y',
+                            value: overflow
+                        });
+                    }
+                } else if (overflow === 'hidden' || overflow === 'clip') {
+                    report('ancestor_overflow_hidden', 'warning', element, ancestor, {
+                        property: axis === AXES.x ? 'overflow-x' : 'overflow-y',
+                        value: overflow
+                    });
+                }
+                
+                // transform / perspective / filter は新しい包含ブロックを作成する
+                const containingBlock = ['transform', 'perspective', 'filter']
+                    .find(property => styles[property] && styles[property] !== 'none');
+                if (containingBlock) {
+                    report('transformed_ancestor', 'warning', element, ancestor, {
+                        property: containingBlock,
+                        value: styles[containingBlock]
+                    });
+                }
+                
+                if (styles.position === 'sticky') {
+                    report('sticky_ancestor', 'warning', element, ancestor, { position: styles.position });
+                }
+                
+                ancestor = ancestor.parentElement;
+            }
+        });
+        
+        ancestorIssues.forEach(byAncestor => {
+            byAncestor.forEach(({ type, severity, element, ancestor, details, triggerIds }) => {
+                const ancestorSelector = describeElement(ancestor, this.config.triggerAttribute).selector;
+                issues.push(this._createIssue(type, severity, {
+                    ...details,
+                    ancestor: ancestorSelector,
+                    triggerIds: triggerIds
+                }, {
+                    element: element,
+                    ancestor: ancestor,
+                    params: { label: triggerIds.join(', ') }
+                }));
+            });
+        });
+        
+        // 要素自身の矩形（サイズ0、隣接する要素との重なり）
+        const rects = list.map(element => element.getBoundingClientRect());
+        list.forEach((element, index) => {
+            const triggerId = element.getAttribute(this.config.triggerAttribute);
+            const label = triggerId || index + 1;
+            const rect = rects[index];
+            
+            if ((rect.width === 0 || rect.height === 0) &&
+                window.getComputedStyle(element).display !== 'none') {
+                issues.push(this._createIssue('zero_size', 'error', {
+                    triggerId: triggerId || null,
+                    index: index,
+                    width: rect.width,
+                    height: rect.height
+                }, { element: element, params: { label: label } }));
+            }
+            
+            // 文書順で直前の要素と重なっていないか（入れ子の親子関係は除く）
+            const previous = list[index - 1];
+            if (!previous || previous.contains(element) || element.contains(previous)) {
+                return;
+            }
+            const overlap = rects[index - 1][axis.end] - rect[axis.start];
+            if (overlap > 1 && rect[axis.size] > 0 && rects[index - 1][axis.size] > 0) {
+                const otherId = previous.getAttribute(this.config.triggerAttribute);
+                issues.push(this._createIssue('overlapping_elements', 'warning', {
+                    triggerId: triggerId || null,
+                    index: index,
+                    otherTriggerId: otherId || null,
+                    overlap: overlap
+                }, {
+                    element: element,
+                    relatedElement: previous,
+                    params: { label: label, other: otherId || index }
+                }));
+            }
+        });
+        
+        return issues;
+    }
+    
+    /**
+     * rootMarginに0以外の値が指定されているかどうか
+     * 
+     * @returns {boolean} いずれかの辺のマージンが0でない場合true
+     * @private
+     */
+    _hasRootMargin() {
+        return String(this.config.rootMargin || '0px').trim().split(/\s+/)
+            .some(value => parseFloat(value) !== 0 && !isNaN(parseFloat(value)));
+    }
+    
+    /**
+     * ページがクロスオリジンのiframe内で実行されているかどうか
+     * 
+     * @returns {boolean} 親フレームのlocationにアクセスできない場合true
+     * @private
+     */
+    _isCrossOriginFrame() {
+        if (window.top === window.self) {
+            return false;
+        }
+        try {
+            return !window.top.location.href;
+        } catch (error) {
+            return true;
+        }
+    }
+    
     /**
      * パフォーマンス関連の問題をチェック
      * 
@@ -460,50 +2778,71 @@ class Scrolltering {
      */
     checkPerformance() {
         const issues = [];
-        const elements = document.querySelectorAll(this.config.selector);
+        const elements = this._getTargetElements();
+        const { threshold, strategy, axis, debounceDelay } = this.config;
 
         // 要素数のチェック
         if (elements.length > 50) {
-            issues.push({
-                type: 'too_many_elements',
-                severity: 'warning',
-                message: `監視対象要素が多すぎます (${elements.length}個)`,
-                suggestion: '50個以下に抑えるか、段階的な要素追加を検討してください'
-            });
+            issues.push(this._createIssue('too_many_elements', 'warning', {
+                count: elements.length,
+                max: 50
+            }));
         }
 
         // threshold設定のチェック
-        if (Array.isArray(this.config.threshold) && this.config.threshold.length > 5) {
-            issues.push({
-                type: 'complex_threshold',
-                severity: 'warning',
-                message: `threshold配列が複雑すぎます (${this.config.threshold.length}個の値)`,
-                suggestion: '単一の値または最大5個までの配列を推奨します'
-            });
-        } else if (this.config.threshold === 1.0) {
-            issues.push({
-                type: 'high_threshold',
-                severity: 'warning',
-                message: 'threshold: 1.0 は要素が完全に表示されるまで発火しません',
-                suggestion: '0.1 - 0.5 程度の値を推奨します'
-            });
+        if (Array.isArray(threshold) && threshold.length > 5) {
+            issues.push(this._createIssue('complex_threshold', 'warning', {
+                threshold: threshold,
+                count: threshold.length,
+                max: 5
+            }));
+        } else if (threshold === 1.0) {
+            issues.push(this._createIssue('high_threshold', 'warning', {
+                threshold: threshold
+            }));
+        }
+
+        // strategy設定のチェック
+        const strategies = ['topmost', 'line', 'largest-visible-ratio'];
+        if (typeof strategy !== 'function' && !strategies.includes(strategy)) {
+            issues.push(this._createIssue('invalid_strategy', 'error', {
+                strategy: strategy,
+                allowed: strategies
+            }, { params: { strategies: strategies.join(', ') } }));
+        } else if (strategy === 'largest-visible-ratio' && !Array.isArray(threshold)) {
+            issues.push(this._createIssue('ratio_strategy_threshold', 'info', {
+                strategy: strategy,
+                threshold: threshold
+            }));
+        }
+
+        // axis設定のチェック
+        if (!AXES[axis]) {
+            issues.push(this._createIssue('invalid_axis', 'error', {
+                axis: axis,
+                allowed: Object.keys(AXES)
+            }));
+        }
+
+        // engine設定のチェック
+        if (!ENGINES.includes(this.config.engine)) {
+            issues.push(this._createIssue('invalid_engine', 'error', {
+                engine: this.config.engine,
+                allowed: ENGINES
+            }, { params: { engines: ENGINES.join(', ') } }));
         }
 
         // debounceDelay のチェック
-        if (this.config.debounceDelay > 100) {
-            issues.push({
-                type: 'high_debounce',
-                severity: 'info',
-                message: `debounceDelay が大きすぎる可能性があります (${this.config.debounceDelay}ms)`,
-                suggestion: '応答性を重視する場合は50ms以下を推奨します'
-            });
-        } else if (this.config.debounceDelay < 5) {
-            issues.push({
-                type: 'low_debounce',
-                severity: 'info',
-                message: `debounceDelay が小さすぎる可能性があります (${this.config.debounceDelay}ms)`,
-                suggestion: 'パフォーマンスを重視する場合は10ms以上を推奨します'
-            });
+        if (debounceDelay > 100) {
+            issues.push(this._createIssue('high_debounce', 'info', {
+                debounceDelay: debounceDelay,
+                max: 100
+            }));
+        } else if (debounceDelay < 5) {
+            issues.push(this._createIssue('low_debounce', 'info', {
+                debounceDelay: debounceDelay,
+                min: 5
+            }));
         }
 
         return issues;
@@ -517,60 +2856,161 @@ class Scrolltering {
      */
     _checkEnvironment() {
         const issues = [];
+        const root = this._getRoot();
 
-        // スクロール可能性のチェック
-        const documentHeight = Math.max(
-            document.body.scrollHeight,
-            document.documentElement.scrollHeight
-        );
-        const viewportHeight = window.innerHeight;
-
-        if (documentHeight <= viewportHeight) {
-            issues.push({
-                type: 'no_scroll',
-                severity: 'error',
-                message: 'ページがスクロール不可能です',
-                suggestion: 'コンテンツの高さを増やすか、overflow設定を確認してください'
-            });
+        if (this.config.root && !root) {
+            // rootセレクタに一致する要素がない場合、ウィンドウ基準で動作してしまう
+            issues.push(this._createIssue('root_not_found', 'error', {
+                root: String(this.config.root)
+            }));
         }
 
-        // overflow設定のチェック
-        const bodyStyles = window.getComputedStyle(document.body);
-        const htmlStyles = window.getComputedStyle(document.documentElement);
+        if (root) {
+            issues.push(...this._checkRootContainer(root));
+        } else {
+            const axis = this._getAxis();
+            const isHorizontal = axis === AXES.x;
 
-        if (bodyStyles.overflow === 'hidden' || htmlStyles.overflow === 'hidden') {
-            issues.push({
-                type: 'overflow_hidden',
-                severity: 'error',
-                message: 'body または html に overflow: hidden が設定されています',
-                suggestion: 'overflow-x: hidden のみを使用するか、overflow設定を削除してください'
-            });
+            // スクロール可能性のチェック
+            const documentSize = Math.max(
+                document.body[axis.scrollSize],
+                document.documentElement[axis.scrollSize]
+            );
+            const viewportSize = window[axis.innerSize];
+
+            if (documentSize <= viewportSize) {
+                issues.push(this._createIssue('no_scroll', 'error', {
+                    axis: isHorizontal ? 'x' : 'y',
+                    scrollSize: documentSize,
+                    clientSize: viewportSize
+                }, { key: isHorizontal ? 'no_scroll.page_x' : 'no_scroll.page' }));
+            }
+
+            // overflow設定のチェック
+            const bodyStyles = window.getComputedStyle(document.body);
+            const htmlStyles = window.getComputedStyle(document.documentElement);
+
+            if (isHorizontal && (bodyStyles.overflowX === 'hidden' || htmlStyles.overflowX === 'hidden')) {
+                issues.push(this._createIssue('overflow_hidden', 'error', {
+                    property: 'overflow-x',
+                    value: 'hidden'
+                }, { key: 'overflow_hidden.page_x' }));
+            } else if (bodyStyles.overflow === 'hidden' || htmlStyles.overflow === 'hidden') {
+                issues.push(this._createIssue('overflow_hidden', 'error', {
+                    property: 'overflow',
+                    value: 'hidden'
+                }, { key: 'overflow_hidden.page' }));
+            }
         }
 
         // ビューポートメタタグのチェック（モバイル対応）
         const viewportMeta = document.querySelector('meta[name="viewport"]');
         if (!viewportMeta) {
-            issues.push({
-                type: 'no_viewport_meta',
-                severity: 'warning',
-                message: 'ビューポートメタタグが設定されていません',
-                suggestion: '<meta name="viewport" content="width=device-width, initial-scale=1.0"> を追加してください'
-            });
+            issues.push(this._createIssue('no_viewport_meta', 'warning'));
+        }
+
+        // クロスオリジンのiframeでは、暗黙のroot（トップレベルのビューポート）に対するrootMarginが無視される
+        if (!root && this._hasRootMargin() && this._isCrossOriginFrame()) {
+            issues.push(this._createIssue('cross_origin_iframe', 'warning', {
+                rootMargin: this.config.rootMargin
+            }));
         }
 
         // IntersectionObserver サポートのチェック
-        if (!window.IntersectionObserver) {
-            issues.push({
-                type: 'no_intersection_observer',
-                severity: 'error',
-                message: 'IntersectionObserverがサポートされていません',
-                suggestion: 'ポリフィルを追加するか、対応ブラウザを使用してください'
-            });
+        // engine: 'auto' の場合はscrollエンジンで動作するため情報として報告する
+        if (typeof window.IntersectionObserver !== 'function') {
+            if (this._getEngine() === 'scroll') {
+                issues.push(this._createIssue('scroll_engine_fallback', 'info', {
+                    engine: this.config.engine
+                }));
+            } else {
+                issues.push(this._createIssue('no_intersection_observer', 'error'));
+            }
+        }
+
+        return issues;
+    }
+
+    /**
+     * カスタムスクロールコンテナのスクロール可能性とoverflow設定をチェック（axisオプションの軸）
+     * 
+     * @param {Element} root - スクロールコンテナ要素
+     * @returns {Array} コンテナ関連の問題配列
+     * @private
+     */
+    _checkRootContainer(root) {
+        const issues = [];
+        const axis = this._getAxis();
+        const isHorizontal = axis === AXES.x;
+        const overflowProperty = isHorizontal ? 'overflow-x' : 'overflow-y';
+
+        if (root[axis.scrollSize] <= root[axis.clientSize]) {
+            issues.push(this._createIssue('no_scroll', 'error', {
+                axis: isHorizontal ? 'x' : 'y',
+                scrollSize: root[axis.scrollSize],
+                clientSize: root[axis.clientSize]
+            }, { key: isHorizontal ? 'no_scroll.container_x' : 'no_scroll.container', element: root }));
+        }
+
+        const overflow = window.getComputedStyle(root)[axis.overflow];
+        if (overflow !== 'auto' && overflow !== 'scroll') {
+            issues.push(this._createIssue('overflow_hidden', 'error', {
+                property: overflowProperty,
+                value: overflow
+            }, { key: 'overflow_hidden.container', element: root }));
         }
 
         return issues;
     }
 
+    /**
+     * ロケールに応じたメッセージを持つ問題を作成
+     * 
+     * details は問題の構造化データ（トリガーID、測定値、設定値など）で、
+     * メッセージのテンプレートにも埋め込まれます。
+     * 
+     * @param {string} type - 問題の種類
+     * @param {string} severity - 重要度（'error' | 'warning' | 'info'）
+     * @param {Object} [details={}] - 構造化データ
+     * @param {Object} [options={}] - 作成オプション
+     * @param {string} [options.key] - カタログのキー（未指定時はtype）
+     * @param {Element} [options.element] - 問題のある要素
+     * @param {Element} [options.ancestor] - 問題の原因となっている祖先要素
+     * @param {Element} [options.relatedElement] - 問題に関係する別の要素（重なっている要素など）
+     * @param {Object} [options.params] - メッセージにのみ使用する値
+     * @returns {Object} 問題オブジェクト
+     * @private
+     */
+    _createIssue(type, severity, details = {}, options = {}) {
+        const text = translate(this._getLocale(), 'issues', options.key || type, {
+            ...details,
+            ...options.params
+        });
+        const issue = {
+            type: type,
+            severity: severity,
+            message: text.message,
+            suggestion: text.suggestion,
+            details: details
+        };
+        ['element', 'ancestor', 'relatedElement'].forEach(key => {
+            if (options[key]) {
+                issue[key] = options[key];
+            }
+        });
+        return issue;
+    }
+
+    /**
+     * 診断メッセージのロケールを取得
+     * 
+     * @returns {string} カタログが存在するロケール
+     * @private
+     */
+    _getLocale() {
+        return resolveLocale(this.config.locale);
+    }
+
     /**
      * 問題の重要度から全体のステータスを決定
      * 
@@ -642,12 +3082,15 @@ class Scrolltering {
             'error': '❌'
         };
 
-        console.group(`${statusEmoji[result.status]} Scrolltering 診断結果 (ID: ${this.instanceId.split('-').pop()})`);
+        const locale = this._getLocale();
+        const text = (key, params) => translate(locale, 'console', key, params);
+
+        console.group(`${statusEmoji[result.status]} ${text('title', { id: this.instanceId.split('-').pop() })}`);
         
-        console.log('📊 概要:', result.summary);
+        console.log(text('summary'), result.summary);
         
         if (result.issues.length > 0) {
-            console.group('🔍 検出された問題:');
+            console.group(text('issues'));
             result.issues.forEach((issue, index) => {
                 const severityEmoji = {
                     'error': '🚫',
@@ -657,12 +3100,12 @@ class Scrolltering {
                 console.log(`${severityEmoji[issue.severity]} ${issue.message}`);
                 console.log(`   💡 ${issue.suggestion}`);
                 if (issue.element) {
-                    console.log('   🎯 要素:', issue.element);
+                    console.log(text('element'), issue.element);
                 }
             });
             console.groupEnd();
         } else {
-            console.log('✨ 問題は検出されませんでした');
+            console.log(text('noIssues'));
         }
         
         console.groupEnd();
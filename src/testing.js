@@ -0,0 +1,590 @@
+/**
+ * Scrolltering テストハーネス
+ *
+ * jsdomなどレイアウトを持たない環境で Scrolltering（およびそれを使ったコード）を
+ * テストするための、制御可能な IntersectionObserver のモックとスクロールシミュレーターです。
+ *
+ * - MockIntersectionObserver: getBoundingClientRect() の値から交差状態を計算し、
+ *   simulateScroll() / enter() / exit() / flush() の呼び出し時に同期的にコールバックを実行します
+ * - TestHarness: 要素の矩形の偽装、スクロールのシミュレーション、
+ *   デバウンスタイマーと requestAnimationFrame の決定的な実行を提供します
+ *
+ * @example
+ * import Scrolltering from 'scrolltering';
+ * import { createTestHarness } from 'scrolltering/testing';
+ *
+ * const harness = createTestHarness({ viewport: { width: 1024, height: 800 } });
+ * document.body.innerHTML = '<div data-trigger="a"></div><div data-trigger="b"></div>';
+ * harness.stack();                  // [data-trigger] 要素をビューポートの高さで縦に並べる
+ *
+ * const onChange = vi.fn();
+ * const scrolly = new Scrolltering({ onChange });
+ * harness.flush(scrolly);           // 初期状態 → onChange({ current: 'a', ... })
+ *
+ * harness.simulateScroll(900).flush(scrolly);
+ * expect(scrolly.getCurrentTriggerId()).toBe('b');
+ *
+ * harness.restore();
+ */
+
+import { observerPool, debounceBatch, frameBatch } from './pool.js';
+import { scrollObserverPool, getRootBounds, createIntersectionEntry, getThresholdIndex } from './engine.js';
+
+/**
+ * 制御可能な IntersectionObserver のモック
+ *
+ * 実際の IntersectionObserver と同様に、監視開始時の初回通知と、
+ * threshold の境界をまたいだ時・交差状態が変化した時の通知を行います。
+ * 通知は非同期ではなく、check() / force() の呼び出し時に同期的に行われます。
+ *
+ * @class MockIntersectionObserver
+ */
+class MockIntersectionObserver {
+    /**
+     * @param {Function} callback - 交差状態の変化時に呼ばれるコールバック
+     * @param {Object} [options] - IntersectionObserverのオプション
+     */
+    constructor(callback, options = {}) {
+        this.callback = callback;
+        this.root = options.root || null;
+        this.rootMargin = options.rootMargin || '0px';
+        const threshold = options.threshold === undefined ? 0 : options.threshold;
+        this.thresholds = (Array.isArray(threshold) ? threshold.slice() : [threshold]).sort((a, b) => a - b);
+
+        this._targets = new Map();            // 要素 → 前回通知した状態（未通知の場合はnull）
+        MockIntersectionObserver.instances.add(this);
+    }
+
+    /**
+     * 要素の監視を開始（初回通知は次の check() で行われます）
+     *
+     * @param {Element} target - 監視対象の要素
+     */
+    observe(target) {
+        if (!this._targets.has(target)) {
+            this._targets.set(target, null);
+        }
+    }
+
+    /**
+     * 要素の監視を終了
+     *
+     * @param {Element} target - 監視を終了する要素
+     */
+    unobserve(target) {
+        this._targets.delete(target);
+    }
+
+    /**
+     * すべての監視を終了
+     */
+    disconnect() {
+        this._targets.clear();
+        MockIntersectionObserver.instances.delete(this);
+    }
+
+    /**
+     * 未通知のエントリを取得（モックでは常に空）
+     *
+     * @returns {Array} 空の配列
+     */
+    takeRecords() {
+        return [];
+    }
+
+    /**
+     * 監視中の要素かどうか
+     *
+     * @param {Element} target - 対象要素
+     * @returns {boolean} 監視中の場合true
+     */
+    isObserving(target) {
+        return this._targets.has(target);
+    }
+
+    /**
+     * 現在の矩形から交差状態を再計算し、変化があった要素をコールバックに通知
+     */
+    check() {
+        const entries = [];
+
+        this._targets.forEach((previous, target) => {
+            const entry = this._createEntry(target);
+            const state = {
+                isIntersecting: entry.isIntersecting,
+                index: this._thresholdIndex(entry)
+            };
+
+            if (!previous || previous.isIntersecting !== state.isIntersecting || previous.index !== state.index) {
+                this._targets.set(target, state);
+                entries.push(entry);
+            }
+        });
+
+        if (entries.length > 0) {
+            this.callback(entries, this);
+        }
+    }
+
+    /**
+     * 矩形に関係なく交差状態を通知
+     *
+     * @param {Element} target - 対象要素
+     * @param {boolean} isIntersecting - 交差しているかどうか
+     * @param {number} [ratio] - 交差率（省略時は交差中なら1、それ以外は0）
+     */
+    force(target, isIntersecting, ratio) {
+        if (!this._targets.has(target)) {
+            return;
+        }
+        const intersectionRatio = ratio === undefined ? (isIntersecting ? 1 : 0) : ratio;
+        const entry = {
+            ...this._createEntry(target),
+            isIntersecting: isIntersecting,
+            intersectionRatio: intersectionRatio
+        };
+        this._targets.set(target, { isIntersecting, index: this._thresholdIndex(entry) });
+        this.callback([entry], this);
+    }
+
+    /**
+     * 要素の交差状態を表すエントリを作成
+     * 交差率と交差の条件は scrollエンジン（ScrollObserver）と同じ計算を使用します
+     *
+     * @param {Element} target - 対象要素
+     * @returns {Object} IntersectionObserverEntry 相当のオブジェクト
+     * @private
+     */
+    _createEntry(target) {
+        const root = this.root
+            ? this.root.getBoundingClientRect()
+            : { top: 0, left: 0, width: window.innerWidth, height: window.innerHeight };
+        const rootBounds = getRootBounds(root, this.rootMargin);
+        return createIntersectionEntry(target, target.getBoundingClientRect(), rootBounds, this.thresholds);
+    }
+
+    /**
+     * 交差率が何番目の threshold を超えているか
+     *
+     * @param {Object} entry - エントリ
+     * @returns {number} 超えている threshold の数（交差していない場合は-1）
+     * @private
+     */
+    _thresholdIndex(entry) {
+        return getThresholdIndex(entry, this.thresholds);
+    }
+}
+
+/**
+ * 生成されたモックのインスタンス（disconnect()されたものは除く）
+ *
+ * @type {Set<MockIntersectionObserver>}
+ */
+MockIntersectionObserver.instances = new Set();
+
+/**
+ * レイアウトとスクロールを偽装するテストハーネス
+ *
+ * @class TestHarness
+ */
+class TestHarness {
+    /**
+     * @param {Object} [options] - 設定オプション
+     * @param {{width: number, height: number}} [options.viewport] - ビューポートのサイズ
+     * @param {string} [options.triggerAttribute='data-trigger'] - enter() / exit() でIDを検索する属性名
+     */
+    constructor(options = {}) {
+        this.viewport = { width: 1024, height: 768, ...options.viewport };
+        this.triggerAttribute = options.triggerAttribute || 'data-trigger';
+        this.scroll = { x: 0, y: 0 };
+
+        this._layouts = new Map();            // 要素 → 文書座標の矩形
+        this._containers = new Set();         // スクロールコンテナとして登録された要素
+        this._frames = new Map();             // requestAnimationFrame のキュー
+        this._nextFrameId = 1;
+        this._originals = null;
+
+        this.install();
+    }
+
+    /**
+     * window のプロパティをモックに差し替え
+     *
+     * @public
+     */
+    install() {
+        if (this._originals) {
+            return;
+        }
+        const keys = [
+            'IntersectionObserver', 'requestAnimationFrame', 'cancelAnimationFrame', 'scrollTo',
+            'innerWidth', 'innerHeight', 'pageXOffset', 'pageYOffset', 'scrollX', 'scrollY'
+        ];
+        this._originals = new Map(keys.map(key => [key, Object.getOwnPropertyDescriptor(window, key)]));
+        resetSharedState();
+
+        const define = (key, get) => Object.defineProperty(window, key, { configurable: true, get });
+        define('innerWidth', () => this.viewport.width);
+        define('innerHeight', () => this.viewport.height);
+        define('pageXOffset', () => this.scroll.x);
+        define('pageYOffset', () => this.scroll.y);
+        define('scrollX', () => this.scroll.x);
+        define('scrollY', () => this.scroll.y);
+
+        window.IntersectionObserver = MockIntersectionObserver;
+        window.requestAnimationFrame = (callback) => {
+            const id = this._nextFrameId++;
+            this._frames.set(id, callback);
+            return id;
+        };
+        window.cancelAnimationFrame = (id) => {
+            this._frames.delete(id);
+        };
+        window.scrollTo = (options, y) => {
+            const { left, top } = typeof options === 'object' ? options : { left: options, top: y };
+            this.simulateScroll({ x: left === undefined ? this.scroll.x : left, y: top === undefined ? this.scroll.y : top });
+        };
+    }
+
+    /**
+     * 要素の文書座標上の矩形を設定
+     *
+     * getBoundingClientRect()、offsetWidth / offsetHeight が偽装され、
+     * スクロール位置に応じた値を返すようになります。
+     *
+     * @param {Element|string} target - 要素またはトリガーID
+     * @param {{top?: number, left?: number, width?: number, height?: number}} rect - 文書座標の矩形
+     * @returns {TestHarness} チェーン用
+     * @public
+     */
+    layout(target, rect) {
+        const element = this._resolve(target);
+        this._layouts.set(element, {
+            top: 0,
+            left: 0,
+            width: this.viewport.width,
+            height: this.viewport.height,
+            ...rect
+        });
+
+        element.getBoundingClientRect = () => this._getClientRect(element);
+        Object.defineProperty(element, 'offsetWidth', { configurable: true, get: () => this._layouts.get(element).width });
+        Object.defineProperty(element, 'offsetHeight', { configurable: true, get: () => this._layouts.get(element).height });
+
+        this._updateDocumentSize();
+        return this;
+    }
+
+    /**
+     * 要素を隙間なく並べて配置
+     *
+     * @param {Object} [options] - 配置オプション
+     * @param {string} [options.selector='[data-trigger]'] - 配置する要素のセレクタ
+     * @param {number|number[]} [options.size] - 要素のサイズ（配列で個別指定、省略時はビューポートのサイズ）
+     * @param {number} [options.start=0] - 最初の要素の位置
+     * @param {string} [options.axis='y'] - 並べる方向（'y' | 'x'）
+     * @param {Element} [options.container] - 配置する範囲（スクロールコンテナ内に並べる場合）
+     * @returns {TestHarness} チェーン用
+     * @public
+     */
+    stack({ selector = '[data-trigger]', size, start = 0, axis = 'y', container = document } = {}) {
+        const elements = Array.from(container.querySelectorAll(selector));
+        let position = start;
+
+        elements.forEach((element, index) => {
+            const defaultSize = axis === 'x' ? this.viewport.width : this.viewport.height;
+            const elementSize = Array.isArray(size) ? size[index] : (size === undefined ? defaultSize : size);
+            const rect = axis === 'x'
+                ? { left: position, top: 0, width: elementSize, height: this.viewport.height }
+                : { top: position, left: 0, width: this.viewport.width, height: elementSize };
+
+            this.layout(element, rect);
+            position += elementSize;
+        });
+
+        if (container !== document && this._containers.has(container)) {
+            const contentSize = position - start;
+            Object.defineProperty(container, axis === 'x' ? 'scrollWidth' : 'scrollHeight', {
+                configurable: true,
+                get: () => contentSize
+            });
+        }
+        return this;
+    }
+
+    /**
+     * 要素をスクロールコンテナとして登録
+     *
+     * 子孫要素の矩形はコンテナのスクロール量だけずれて計算されます。
+     * clientWidth / clientHeight と scrollTo() も偽装されます。
+     *
+     * @param {Element} element - スクロールコンテナ
+     * @param {{top?: number, left?: number, width?: number, height?: number}} rect - 文書座標の矩形
+     * @returns {TestHarness} チェーン用
+     * @public
+     */
+    container(element, rect) {
+        this.layout(element, rect);
+        this._containers.add(element);
+
+        let scrollTop = 0;
+        let scrollLeft = 0;
+        Object.defineProperty(element, 'scrollTop', { configurable: true, get: () => scrollTop, set: (value) => { scrollTop = value; } });
+        Object.defineProperty(element, 'scrollLeft', { configurable: true, get: () => scrollLeft, set: (value) => { scrollLeft = value; } });
+        Object.defineProperty(element, 'clientWidth', { configurable: true, get: () => this._layouts.get(element).width });
+        Object.defineProperty(element, 'clientHeight', { configurable: true, get: () => this._layouts.get(element).height });
+        element.scrollTo = (options) => {
+            this.simulateScroll({
+                x: options.left === undefined ? scrollLeft : options.left,
+                y: options.top === undefined ? scrollTop : options.top
+            }, { target: element });
+        };
+        return this;
+    }
+
+    /**
+     * スクロールをシミュレート
+     *
+     * スクロール位置を更新して scroll イベントを発火し、
+     * すべての MockIntersectionObserver の交差状態を再計算します。
+     *
+     * @param {number|{x?: number, y?: number}} position - スクロール位置（数値の場合は縦方向）
+     * @param {Object} [options] - オプション
+     * @param {Element} [options.target] - スクロールするコンテナ（省略時はウィンドウ）
+     * @returns {TestHarness} チェーン用
+     * @public
+     */
+    simulateScroll(position, { target = null } = {}) {
+        const next = typeof position === 'number' ? { y: position } : position;
+
+        if (target) {
+            if (next.x !== undefined) target.scrollLeft = next.x;
+            if (next.y !== undefined) target.scrollTop = next.y;
+            target.dispatchEvent(new Event('scroll'));
+        } else {
+            if (next.x !== undefined) this.scroll.x = next.x;
+            if (next.y !== undefined) this.scroll.y = next.y;
+            window.dispatchEvent(new Event('scroll'));
+        }
+
+        this._checkObservers();
+        return this;
+    }
+
+    /**
+     * 要素が画面内に入ったことを矩形に関係なく通知
+     *
+     * @param {Element|string} target - 要素またはトリガーID
+     * @param {number} [ratio=1] - 交差率
+     * @returns {TestHarness} チェーン用
+     * @public
+     */
+    enter(target, ratio = 1) {
+        const element = this._resolve(target);
+        Array.from(MockIntersectionObserver.instances).forEach(observer => observer.force(element, true, ratio));
+        return this;
+    }
+
+    /**
+     * 要素が画面外に出たことを矩形に関係なく通知
+     *
+     * @param {Element|string} target - 要素またはトリガーID
+     * @returns {TestHarness} チェーン用
+     * @public
+     */
+    exit(target) {
+        const element = this._resolve(target);
+        Array.from(MockIntersectionObserver.instances).forEach(observer => observer.force(element, false, 0));
+        return this;
+    }
+
+    /**
+     * 保留中の処理をすべて決定的に実行
+     *
+     * 1. 監視開始直後の要素の初回通知
+     * 2. 渡された Scrolltering インスタンスのデバウンス待ちの更新（flush()）
+     * 3. requestAnimationFrame のキュー
+     * を、新たな処理が発生しなくなるまで繰り返します。
+     *
+     * @param {...Scrolltering} instances - デバウンスを実行するインスタンス
+     * @returns {TestHarness} チェーン用
+     * @public
+     */
+    flush(...instances) {
+        for (let i = 0; i < 10; i++) {
+            this._checkObservers();
+            instances.forEach(instance => instance.flush());
+
+            if (this._frames.size === 0 && !instances.some(instance => instance._pendingUpdate)) {
+                break;
+            }
+            this.flushFrames();
+        }
+        return this;
+    }
+
+    /**
+     * requestAnimationFrame のキューを1フレーム分実行
+     *
+     * @returns {TestHarness} チェーン用
+     * @public
+     */
+    flushFrames() {
+        const frames = Array.from(this._frames.values());
+        this._frames.clear();
+        const timestamp = Date.now();
+        frames.forEach(callback => callback(timestamp));
+        return this;
+    }
+
+    /**
+     * window のプロパティを元に戻し、偽装した状態を破棄
+     *
+     * @public
+     */
+    restore() {
+        if (!this._originals) {
+            return;
+        }
+        // 差し替えた requestAnimationFrame / IntersectionObserver で予約・作成したものを破棄してから戻す
+        resetSharedState();
+        this._originals.forEach((descriptor, key) => {
+            if (descriptor) {
+                Object.defineProperty(window, key, descriptor);
+            } else {
+                delete window[key];
+            }
+        });
+        this._originals = null;
+
+        this._layouts.forEach((rect, element) => {
+            delete element.getBoundingClientRect;
+            delete element.offsetWidth;
+            delete element.offsetHeight;
+        });
+        this._containers.forEach(element => {
+            ['scrollTop', 'scrollLeft', 'clientWidth', 'clientHeight', 'scrollWidth', 'scrollHeight', 'scrollTo']
+                .forEach(key => delete element[key]);
+        });
+        ['scrollWidth', 'scrollHeight'].forEach(key => {
+            delete document.body[key];
+            delete document.documentElement[key];
+        });
+
+        this._layouts.clear();
+        this._containers.clear();
+        this._frames.clear();
+        MockIntersectionObserver.instances.clear();
+    }
+
+    /**
+     * すべてのモックの交差状態を再計算
+     *
+     * @private
+     */
+    _checkObservers() {
+        Array.from(MockIntersectionObserver.instances).forEach(observer => observer.check());
+    }
+
+    /**
+     * 要素のビューポート相対の矩形を計算
+     *
+     * @param {Element} element - 対象要素
+     * @returns {Object} DOMRect 相当のオブジェクト
+     * @private
+     */
+    _getClientRect(element) {
+        const layout = this._layouts.get(element);
+        let top = layout.top - this.scroll.y;
+        let left = layout.left - this.scroll.x;
+
+        // 祖先のスクロールコンテナのスクロール量を反映
+        this._containers.forEach(container => {
+            if (container !== element && container.contains(element)) {
+                top -= container.scrollTop;
+                left -= container.scrollLeft;
+            }
+        });
+
+        return {
+            top: top,
+            left: left,
+            bottom: top + layout.height,
+            right: left + layout.width,
+            width: layout.width,
+            height: layout.height,
+            x: left,
+            y: top
+        };
+    }
+
+    /**
+     * 配置済みの要素から文書全体のスクロールサイズを更新
+     *
+     * @private
+     */
+    _updateDocumentSize() {
+        let width = this.viewport.width;
+        let height = this.viewport.height;
+
+        this._layouts.forEach((layout, element) => {
+            const inContainer = Array.from(this._containers).some(container => container !== element && container.contains(element));
+            if (!inContainer) {
+                width = Math.max(width, layout.left + layout.width);
+                height = Math.max(height, layout.top + layout.height);
+            }
+        });
+
+        [document.body, document.documentElement].forEach(element => {
+            Object.defineProperty(element, 'scrollWidth', { configurable: true, get: () => width });
+            Object.defineProperty(element, 'scrollHeight', { configurable: true, get: () => height });
+        });
+    }
+
+    /**
+     * 要素またはトリガーIDを要素に解決
+     *
+     * @param {Element|string} target - 要素またはトリガーID
+     * @returns {Element} 要素
+     * @private
+     */
+    _resolve(target) {
+        if (typeof target !== 'string') {
+            return target;
+        }
+        // 引用符などを含むIDもセレクタとして解釈できるようエスケープする（jsdomにはCSS.escapeがない）
+        const escaped = typeof CSS !== 'undefined' && typeof CSS.escape === 'function'
+            ? CSS.escape(target)
+            : target.replace(/["\\]/g, '\\$&');
+        const element = document.querySelector(`[${this.triggerAttribute}="${escaped}"]`);
+        if (!element) {
+            throw new Error(`Scrolltering testing: トリガーID "${target}" の要素が見つかりません`);
+        }
+        return element;
+    }
+}
+
+/**
+ * インスタンス間で共有するObserverとキューを破棄
+ * 差し替え前後のIntersectionObserverやタイマーが混在しないよう、インストール時と復元時に呼び出します
+ *
+ * @private
+ */
+function resetSharedState() {
+    observerPool.reset();
+    scrollObserverPool.reset();
+    debounceBatch.reset();
+    frameBatch.reset();
+}
+
+/**
+ * テストハーネスを作成し、window のモックをインストール
+ *
+ * @param {Object} [options] - TestHarness のオプション
+ * @returns {TestHarness} テストハーネス
+ */
+function createTestHarness(options) {
+    return new TestHarness(options);
+}
+
+export { MockIntersectionObserver, TestHarness, createTestHarness };
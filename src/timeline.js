@@ -0,0 +1,504 @@
+import { frameBatch, readRect } from './pool.js';
+
+/**
+ * steps の値、または解析済みの data-trigger-keyframes をトラック定義の配列に変換
+ * 配列以外の値は1つのトラックとして扱います
+ *
+ * @param {*} value - トラック定義、またはその配列
+ * @returns {Array<*>} トラック定義の配列
+ */
+function toTrackDefinitions(value) {
+    if (value === undefined || value === null) {
+        return [];
+    }
+    return Array.isArray(value) ? value : [value];
+}
+
+/**
+ * 補間に使用できる値かどうか（数値、または単位付きの値・色などの文字列）
+ *
+ * @param {*} value - 値
+ * @returns {boolean} 使用できる場合true
+ */
+function isTrackValue(value) {
+    return (typeof value === 'number' && Number.isFinite(value)) ||
+        (typeof value === 'string' && value.trim() !== '');
+}
+
+/**
+ * トラック定義の検証
+ *
+ * @param {*} definition - トラック定義
+ * @returns {{reason: string, target?: *}|null} 不正な場合はその理由（'property' | 'value' | 'target'）、正しい場合はnull
+ */
+function validateTrack(definition) {
+    if (!definition || typeof definition !== 'object' ||
+        typeof definition.property !== 'string' || definition.property === '') {
+        return { reason: 'property' };
+    }
+
+    const { keyframes, target } = definition;
+    const validValues = keyframes === undefined
+        ? isTrackValue(definition.from) && isTrackValue(definition.to)
+        : Array.isArray(keyframes) && keyframes.length > 0 && keyframes.every(keyframe =>
+            keyframe && typeof keyframe.offset === 'number' && isTrackValue(keyframe.value));
+    if (!validValues) {
+        return { reason: 'value' };
+    }
+
+    if (typeof target === 'string') {
+        try {
+            document.createDocumentFragment().querySelector(target);
+        } catch (error) {
+            return { reason: 'target', target: target };
+        }
+    } else if (target && !(target instanceof Element)) {
+        return { reason: 'target', target: target };
+    }
+    return null;
+}
+
+/**
+ * キーフレームタイムライン
+ *
+ * 各トリガー要素のスクロール進捗（0-1）に応じて、数値・色・CSSカスタムプロパティを
+ * イージング付きで補間し、対象要素に書き込みます。
+ * レイアウトの読み取りと書き込みは1フレームにつき1回ずつにまとめて実行され（他のインスタンスや
+ * タイムラインと同じrAFで、すべての読み取りの後に書き込まれます）、
+ * ページの途中から読み込まれた場合も通過済みのステップは最終値、未到達のステップは初期値になります。
+ *
+ * キーフレームはJSの設定、またはトリガー要素の data-trigger-keyframes 属性（JSON）で宣言できます。
+ *
+ * @class ScrollTimeline
+ *
+ * @example
+ * const timeline = scrolly.createTimeline({
+ *   steps: {
+ *     step2: [{ target: '#graphic', property: 'opacity', from: 0, to: 1, easing: 'easeInOut' }],
+ *     step3: [{ target: '#map', property: '--zoom', keyframes: [
+ *       { offset: 0, value: 4 }, { offset: 0.5, value: 6 }, { offset: 1, value: 8 }
+ *     ] }]
+ *   }
+ * });
+ *
+ * // <div data-trigger="step4"
+ * //      data-trigger-keyframes='[{"target":"#bg","property":"background-color","from":"#fff","to":"#223"}]'>
+ */
+class ScrollTimeline {
+    /**
+     * ScrollTimelineのコンストラクタ
+     *
+     * @param {Scrolltering} scrolly - 対象のScrollteringインスタンス
+     * @param {Object} [options] - 設定オプション
+     * @param {Object<string, Array<Object>>} [options.steps={}] - トリガーIDごとのトラック定義
+     * @param {string|Function} [options.easing='linear'] - トラックで未指定の場合のイージング
+     */
+    constructor(scrolly, options = {}) {
+        this.scrolly = scrolly;
+        this.config = {
+            steps: {},
+            easing: 'linear',
+            ...options
+        };
+
+        this._steps = null;                   // 解析済みのステップ（refresh()で再構築）
+        this._scrollTarget = null;
+        this._onScroll = () => this.requestUpdate();
+        this._offDestroy = scrolly.on('destroy', () => this.destroy());
+        // root や selector が変わった場合はリスナーと対象のステップを作り直す
+        this._offUpdate = scrolly.on('update', () => this._bind());
+
+        // 読み込み位置に応じた値を最初のフレームで反映
+        this._bind();
+    }
+
+    /**
+     * 現在のスクロールコンテナにリスナーを登録し、ステップを再読み込み
+     *
+     * @private
+     */
+    _bind() {
+        this._unbind();
+        this._scrollTarget = this.scrolly._getRoot() || window;
+        this._scrollTarget.addEventListener('scroll', this._onScroll, { passive: true });
+        window.addEventListener('resize', this._onScroll, { passive: true });
+        this.refresh();
+    }
+
+    /**
+     * スクロールコンテナのリスナーを解除
+     *
+     * @private
+     */
+    _unbind() {
+        if (this._scrollTarget) {
+            this._scrollTarget.removeEventListener('scroll', this._onScroll);
+            window.removeEventListener('resize', this._onScroll);
+            this._scrollTarget = null;
+        }
+    }
+
+    /**
+     * 次のフレームでの更新を予約
+     * 同一フレーム内の複数回の呼び出しは1回にまとめられます
+     *
+     * @public
+     */
+    requestUpdate() {
+        frameBatch.request(this, (read) => this._measure(read), (resolved) => this._apply(resolved));
+    }
+
+    /**
+     * 全トラックの値を計算して書き込み
+     *
+     * 同じ対象・プロパティを複数のステップが操作する場合は、進捗が0より大きい
+     * 最後のステップ（文書順）の値を採用し、どれも未到達なら最初のステップの初期値を採用します。
+     *
+     * @public
+     */
+    update() {
+        this._apply(this._measure());
+    }
+
+    /**
+     * 読み取りフェーズ: 全ステップの進捗を計算し、書き込む値を解決
+     *
+     * @param {Function} [read] - 要素の矩形を取得する関数
+     * @returns {Map<Element, Map<string, string>>} 対象要素ごとのプロパティと値
+     * @private
+     */
+    _measure(read = readRect) {
+        const rootRect = this.scrolly._getRootRect(read);
+        const resolved = new Map();
+
+        if (!this._steps) {
+            this._steps = this._getSteps();
+        }
+
+        this._steps.forEach(({ element, tracks }) => {
+            const progress = this.scrolly._calculateProgress(element, rootRect, read(element));
+
+            tracks.forEach(track => {
+                track.targets.forEach(target => {
+                    if (!resolved.has(target)) {
+                        resolved.set(target, new Map());
+                    }
+                    const properties = resolved.get(target);
+                    if (!properties.has(track.property) || progress > 0) {
+                        properties.set(track.property, this._interpolateTrack(track, progress));
+                    }
+                });
+            });
+        });
+
+        return resolved;
+    }
+
+    /**
+     * 書き込みフェーズ: 計算済みの値をまとめて反映
+     *
+     * @param {Map<Element, Map<string, string>>} resolved - _measure()の結果
+     * @private
+     */
+    _apply(resolved) {
+        resolved.forEach((properties, target) => {
+            properties.forEach((value, property) => {
+                target.style.setProperty(property, value);
+            });
+        });
+    }
+
+    /**
+     * キーフレーム定義と対象要素を再読み込み
+     * 要素の追加/削除やdata属性の変更後に呼び出してください
+     *
+     * @public
+     */
+    refresh() {
+        this._steps = null;
+        this.requestUpdate();
+    }
+
+    /**
+     * キーフレームを持つステップの一覧を文書順に取得
+     *
+     * @returns {Array<{element: Element, tracks: Array<Object>}>} ステップとトラック
+     * @private
+     */
+    _getSteps() {
+        const attribute = `${this.scrolly.config.triggerAttribute}-keyframes`;
+
+        return Array.from(this.scrolly._getTargetElements())
+            .map(element => {
+                const id = element.getAttribute(this.scrolly.config.triggerAttribute);
+                const definitions = [
+                    ...toTrackDefinitions(this.config.steps[id]),
+                    ...this._parseAttribute(element.getAttribute(attribute))
+                ];
+                // 不正なトラックはスキップし、diagnose() の invalid_keyframes で報告する
+                return {
+                    element: element,
+                    tracks: definitions
+                        .filter(definition => !validateTrack(definition))
+                        .map(definition => this._normalizeTrack(definition, element))
+                };
+            })
+            .filter(step => step.tracks.length > 0);
+    }
+
+    /**
+     * data-trigger-keyframes 属性のJSONを解析
+     *
+     * @param {string|null} value - 属性値
+     * @returns {Array<Object>} トラック定義の配列
+     * @private
+     */
+    _parseAttribute(value) {
+        if (!value) {
+            return [];
+        }
+        try {
+            return toTrackDefinitions(JSON.parse(value));
+        } catch (error) {
+            // 解析できない属性は diagnose() の invalid_keyframes で報告する
+            return [];
+        }
+    }
+
+    /**
+     * トラック定義を正規化
+     *
+     * @param {Object} definition - トラック定義
+     * @param {string|Element} [definition.target] - 対象要素またはセレクタ（未指定時はトリガー要素）
+     * @param {string} definition.property - CSSプロパティ名またはカスタムプロパティ名
+     * @param {*} [definition.from] - 開始値
+     * @param {*} [definition.to] - 終了値
+     * @param {Array<{offset: number, value: *}>} [definition.keyframes] - 中間値を含むキーフレーム
+     * @param {string|Function} [definition.easing] - イージング
+     * @param {Element} element - トリガー要素
+     * @returns {Object} 正規化されたトラック
+     * @private
+     */
+    _normalizeTrack(definition, element) {
+        const keyframes = definition.keyframes
+            ? definition.keyframes.slice().sort((a, b) => a.offset - b.offset)
+            : [{ offset: 0, value: definition.from }, { offset: 1, value: definition.to }];
+
+        return {
+            targets: this._resolveTargets(definition.target, element),
+            property: this._toCssProperty(definition.property),
+            keyframes: keyframes.map(keyframe => ({
+                offset: keyframe.offset,
+                value: this._parseValue(keyframe.value)
+            })),
+            easing: this._resolveEasing(definition.easing || this.config.easing)
+        };
+    }
+
+    /**
+     * 対象要素の解決
+     *
+     * @param {string|Element|undefined} target - セレクタまたは要素
+     * @param {Element} element - トリガー要素
+     * @returns {Array<Element>} 対象要素
+     * @private
+     */
+    _resolveTargets(target, element) {
+        if (!target) {
+            return [element];
+        }
+        if (typeof target === 'string') {
+            return Array.from(document.querySelectorAll(target));
+        }
+        return [target];
+    }
+
+    /**
+     * camelCaseのプロパティ名をCSSのkebab-caseに変換
+     * カスタムプロパティ（--で始まる名前）はそのまま使用します
+     *
+     * @param {string} property - プロパティ名
+     * @returns {string} CSSプロパティ名
+     * @private
+     */
+    _toCssProperty(property) {
+        if (property.startsWith('--')) {
+            return property;
+        }
+        return property.replace(/[A-Z]/g, char => `-${char.toLowerCase()}`);
+    }
+
+    /**
+     * 値を補間可能な形式に解析
+     *
+     * @param {number|string} value - 数値、単位付きの値（'10px'）、または色（'#fff', 'rgb()'）
+     * @returns {Object} { type: 'number', value, unit } または { type: 'color', value: [r, g, b, a] }
+     * @private
+     */
+    _parseValue(value) {
+        if (typeof value === 'number') {
+            return { type: 'number', value: value, unit: '' };
+        }
+
+        const text = String(value).trim();
+        const color = this._parseColor(text);
+        if (color) {
+            return { type: 'color', value: color };
+        }
+
+        const match = text.match(/^(-?[\d.]+)([a-z%]*)$/i);
+        if (match) {
+            return { type: 'number', value: parseFloat(match[1]), unit: match[2] };
+        }
+
+        // 補間できない値は進捗0.5を境に切り替える
+        return { type: 'discrete', value: text };
+    }
+
+    /**
+     * 色文字列をRGBA配列に変換
+     *
+     * @param {string} text - '#rgb', '#rrggbb', '#rrggbbaa', 'rgb()', 'rgba()' 形式の色
+     * @returns {Array<number>|null} [r, g, b, a]、色でない場合はnull
+     * @private
+     */
+    _parseColor(text) {
+        let match = text.match(/^#([0-9a-f]{3,8})$/i);
+        if (match) {
+            let hex = match[1];
+            if (hex.length === 3 || hex.length === 4) {
+                hex = hex.split('').map(char => char + char).join('');
+            }
+            if (hex.length !== 6 && hex.length !== 8) {
+                return null;
+            }
+            const channels = hex.match(/.{2}/g).map(pair => parseInt(pair, 16));
+            return [channels[0], channels[1], channels[2], channels.length === 4 ? channels[3] / 255 : 1];
+        }
+
+        match = text.match(/^rgba?\(([^)]+)\)$/i);
+        if (match) {
+            const channels = match[1].split(/[\s,/]+/).filter(part => part).map(parseFloat);
+            return [channels[0], channels[1], channels[2], channels.length > 3 ? channels[3] : 1];
+        }
+
+        return null;
+    }
+
+    /**
+     * イージング関数の解決
+     *
+     * @param {string|Function} easing - イージング名または関数
+     * @returns {Function} 0-1の値を受け取り0-1の値を返す関数
+     * @private
+     */
+    _resolveEasing(easing) {
+        if (typeof easing === 'function') {
+            return easing;
+        }
+        return ScrollTimeline.easings[easing] || ScrollTimeline.easings.linear;
+    }
+
+    /**
+     * トラックの進捗に対応する値を計算
+     *
+     * @param {Object} track - 正規化されたトラック
+     * @param {number} progress - ステップの進捗（0-1）
+     * @returns {string} CSSに書き込む値
+     * @private
+     */
+    _interpolateTrack(track, progress) {
+        const { keyframes } = track;
+        const eased = track.easing(progress);
+
+        if (eased <= keyframes[0].offset) {
+            return this._formatValue(keyframes[0].value);
+        }
+
+        for (let i = 1; i < keyframes.length; i++) {
+            const from = keyframes[i - 1];
+            const to = keyframes[i];
+            if (eased <= to.offset) {
+                const span = to.offset - from.offset;
+                const ratio = span > 0 ? (eased - from.offset) / span : 1;
+                return this._formatValue(this._mix(from.value, to.value, ratio));
+            }
+        }
+
+        return this._formatValue(keyframes[keyframes.length - 1].value);
+    }
+
+    /**
+     * 2つの値を補間
+     *
+     * @param {Object} from - 解析済みの開始値
+     * @param {Object} to - 解析済みの終了値
+     * @param {number} ratio - 補間率（0-1）
+     * @returns {Object} 解析済みの形式の補間値
+     * @private
+     */
+    _mix(from, to, ratio) {
+        if (from.type === 'number' && to.type === 'number') {
+            return {
+                type: 'number',
+                value: from.value + (to.value - from.value) * ratio,
+                unit: to.unit || from.unit
+            };
+        }
+        if (from.type === 'color' && to.type === 'color') {
+            return {
+                type: 'color',
+                value: from.value.map((channel, index) => channel + (to.value[index] - channel) * ratio)
+            };
+        }
+        return ratio < 0.5 ? from : to;
+    }
+
+    /**
+     * 解析済みの値をCSSの文字列に変換
+     *
+     * @param {Object} parsed - 解析済みの値
+     * @returns {string} CSSに書き込む値
+     * @private
+     */
+    _formatValue(parsed) {
+        switch (parsed.type) {
+            case 'number':
+                return `${Math.round(parsed.value * 1000) / 1000}${parsed.unit}`;
+            case 'color': {
+                const [r, g, b, a] = parsed.value;
+                return `rgba(${Math.round(r)}, ${Math.round(g)}, ${Math.round(b)}, ${Math.round(a * 1000) / 1000})`;
+            }
+            default:
+                return parsed.value;
+        }
+    }
+
+    /**
+     * タイムラインの破棄
+     * 書き込んだ値はそのまま残ります
+     *
+     * @public
+     */
+    destroy() {
+        frameBatch.cancel(this);
+        this._unbind();
+        this.scrolly._timelines.delete(this);
+        this._offDestroy();
+        this._offUpdate();
+    }
+}
+
+/**
+ * 組み込みのイージング関数
+ *
+ * @type {Object<string, Function>}
+ */
+ScrollTimeline.easings = {
+    linear: t => t,
+    easeIn: t => t * t * t,
+    easeOut: t => 1 - Math.pow(1 - t, 3),
+    easeInOut: t => (t < 0.5 ? 4 * t * t * t : 1 - Math.pow(-2 * t + 2, 3) / 2)
+};
+
+export { ScrollTimeline, toTrackDefinitions, validateTrack };
@@ -0,0 +1,100 @@
+/**
+ * Vue 3 バインディング（scrolltering/vue）
+ *
+ * onMounted()でScrollteringを作成し、onBeforeUnmount()でdestroy()します。
+ * オプションにはref / reactive も指定でき、設定値の変更はupdateOptions()で反映されます。
+ *
+ * @example
+ * <script setup>
+ * import { ref } from 'vue';
+ * import { useScrolltering } from 'scrolltering/vue';
+ *
+ * const container = ref(null);
+ * const { current, progress, stepRef } = useScrolltering({ root: container, progress: true });
+ * </script>
+ *
+ * <template>
+ *     <div ref="container">
+ *         <section :ref="stepRef('intro')">...</section>
+ *         <section :ref="stepRef('chart')">...</section>
+ *     </div>
+ *     <Graphic :step="current" :progress="progress" />
+ * </template>
+ */
+import { onBeforeUnmount, onMounted, ref, shallowRef, unref, watch } from 'vue';
+import { Scrolltering } from './scrolltering.js';
+import { serializeOptions, createBindingConfig, StepRegistry } from './bindings.js';
+
+/**
+ * テンプレートrefの値を要素に解決
+ *
+ * @param {*} value - 要素、コンポーネントインスタンス、またはref
+ * @returns {*} 要素（コンポーネントの場合はルート要素）
+ */
+function resolveElement(value) {
+    const resolved = unref(value);
+    return resolved && resolved.$el ? resolved.$el : resolved;
+}
+
+/**
+ * Scrollteringを使用するVueコンポーザブル
+ *
+ * @param {Object} [options={}] - Scrollteringのオプション（ref / reactive も可）。rootにはテンプレートrefも指定できます
+ * @returns {{current: Ref<string|null>, previous: Ref<string|null>, direction: Ref<string|null>,
+ *            progress: Ref<number>, scrolly: ShallowRef<Scrolltering|null>, stepRef: Function}}
+ *   リアクティブな状態、インスタンス、ステップ要素を登録する関数refを返す関数
+ */
+function useScrolltering(options = {}) {
+    const current = ref(null);
+    const previous = ref(null);
+    const direction = ref(null);
+    const progress = ref(0);
+    const scrolly = shallowRef(null);
+
+    const readOptions = () => unref(options) || {};
+    const registry = new StepRegistry(
+        () => scrolly.value,
+        () => readOptions().triggerAttribute || 'data-trigger',
+        resolveElement
+    );
+
+    const createConfig = () => createBindingConfig(readOptions(), readOptions, {
+        resolveRoot: resolveElement,
+        getElements: () => registry.getElements(),
+        onChange: detail => {
+            current.value = detail.current;
+            previous.value = detail.previous;
+            direction.value = detail.direction;
+        },
+        onProgress: detail => {
+            progress.value = detail.progress;
+        }
+    });
+
+    onMounted(() => {
+        scrolly.value = new Scrolltering(createConfig());
+    });
+
+    onBeforeUnmount(() => {
+        if (scrolly.value) {
+            scrolly.value.destroy();
+            scrolly.value = null;
+        }
+    });
+
+    // 設定値またはrootの要素が変わった場合のみ反映する
+    watch(
+        [() => serializeOptions(readOptions()), () => resolveElement(readOptions().root)],
+        () => {
+            if (scrolly.value) {
+                scrolly.value.updateOptions(createConfig());
+            }
+        }
+    );
+
+    const stepRef = id => registry.ref(id);
+
+    return { current, previous, direction, progress, scrolly, stepRef };
+}
+
+export { useScrolltering };
@@ -0,0 +1,148 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import Scrolltering from '../src/index.js';
+import { createTestHarness } from '../src/testing.js';
+
+describe('アクセシビリティ', () => {
+    let harness;
+    let scrolly;
+
+    beforeEach(() => {
+        harness = createTestHarness({ viewport: { width: 1000, height: 800 } });
+        document.body.innerHTML = `
+            <section data-trigger="intro" aria-label="はじめに"></section>
+            <section data-trigger="chart"><h2>人口の
+                推移</h2></section>
+            <section data-trigger="outro"><p id="outro-label">おわりに</p></section>
+            <input id="search">
+        `;
+        document.querySelector('[data-trigger="outro"]').setAttribute('aria-labelledby', 'outro-label');
+        harness.stack();
+    });
+
+    afterEach(() => {
+        if (scrolly) {
+            scrolly.destroy();
+            scrolly = null;
+        }
+        harness.restore();
+        document.body.innerHTML = '';
+        delete window.matchMedia;
+    });
+
+    function liveRegion() {
+        return document.querySelector('.scrolltering-live-region');
+    }
+
+    function step(id) {
+        return document.querySelector(`[data-trigger="${id}"]`);
+    }
+
+    function press(key, target = document.body) {
+        const event = new KeyboardEvent('keydown', { key: key, bubbles: true, cancelable: true });
+        target.dispatchEvent(event);
+        return event;
+    }
+
+    it('現在のステップのラベルをライブリージョンで読み上げ、aria-current を付け替える', () => {
+        scrolly = new Scrolltering({ a11y: true });
+        harness.flush(scrolly);
+
+        expect(liveRegion().getAttribute('aria-live')).toBe('polite');
+        expect(liveRegion().textContent).toBe('はじめに');
+        expect(step('intro').getAttribute('aria-current')).toBe('step');
+
+        harness.simulateScroll(900).flush(scrolly);
+        expect(liveRegion().textContent).toBe('人口の 推移');
+        expect(step('intro').hasAttribute('aria-current')).toBe(false);
+        expect(step('chart').getAttribute('aria-current')).toBe('step');
+
+        harness.simulateScroll(1700).flush(scrolly);
+        expect(liveRegion().textContent).toBe('おわりに');
+    });
+
+    it('a11yAnnounce で読み上げる文言を変更できる', () => {
+        scrolly = new Scrolltering({
+            a11y: true,
+            a11yAnnounce: ({ label, current }) => `${label}（${current}）`
+        });
+        harness.flush(scrolly);
+
+        expect(liveRegion().textContent).toBe('はじめに（intro）');
+    });
+
+    it('PageDown / 矢印キーで前後のステップへ移動し、フォーカスを移す', () => {
+        scrolly = new Scrolltering({ a11y: true, a11yArrowKeys: true, strategy: 'line' });
+        harness.flush(scrolly);
+
+        const event = press('PageDown', step('intro'));
+        harness.flush(scrolly);
+
+        expect(event.defaultPrevented).toBe(true);
+        expect(scrolly.getCurrentTriggerId()).toBe('chart');
+        expect(document.activeElement).toBe(step('chart'));
+        expect(step('chart').getAttribute('tabindex')).toBe('-1');
+
+        press('ArrowUp', step('chart'));
+        harness.flush(scrolly);
+        expect(scrolly.getCurrentTriggerId()).toBe('intro');
+
+        press('End', step('intro'));
+        harness.flush(scrolly);
+        expect(scrolly.getCurrentTriggerId()).toBe('outro');
+    });
+
+    it('入力欄でのキー操作や、最後のステップでの PageDown は妨げない', () => {
+        scrolly = new Scrolltering({ a11y: true });
+        harness.flush(scrolly);
+
+        expect(press('PageDown', document.getElementById('search')).defaultPrevented).toBe(false);
+        expect(scrolly.getCurrentTriggerId()).toBe('intro');
+
+        harness.simulateScroll(1700).flush(scrolly);
+        expect(press('PageDown', step('outro')).defaultPrevented).toBe(false);
+    });
+
+    it('フォーカスがページ本体にある場合と矢印キーは、既定では処理しない', () => {
+        scrolly = new Scrolltering({ a11y: true, strategy: 'line' });
+        harness.flush(scrolly);
+
+        expect(press('PageDown').defaultPrevented).toBe(false);
+        expect(press('ArrowDown', step('intro')).defaultPrevented).toBe(false);
+        harness.flush(scrolly);
+        expect(scrolly.getCurrentTriggerId()).toBe('intro');
+
+        scrolly.updateOptions({ a11yGlobalKeys: true });
+        harness.flush(scrolly);
+        expect(press('PageDown').defaultPrevented).toBe(true);
+        harness.flush(scrolly);
+        expect(scrolly.getCurrentTriggerId()).toBe('chart');
+    });
+
+    it('prefers-reduced-motion を detail に含め、キーボード移動ではスムーズスクロールしない', () => {
+        window.matchMedia = vi.fn(query => ({ matches: query === '(prefers-reduced-motion: reduce)' }));
+        const onChange = vi.fn();
+        scrolly = new Scrolltering({ a11y: true, strategy: 'line', onChange });
+        harness.flush(scrolly);
+        const scrollTo = vi.spyOn(window, 'scrollTo');
+
+        press('PageDown', step('intro'));
+        harness.flush(scrolly);
+
+        expect(scrollTo).toHaveBeenCalledWith(expect.objectContaining({ behavior: 'auto' }));
+        expect(onChange).toHaveBeenLastCalledWith(expect.objectContaining({ current: 'chart', reducedMotion: true }));
+    });
+
+    it('destroy() でライブリージョンと付与した属性を削除する', () => {
+        scrolly = new Scrolltering({ a11y: true });
+        harness.flush(scrolly);
+        press('PageDown', step('intro'));
+        harness.flush(scrolly);
+
+        scrolly.destroy();
+        scrolly = null;
+
+        expect(liveRegion()).toBeNull();
+        expect(document.querySelectorAll('[aria-current]')).toHaveLength(0);
+        expect(step('chart').hasAttribute('tabindex')).toBe(false);
+    });
+});
@@ -0,0 +1,93 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import Scrolltering from '../src/index.js';
+import { createTestHarness } from '../src/testing.js';
+
+const VIEWPORT = { width: 1000, height: 800 };
+
+function render(ids) {
+    document.body.innerHTML = ids.map(id => `<section data-trigger="${id}"></section>`).join('');
+}
+
+describe('actions（data属性のアクションと状態クラス）', () => {
+    let harness;
+    let scrolly;
+
+    beforeEach(() => {
+        harness = createTestHarness({ viewport: VIEWPORT });
+    });
+
+    afterEach(() => {
+        if (scrolly) {
+            scrolly.destroy();
+            scrolly = null;
+        }
+        harness.restore();
+        document.body.innerHTML = '';
+    });
+
+    it('data属性のアクションと状態クラスを適用し、destroy() で解除する', () => {
+        document.body.innerHTML = `
+            <div id="graphic"></div>
+            <p id="caption"></p>
+            <section data-trigger="a" data-trigger-active-class="highlight"
+                data-trigger-target="#graphic" data-trigger-set-class="show-bars"
+                data-trigger-set-var="--zoom: 2"></section>
+            <section data-trigger="b" data-trigger-target="#caption" data-trigger-set-text="2020年以降"></section>
+        `;
+        harness.stack();
+        scrolly = new Scrolltering({ actions: true });
+        harness.flush(scrolly);
+
+        const graphic = document.getElementById('graphic');
+        const a = document.querySelector('[data-trigger="a"]');
+        const b = document.querySelector('[data-trigger="b"]');
+        expect(a.classList.contains('highlight')).toBe(true);
+        expect(graphic.classList.contains('show-bars')).toBe(true);
+        expect(graphic.style.getPropertyValue('--zoom')).toBe('2');
+        expect(a.classList.contains('is-active')).toBe(true);
+        expect(b.classList.contains('is-future')).toBe(true);
+
+        harness.simulateScroll(900).flush(scrolly);
+        expect(a.classList.contains('highlight')).toBe(false);
+        expect(graphic.classList.contains('show-bars')).toBe(false);
+        expect(document.getElementById('caption').textContent).toBe('2020年以降');
+        expect(a.classList.contains('is-past')).toBe(true);
+
+        scrolly.destroy();
+        scrolly = null;
+        expect(b.classList.contains('is-active')).toBe(false);
+    });
+
+    it('不正な data-trigger-target はスキップし、invalid_target_selector として報告する', () => {
+        document.body.innerHTML = `
+            <section data-trigger="a" data-trigger-target="#" data-trigger-set-class="on"></section>
+            <section data-trigger="b"></section>
+        `;
+        harness.stack();
+        scrolly = new Scrolltering({ actions: true });
+        harness.flush(scrolly);
+
+        expect(scrolly.getCurrentTriggerId()).toBe('a');
+        const issue = scrolly.diagnose().issues.find(item => item.type === 'invalid_target_selector');
+        expect(issue).toMatchObject({
+            severity: 'error',
+            element: document.querySelector('[data-trigger="a"]'),
+            details: { triggerId: 'a', attribute: 'data-trigger-target', selector: '#' }
+        });
+    });
+
+
+    it('stateClasses で指定したクラス名だけを置き換え、残りは既定値を使う', () => {
+        render(['a', 'b', 'c']);
+        harness.stack();
+        scrolly = new Scrolltering({ actions: true, stateClasses: { active: 'is-current' } });
+        harness.flush(scrolly);
+        harness.simulateScroll(900).flush(scrolly);
+
+        const [a, b, c] = document.querySelectorAll('[data-trigger]');
+        expect(a.classList.contains('is-past')).toBe(true);
+        expect(b.classList.contains('is-current')).toBe(true);
+        expect(b.classList.contains('is-active')).toBe(false);
+        expect(c.classList.contains('is-future')).toBe(true);
+    });
+});
@@ -0,0 +1,181 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import Scrolltering from '../src/index.js';
+import { createTestHarness } from '../src/testing.js';
+
+describe('読了分析', () => {
+    let harness;
+    let scrolly;
+
+    beforeEach(() => {
+        vi.useFakeTimers();
+        harness = createTestHarness({ viewport: { width: 1000, height: 800 } });
+        document.body.innerHTML = `
+            <section data-trigger="intro"></section>
+            <section data-trigger="chart"></section>
+            <section data-trigger="outro"></section>
+            <section data-trigger="credits"></section>
+        `;
+        harness.stack();
+    });
+
+    afterEach(() => {
+        if (scrolly) {
+            scrolly.destroy();
+            scrolly = null;
+        }
+        harness.restore();
+        document.body.innerHTML = '';
+        delete document.visibilityState;
+        vi.useRealTimers();
+    });
+
+    function setVisibility(state) {
+        Object.defineProperty(document, 'visibilityState', { configurable: true, get: () => state });
+        document.dispatchEvent(new Event('visibilitychange'));
+    }
+
+    function scrollTo(position, wait) {
+        harness.simulateScroll(position).flush(scrolly);
+        vi.advanceTimersByTime(wait);
+    }
+
+    it('ステップごとの滞在時間・到達深度・初回表示順・逆スクロール回数を集計する', () => {
+        scrolly = new Scrolltering({ analytics: true });
+        harness.flush(scrolly);
+        vi.advanceTimersByTime(3000);
+
+        scrollTo(900, 5000);       // chart
+        scrollTo(1700, 1000);      // outro
+        scrollTo(900, 2000);       // chart に戻る
+
+        const stats = scrolly.getStats();
+
+        expect(stats.order).toEqual(['intro', 'chart', 'outro']);
+        expect(stats.steps).toEqual([
+            { id: 'intro', dwellTime: 3000, visits: 1, backScrolls: 0 },
+            { id: 'chart', dwellTime: 7000, visits: 2, backScrolls: 1 },
+            { id: 'outro', dwellTime: 1000, visits: 1, backScrolls: 0 }
+        ]);
+        expect(stats.totalDwellTime).toBe(11000);
+        expect(stats.maxDepth).toEqual({ id: 'outro', index: 2, ratio: 0.75 });
+        expect(stats.backScrolls).toBe(1);
+    });
+
+    it('タブが非表示の間とアイドル中は滞在時間を加算しない', () => {
+        scrolly = new Scrolltering({ analytics: true, idleTimeout: 10000 });
+        harness.flush(scrolly);
+
+        vi.advanceTimersByTime(2000);
+        setVisibility('hidden');
+        vi.advanceTimersByTime(60000);
+        setVisibility('visible');
+        vi.advanceTimersByTime(1000);
+        expect(scrolly.getStats().steps[0].dwellTime).toBe(3000);
+
+        // 最後の操作から10秒でアイドルになり、それ以降は加算しない
+        vi.advanceTimersByTime(60000);
+        expect(scrolly.getStats().steps[0].dwellTime).toBe(12000);
+
+        document.dispatchEvent(new Event('keydown'));
+        vi.advanceTimersByTime(500);
+        expect(scrolly.getStats().steps[0].dwellTime).toBe(12500);
+    });
+
+    it('ページの非表示時と destroy() 時に集計結果をsinkへ送信する', () => {
+        const sink = vi.fn();
+        scrolly = new Scrolltering({ analytics: true, analyticsSink: sink });
+        harness.flush(scrolly);
+        vi.advanceTimersByTime(1000);
+
+        setVisibility('hidden');
+        window.dispatchEvent(new Event('pagehide'));
+
+        expect(sink).toHaveBeenCalledTimes(1);
+        expect(sink.mock.calls[0][0]).toMatchObject({
+            reason: 'hidden',
+            instanceId: scrolly.instanceId,
+            order: ['intro'],
+            totalDwellTime: 1000
+        });
+
+        setVisibility('visible');
+        scrolly.destroy();
+        scrolly = null;
+
+        expect(sink).toHaveBeenCalledTimes(2);
+        expect(sink.mock.calls[1][0].reason).toBe('destroy');
+    });
+
+    it('createBeaconSink() は navigator.sendBeacon でJSONを送信する', async () => {
+        const sendBeacon = vi.fn(() => true);
+        Object.defineProperty(navigator, 'sendBeacon', { configurable: true, value: sendBeacon });
+        scrolly = new Scrolltering({
+            analytics: true,
+            analyticsSink: Scrolltering.createBeaconSink('/api/reading', {
+                transform: summary => ({ depth: summary.maxDepth.ratio })
+            })
+        });
+        harness.flush(scrolly);
+
+        scrolly.destroy();
+        scrolly = null;
+        delete navigator.sendBeacon;
+
+        expect(sendBeacon).toHaveBeenCalledTimes(1);
+        const [url, blob] = sendBeacon.mock.calls[0];
+        expect(url).toBe('/api/reading');
+        expect(blob.type).toBe('application/json');
+        vi.useRealTimers();
+        const text = await new Promise(resolve => {
+            const reader = new FileReader();
+            reader.onload = () => resolve(reader.result);
+            reader.readAsText(blob);
+        });
+        expect(JSON.parse(text)).toEqual({ depth: 0.25 });
+    });
+
+    it('sink が例外を投げても destroy() の後処理を完了し、例外は非同期で再送出する', () => {
+        const sink = vi.fn(() => {
+            throw new Error('sink failed');
+        });
+        scrolly = new Scrolltering({ analytics: true, analyticsSink: sink });
+        harness.flush(scrolly);
+        const analytics = scrolly.analytics;
+        const destroy = vi.spyOn(analytics, 'destroy');
+
+        expect(() => scrolly.destroy()).not.toThrow();
+        scrolly = null;
+
+        expect(sink).toHaveBeenCalledTimes(1);
+        expect(destroy).toHaveBeenCalledTimes(1);
+        expect(() => vi.runOnlyPendingTimers()).toThrow('sink failed');
+    });
+
+    it('createBeaconSink() は sendBeacon 非対応環境で keepalive 付きの fetch を使い、失敗を無視する', async () => {
+        const request = Promise.reject(new TypeError('Failed to fetch'));
+        const handle = vi.spyOn(request, 'catch');
+        const fetch = vi.fn(() => request);
+        vi.stubGlobal('fetch', fetch);
+        scrolly = new Scrolltering({
+            analytics: true,
+            analyticsSink: Scrolltering.createBeaconSink('/api/reading')
+        });
+        harness.flush(scrolly);
+
+        scrolly.destroy();
+        scrolly = null;
+        vi.unstubAllGlobals();
+
+        expect(fetch).toHaveBeenCalledWith('/api/reading', expect.objectContaining({ method: 'POST', keepalive: true }));
+        // 拒否されたPromiseを未処理のまま残さない
+        expect(handle).toHaveBeenCalledTimes(1);
+        await expect(handle.mock.results[0].value).resolves.toBeUndefined();
+    });
+
+    it('analytics 無効時は getStats() が null を返す', () => {
+        scrolly = new Scrolltering();
+        harness.flush(scrolly);
+
+        expect(scrolly.getStats()).toBeNull();
+    });
+});
@@ -0,0 +1,59 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import Scrolltering from '../src/index.js';
+import { createTestHarness } from '../src/testing.js';
+
+const VIEWPORT = { width: 1000, height: 800 };
+
+function render(ids) {
+    document.body.innerHTML = ids.map(id => `<section data-trigger="${id}"></section>`).join('');
+}
+
+describe("axis: 'x'（横スクロール）", () => {
+    let harness;
+    let scrolly;
+
+    beforeEach(() => {
+        harness = createTestHarness({ viewport: VIEWPORT });
+    });
+
+    afterEach(() => {
+        if (scrolly) {
+            scrolly.destroy();
+            scrolly = null;
+        }
+        harness.restore();
+        document.body.innerHTML = '';
+    });
+
+    it('横方向の位置でトリガーを選択し、方向を left / right で通知する', () => {
+        render(['a', 'b', 'c']);
+        harness.stack({ axis: 'x', size: 1000 });
+        const onChange = vi.fn();
+        scrolly = new Scrolltering({ axis: 'x', onChange });
+        harness.flush(scrolly);
+        expect(scrolly.getCurrentTriggerId()).toBe('a');
+
+        harness.simulateScroll({ x: 1100, y: 0 }).flush(scrolly);
+        expect(onChange).toHaveBeenLastCalledWith(expect.objectContaining({ current: 'b', direction: 'right' }));
+
+        harness.simulateScroll({ x: 100, y: 0 }).flush(scrolly);
+        expect(onChange).toHaveBeenLastCalledWith(expect.objectContaining({ current: 'a', direction: 'left' }));
+    });
+
+
+    it('進捗は横方向の位置から計算し、幅の不足を insufficient_width として報告する', () => {
+        render(['a', 'b']);
+        harness.stack({ axis: 'x', size: 1000 });
+        const onProgress = vi.fn();
+        scrolly = new Scrolltering({ axis: 'x', progress: true, onProgress });
+        harness.flush(scrolly);
+        expect(onProgress).toHaveBeenLastCalledWith(expect.objectContaining({ current: 'a', progress: 0.5 }));
+
+        harness.simulateScroll({ x: 500, y: 0 }).flushFrames();
+        expect(onProgress).toHaveBeenLastCalledWith(expect.objectContaining({ current: 'a', progress: 0.75 }));
+
+        harness.layout('b', { left: 1000, width: 300 });
+        const issue = scrolly.diagnose().issues.find(item => item.type === 'insufficient_width');
+        expect(issue.details).toMatchObject({ triggerId: 'b', width: 300, minWidth: 500 });
+    });
+});
@@ -0,0 +1,96 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import '../src/index.js';
+import { createTestHarness } from '../src/testing.js';
+
+describe('<scroll-tering>', () => {
+    let harness;
+
+    beforeEach(() => {
+        harness = createTestHarness({ viewport: { width: 1000, height: 800 } });
+    });
+
+    afterEach(() => {
+        document.body.innerHTML = '';
+        harness.restore();
+    });
+
+    function mount(attributes = '') {
+        document.body.innerHTML = `
+            <section data-trigger="outside"></section>
+            <scroll-tering ${attributes}>
+                <section data-trigger="a"></section>
+                <section data-trigger="b"></section>
+            </scroll-tering>
+        `;
+        harness.stack();
+        return document.querySelector('scroll-tering');
+    }
+
+    it('属性をオプションに変換し、子要素のみを監視する', () => {
+        const element = mount('threshold="0,0.5" root-margin="-100px 0px" offset="100px" progress');
+        const { config } = element.scrolly;
+
+        expect(config).toMatchObject({
+            threshold: [0, 0.5],
+            rootMargin: '-100px 0px',
+            offset: '100px',
+            progress: true,
+            scope: element
+        });
+        expect(Array.from(element.scrolly._getTargetElements()).map(el => el.dataset.trigger))
+            .toEqual(['a', 'b']);
+    });
+
+    it('トリガー変更を current 属性とバブリングする change イベントで通知する', () => {
+        const element = mount();
+        const listener = vi.fn();
+        document.body.addEventListener('change', listener);
+
+        harness.simulateScroll(400).flush(element.scrolly);
+        expect(element.getAttribute('current')).toBe('a');
+        expect(element.current).toBe('a');
+
+        harness.simulateScroll(1700).flush(element.scrolly);
+        document.body.removeEventListener('change', listener);
+
+        expect(element.getAttribute('current')).toBe('b');
+        expect(listener).toHaveBeenCalledTimes(2);
+        expect(listener.mock.calls[1][0].detail).toMatchObject({ current: 'b', previous: 'a' });
+    });
+
+    it('属性の変更を updateOptions() で反映する', () => {
+        const element = mount();
+        const { instanceId } = element.scrolly;
+
+        element.setAttribute('debounce-delay', '50');
+
+        expect(element.scrolly.instanceId).toBe(instanceId);
+        expect(element.scrolly.config.debounceDelay).toBe(50);
+    });
+
+    it('属性の削除はデフォルト値に戻し、インスタンスと登録済みのリスナーを維持する', () => {
+        const element = mount('debounce-delay="50" progress');
+        const scrolly = element.scrolly;
+        const onChange = vi.fn();
+        scrolly.on('change', onChange);
+
+        element.removeAttribute('debounce-delay');
+        element.removeAttribute('progress');
+        expect(element.scrolly).toBe(scrolly);
+        expect(scrolly.config).toMatchObject({ debounceDelay: 10, progress: false, scope: element });
+
+        harness.simulateScroll(1700).flush(scrolly);
+        expect(onChange).toHaveBeenLastCalledWith(expect.objectContaining({ current: 'b' }));
+    });
+
+    it('文書から削除されると destroy() する', () => {
+        const element = mount();
+        const scrolly = element.scrolly;
+        const destroy = vi.spyOn(scrolly, 'destroy');
+
+        element.remove();
+
+        expect(destroy).toHaveBeenCalledTimes(1);
+        expect(element.scrolly).toBeNull();
+    });
+});
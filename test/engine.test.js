@@ -0,0 +1,134 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import Scrolltering from '../src/index.js';
+import { createTestHarness, MockIntersectionObserver } from '../src/testing.js';
+import { ScrollObserver } from '../src/engine.js';
+
+describe('scrollエンジン', () => {
+    let harness;
+    let scrolly;
+
+    beforeEach(() => {
+        harness = createTestHarness({ viewport: { width: 1000, height: 800 } });
+        document.body.innerHTML = `
+            <section data-trigger="intro"></section>
+            <section data-trigger="chart"></section>
+            <section data-trigger="outro"></section>
+        `;
+        harness.stack();
+    });
+
+    afterEach(() => {
+        if (scrolly) {
+            scrolly.destroy();
+            scrolly = null;
+        }
+        harness.restore();
+        document.body.innerHTML = '';
+    });
+
+    it('IntersectionObserver がない場合は自動で選択され、同じイベントを発火する', () => {
+        window.IntersectionObserver = undefined;
+        const onChange = vi.fn();
+        const onEnter = vi.fn();
+        scrolly = new Scrolltering({ onChange, onEnter });
+        harness.flush(scrolly);
+
+        harness.simulateScroll(900).flush(scrolly);
+        harness.simulateScroll(1700).flush(scrolly);
+
+        expect(MockIntersectionObserver.instances.size).toBe(0);
+        expect(onChange.mock.calls.map(([detail]) => [detail.current, detail.previous])).toEqual([
+            ['intro', null],
+            ['chart', 'intro'],
+            ['outro', 'chart']
+        ]);
+        expect(onEnter.mock.calls.map(([detail]) => detail.id)).toEqual(['intro', 'chart', 'outro']);
+
+        const result = scrolly.diagnose();
+        expect(result.summary.engine).toBe('scroll');
+        expect(result.issues.find(issue => issue.type === 'scroll_engine_fallback'))
+            .toMatchObject({ severity: 'info', details: { engine: 'auto' } });
+    });
+
+    it('threshold / rootMargin の交差判定が IntersectionObserver と一致する', () => {
+        const box = document.querySelector('[data-trigger="chart"]');
+        harness.layout(box, { top: 1000, height: 400 });
+        const options = { threshold: [0, 0.25, 0.5, 1], rootMargin: '-10% 0px -100px 0px' };
+        const expected = [];
+        const actual = [];
+        const reference = new MockIntersectionObserver(entries => expected.push(...entries), options);
+        const observer = new ScrollObserver(entries => actual.push(...entries), options);
+        reference.observe(box);
+        observer.observe(box);
+
+        [0, 200, 300, 400, 500, 700, 1000, 1320, 1400, 1500, 1320, 0].forEach(position => {
+            harness.simulateScroll(position).flushFrames();
+        });
+        observer.disconnect();
+        reference.disconnect();
+
+        const summarize = entries => entries.map(entry => [entry.isIntersecting, entry.intersectionRatio.toFixed(3)]);
+        expect(actual.length).toBeGreaterThan(5);
+        expect(summarize(actual)).toEqual(summarize(expected));
+    });
+
+    it('スクロール中は要素の矩形を読み直さず、resize でキャッシュを破棄する', () => {
+        const box = document.querySelector('[data-trigger="outro"]');
+        const callback = vi.fn();
+        const observer = new ScrollObserver(callback);
+        observer.observe(box);
+        harness.flushFrames();
+
+        const getBoundingClientRect = vi.spyOn(box, 'getBoundingClientRect');
+        [400, 800, 1200, 1700].forEach(position => harness.simulateScroll(position).flushFrames());
+
+        expect(getBoundingClientRect).not.toHaveBeenCalled();
+        expect(callback.mock.calls.map(([entries]) => entries[0].isIntersecting)).toEqual([false, true]);
+
+        window.dispatchEvent(new Event('resize'));
+        harness.flushFrames();
+        expect(getBoundingClientRect).toHaveBeenCalledTimes(1);
+        observer.disconnect();
+    });
+
+    it('スクロールコンテナを root にした場合も判定できる', () => {
+        document.body.innerHTML = `
+            <div id="scroller">
+                <section data-trigger="a"></section>
+                <section data-trigger="b"></section>
+            </div>
+        `;
+        const scroller = document.getElementById('scroller');
+        harness.container(scroller, { top: 100, height: 400 });
+        harness.stack({ container: scroller, size: 400, start: 100 });
+
+        scrolly = new Scrolltering({ root: scroller, engine: 'scroll' });
+        harness.flush(scrolly);
+        expect(scrolly.getCurrentTriggerId()).toBe('a');
+
+        harness.simulateScroll(500, { target: scroller }).flush(scrolly);
+        expect(scrolly.getCurrentTriggerId()).toBe('b');
+    });
+
+    it('IntersectionObserver がない環境での intersection の指定はエラーになる', () => {
+        window.IntersectionObserver = undefined;
+        expect(() => new Scrolltering({ engine: 'intersection' }))
+            .toThrow('Scrolltering: IntersectionObserver がサポートされていません');
+    });
+
+    it('未対応のエンジンは auto として動作し、diagnose() で invalid_engine として報告する', () => {
+        expect(() => {
+            scrolly = new Scrolltering({ engine: 'polling', locale: 'en' });
+        }).not.toThrow();
+        harness.flush(scrolly);
+        expect(scrolly.getCurrentTriggerId()).toBe('intro');
+
+        const result = scrolly.diagnose();
+        expect(result.summary.engine).toBe('intersection');
+        expect(result.issues.find(issue => issue.type === 'invalid_engine')).toMatchObject({
+            severity: 'error',
+            message: 'Unknown engine "polling"',
+            details: { engine: 'polling', allowed: ['auto', 'intersection', 'scroll'] }
+        });
+    });
+});
@@ -0,0 +1,98 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import Scrolltering from '../src/index.js';
+import { createTestHarness } from '../src/testing.js';
+
+const VIEWPORT = { width: 1000, height: 800 };
+
+function render(ids) {
+    document.body.innerHTML = ids.map(id => `<section data-trigger="${id}"></section>`).join('');
+}
+
+describe('onEnter / onExit（進入・退出とスクロール方向）', () => {
+    let harness;
+    let scrolly;
+
+    beforeEach(() => {
+        harness = createTestHarness({ viewport: VIEWPORT });
+    });
+
+    afterEach(() => {
+        if (scrolly) {
+            scrolly.destroy();
+            scrolly = null;
+        }
+        harness.restore();
+        document.body.innerHTML = '';
+    });
+
+    it('進入・退出した要素の id / index / direction を通知する', () => {
+        render(['a', 'b', 'c']);
+        harness.stack();
+        const onEnter = vi.fn();
+        const onExit = vi.fn();
+        scrolly = new Scrolltering({ onEnter, onExit });
+        harness.flush(scrolly);
+
+        harness.simulateScroll(900).flush(scrolly);
+        harness.simulateScroll(100).flush(scrolly);
+
+        const summarize = mock => mock.mock.calls.map(([detail]) => [detail.id, detail.index, detail.direction]);
+        // 初期状態では辺が接している b も進入として通知される
+        expect(summarize(onEnter)).toEqual([['a', 0, null], ['b', 1, null], ['c', 2, 'down'], ['a', 0, 'up']]);
+        expect(summarize(onExit)).toEqual([['a', 0, 'down'], ['c', 2, 'up']]);
+    });
+
+    it('要素のインデックスとIDは索引から取得し、watch で追加された要素にも追従する', async () => {
+        render(['a', 'b', 'c']);
+        harness.stack();
+        const onEnter = vi.fn();
+        scrolly = new Scrolltering({ onEnter, watch: true });
+        harness.flush(scrolly);
+
+        const querySelectorAll = vi.spyOn(document, 'querySelectorAll');
+        harness.simulateScroll(900).flush(scrolly);
+        harness.simulateScroll(1700).flush(scrolly);
+        expect(querySelectorAll).not.toHaveBeenCalled();
+        querySelectorAll.mockRestore();
+        expect(onEnter.mock.calls.map(([detail]) => [detail.id, detail.index])).toEqual([
+            ['a', 0], ['b', 1], ['c', 2]
+        ]);
+
+        const section = document.createElement('section');
+        section.setAttribute('data-trigger', 'new');
+        document.body.prepend(section);
+        await new Promise(resolve => setTimeout(resolve, 0));
+        harness.stack();
+        harness.simulateScroll(0).flush(scrolly);
+
+        expect(onEnter).toHaveBeenLastCalledWith(expect.objectContaining({ id: 'new', index: 0 }));
+        expect(scrolly.getCurrentTriggerId()).toBe('new');
+    });
+
+    it('scrollEnter / scrollExit イベントを発火し、pause() 中は発火しない', () => {
+        render(['a', 'b', 'c']);
+        harness.stack();
+        const entered = [];
+        const exited = [];
+        const onEnter = event => entered.push([event.detail.id, event.detail.instanceId]);
+        const onExit = event => exited.push(event.detail.id);
+        window.addEventListener('scrollEnter', onEnter);
+        window.addEventListener('scrollExit', onExit);
+        try {
+            scrolly = new Scrolltering();
+            harness.flush(scrolly);
+            harness.simulateScroll(900).flush(scrolly);
+
+            scrolly.pause();
+            harness.simulateScroll(0).flush(scrolly);
+        } finally {
+            window.removeEventListener('scrollEnter', onEnter);
+            window.removeEventListener('scrollExit', onExit);
+        }
+
+        expect(entered).toEqual([
+            ['a', scrolly.instanceId], ['b', scrolly.instanceId], ['c', scrolly.instanceId]
+        ]);
+        expect(exited).toEqual(['a']);
+    });
+});
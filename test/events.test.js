@@ -0,0 +1,110 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import Scrolltering from '../src/index.js';
+import { createTestHarness } from '../src/testing.js';
+
+const VIEWPORT = { width: 1000, height: 800 };
+
+function render(ids) {
+    document.body.innerHTML = ids.map(id => `<section data-trigger="${id}"></section>`).join('');
+}
+
+describe('インスタンスイベント（on / off / once / waitFor）', () => {
+    let harness;
+    let scrolly;
+
+    beforeEach(() => {
+        harness = createTestHarness({ viewport: VIEWPORT });
+    });
+
+    afterEach(() => {
+        if (scrolly) {
+            scrolly.destroy();
+            scrolly = null;
+        }
+        harness.restore();
+        document.body.innerHTML = '';
+    });
+
+    it('on() / off() / once() はこのインスタンスのイベントだけを受け取る', () => {
+        render(['a', 'b', 'c']);
+        harness.stack();
+        const change = vi.fn();
+        const enterOnce = vi.fn();
+        scrolly = new Scrolltering();
+        const other = new Scrolltering({ scope: '#none' });
+        const off = scrolly.on('change', change);
+        scrolly.once('enter', enterOnce);
+        harness.flush(scrolly, other);
+
+        harness.simulateScroll(900).flush(scrolly, other);
+        off();
+        harness.simulateScroll(1700).flush(scrolly, other);
+        other.destroy();
+
+        expect(change.mock.calls.map(([detail]) => detail.current)).toEqual(['a', 'b']);
+        expect(enterOnce).toHaveBeenCalledTimes(1);
+    });
+
+    it('waitFor() は指定したトリガーが現在のトリガーになった時点で解決する', async () => {
+        render(['a', 'b']);
+        harness.stack();
+        scrolly = new Scrolltering();
+        harness.flush(scrolly);
+
+        await expect(scrolly.waitFor('a')).resolves.toBe('a');
+        const waiting = scrolly.waitFor('b');
+        harness.simulateScroll(900).flush(scrolly);
+        await expect(waiting).resolves.toBe('b');
+    });
+
+    it("eventTarget: 'element' の場合はトリガー要素からバブリングする", () => {
+        document.body.innerHTML = `
+            <div id="story">
+                <section data-trigger="a"></section>
+                <section data-trigger="b"></section>
+            </div>
+        `;
+        harness.stack();
+        const listener = vi.fn();
+        document.getElementById('story').addEventListener('scrollTrigger', listener);
+        scrolly = new Scrolltering({ eventTarget: 'element' });
+        harness.flush(scrolly);
+
+        expect(listener).toHaveBeenCalledTimes(1);
+        expect(listener.mock.calls[0][0].target).toBe(document.querySelector('[data-trigger="a"]'));
+    });
+
+
+    it('waitFor() は到達前に destroy() された場合に拒否する', async () => {
+        render(['a', 'b']);
+        harness.stack();
+        scrolly = new Scrolltering();
+        harness.flush(scrolly);
+
+        const waiting = scrolly.waitFor('b');
+        scrolly.destroy();
+        scrolly = null;
+        await expect(waiting).rejects.toThrow('Scrolltering: トリガー "b" を待機中にインスタンスが破棄されました');
+    });
+
+    it("eventTarget: 'root' の場合はスクロールコンテナに発火する", () => {
+        document.body.innerHTML = `
+            <div id="scroller">
+                <section data-trigger="a"></section>
+                <section data-trigger="b"></section>
+            </div>
+        `;
+        const scroller = document.getElementById('scroller');
+        harness.container(scroller, { top: 0, height: 400 });
+        harness.stack({ container: scroller, size: 400 });
+        const listener = vi.fn();
+        scroller.addEventListener('scrollTrigger', listener);
+        scrolly = new Scrolltering({ root: scroller, eventTarget: 'root' });
+        harness.flush(scrolly);
+        harness.simulateScroll(500, { target: scroller }).flush(scrolly);
+
+        expect(listener.mock.calls.map(([event]) => [event.detail.current, event.target])).toEqual([
+            ['a', scroller], ['b', scroller]
+        ]);
+    });
+});
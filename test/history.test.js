@@ -0,0 +1,89 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import Scrolltering from '../src/index.js';
+import { createTestHarness } from '../src/testing.js';
+
+const VIEWPORT = { width: 1000, height: 800 };
+
+function render(ids) {
+    document.body.innerHTML = ids.map(id => `<section data-trigger="${id}"></section>`).join('');
+}
+
+describe('history（URLとの同期）', () => {
+    let harness;
+    let scrolly;
+
+    beforeEach(() => {
+        harness = createTestHarness({ viewport: VIEWPORT });
+    });
+
+    afterEach(() => {
+        if (scrolly) {
+            scrolly.destroy();
+            scrolly = null;
+        }
+        harness.restore();
+        document.body.innerHTML = '';
+        window.history.replaceState(null, '', window.location.pathname);
+    });
+
+    it("'hash' は現在のトリガーをURLに反映し、読み込み時はURLのトリガーへ移動する", () => {
+        render(['a', 'b', 'c']);
+        harness.stack();
+        window.history.replaceState(null, '', '#b');
+        const onChange = vi.fn();
+        scrolly = new Scrolltering({ history: 'hash', onChange });
+        harness.flush(scrolly);
+
+        expect(scrolly.getCurrentTriggerId()).toBe('b');
+        expect(onChange.mock.calls[0][0]).toMatchObject({ current: 'b', previous: null });
+
+        harness.simulateScroll(1700).flush(scrolly);
+        expect(window.location.hash).toBe('#c');
+    });
+
+    it("'query' は historyParam のパラメータに反映する", () => {
+        render(['a', 'b']);
+        harness.stack();
+        scrolly = new Scrolltering({ history: 'query', historyParam: 'step' });
+        harness.flush(scrolly);
+
+        harness.simulateScroll(900).flush(scrolly);
+        expect(new URLSearchParams(window.location.search).get('step')).toBe('b');
+    });
+
+    it('不正なエスケープを含むハッシュはトリガーの参照なしとして扱う', () => {
+        render(['a', 'b']);
+        harness.stack();
+        window.history.replaceState(null, '', '#%E0%A4%A');
+
+        expect(() => {
+            scrolly = new Scrolltering({ history: 'hash' });
+            harness.flush(scrolly);
+        }).not.toThrow();
+        expect(scrolly.getCurrentTriggerId()).toBe('a');
+    });
+
+
+    it('hashchange で参照先へ移動し、toSlug / fromSlug で変換したURLを使う', async () => {
+        render(['a', 'b', 'c']);
+        harness.stack();
+        const onChange = vi.fn();
+        scrolly = new Scrolltering({
+            history: 'hash',
+            toSlug: id => `step-${id}`,
+            fromSlug: slug => slug.replace(/^step-/, ''),
+            onChange
+        });
+        harness.flush(scrolly);
+        harness.simulateScroll(900).flush(scrolly);
+        expect(window.location.hash).toBe('#step-b');
+        onChange.mockClear();
+
+        window.history.replaceState(null, '', '#step-c');
+        window.dispatchEvent(new HashChangeEvent('hashchange'));
+        harness.flush(scrolly);
+
+        expect(scrolly.getCurrentTriggerId()).toBe('c');
+        expect(onChange.mock.calls.map(([detail]) => [detail.current, detail.previous])).toEqual([['c', 'b']]);
+    });
+});
@@ -0,0 +1,104 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import Scrolltering from '../src/index.js';
+import { createTestHarness } from '../src/testing.js';
+
+const VIEWPORT = { width: 1000, height: 800 };
+
+function render(ids) {
+    document.body.innerHTML = ids.map(id => `<section data-trigger="${id}"></section>`).join('');
+}
+
+describe('ナビゲーション（scrollToTrigger / next / prev）', () => {
+    let harness;
+    let scrolly;
+
+    beforeEach(() => {
+        harness = createTestHarness({ viewport: VIEWPORT });
+    });
+
+    afterEach(() => {
+        if (scrolly) {
+            scrolly.destroy();
+            scrolly = null;
+        }
+        harness.restore();
+        document.body.innerHTML = '';
+    });
+
+    it('scrollToTrigger() は対象が現在のトリガーになった時点で解決する', async () => {
+        render(['a', 'b', 'c']);
+        harness.stack();
+        const onChange = vi.fn();
+        scrolly = new Scrolltering({ onChange });
+        harness.flush(scrolly);
+        onChange.mockClear();
+
+        const promise = scrolly.scrollToTrigger('c', { behavior: 'auto' });
+        harness.flush(scrolly);
+
+        await expect(promise).resolves.toBe('c');
+        expect(onChange).toHaveBeenCalledTimes(1);
+        expect(onChange.mock.calls[0][0]).toMatchObject({ current: 'c', previous: 'a' });
+    });
+
+    it('next() / prev() で前後のトリガーへ移動する', async () => {
+        render(['a', 'b', 'c']);
+        harness.stack();
+        scrolly = new Scrolltering();
+        harness.flush(scrolly);
+
+        const next = scrolly.next();
+        harness.flush(scrolly);
+        await expect(next).resolves.toBe('b');
+
+        const prev = scrolly.prev();
+        harness.flush(scrolly);
+        await expect(prev).resolves.toBe('a');
+    });
+
+    it('start() 前と destroy() 後、存在しないトリガーへの移動は拒否する', async () => {
+        render(['a', 'b']);
+        harness.stack();
+        scrolly = new Scrolltering({ autoStart: false });
+
+        await expect(scrolly.scrollToTrigger('b')).rejects.toThrow('Scrolltering: 監視を開始していないため');
+
+        scrolly.start();
+        harness.flush(scrolly);
+        await expect(scrolly.scrollToTrigger('missing')).rejects.toThrow();
+
+        scrolly.destroy();
+        await expect(scrolly.next()).rejects.toThrow('Scrolltering: 監視を開始していないため');
+        scrolly = null;
+    });
+
+    it('suppress: true の移動中は、進捗も出発点の要素のまま通知する', async () => {
+        render(['a', 'b', 'c']);
+        harness.stack();
+        const onChange = vi.fn();
+        const onProgress = vi.fn();
+        scrolly = new Scrolltering({ progress: true, onChange, onProgress });
+        harness.flush(scrolly);
+        const a = document.querySelector('[data-trigger="a"]');
+        onChange.mockClear();
+        onProgress.mockClear();
+
+        // スムーズスクロールの途中で b を通過する状態を再現する
+        const scrollTo = vi.spyOn(window, 'scrollTo').mockImplementation(() => {});
+        const promise = scrolly.scrollToTrigger('c', { suppress: true });
+        scrollTo.mockRestore();
+        harness.simulateScroll(900).flush(scrolly);
+
+        expect(onChange).not.toHaveBeenCalled();
+        expect(onProgress.mock.calls.length).toBeGreaterThan(0);
+        onProgress.mock.calls.forEach(([detail]) => {
+            expect(detail.current).toBe('a');
+            expect(detail.element).toBe(a);
+        });
+
+        harness.simulateScroll(1700).flush(scrolly);
+        await expect(promise).resolves.toBe('c');
+        expect(onChange.mock.calls.map(([detail]) => [detail.current, detail.previous])).toEqual([['c', 'a']]);
+        expect(onProgress).toHaveBeenLastCalledWith(expect.objectContaining({ current: 'c' }));
+    });
+});
@@ -0,0 +1,89 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import Scrolltering from '../src/index.js';
+import { createTestHarness } from '../src/testing.js';
+
+const VIEWPORT = { width: 1000, height: 800 };
+
+function render(ids) {
+    document.body.innerHTML = ids.map(id => `<section data-trigger="${id}"></section>`).join('');
+}
+
+describe('nested（入れ子のトリガー）', () => {
+    let harness;
+    let scrolly;
+
+    beforeEach(() => {
+        harness = createTestHarness({ viewport: VIEWPORT });
+    });
+
+    afterEach(() => {
+        if (scrolly) {
+            scrolly.destroy();
+            scrolly = null;
+        }
+        harness.restore();
+        document.body.innerHTML = '';
+    });
+
+    it('入れ子のトリガーから階層パスを作り、変化した階層を通知する', () => {
+        document.body.innerHTML = `
+            <section data-trigger="chapter-1">
+                <div data-trigger="step-1"></div>
+                <div data-trigger="step-2"></div>
+            </section>
+            <section data-trigger="chapter-2">
+                <div data-trigger="step-3"></div>
+            </section>
+        `;
+        harness.layout('chapter-1', { top: 0, height: 1600 })
+            .layout('step-1', { top: 0, height: 800 })
+            .layout('step-2', { top: 800, height: 800 })
+            .layout('chapter-2', { top: 1600, height: 800 })
+            .layout('step-3', { top: 1600, height: 800 });
+        const onChange = vi.fn();
+        const onChapter = vi.fn();
+        scrolly = new Scrolltering({ nested: true, onChange, onLevelChange: [onChapter] });
+        harness.flush(scrolly);
+        expect(scrolly.getCurrentPath()).toEqual(['chapter-1', 'step-1']);
+
+        harness.simulateScroll(900).flush(scrolly);
+        expect(scrolly.getCurrentPath()).toEqual(['chapter-1', 'step-2']);
+        expect(onChapter).toHaveBeenCalledTimes(1);
+
+        harness.simulateScroll(1700).flush(scrolly);
+        expect(onChange).toHaveBeenLastCalledWith(expect.objectContaining({
+            current: 'step-3',
+            path: ['chapter-2', 'step-3'],
+            previousPath: ['chapter-1', 'step-2'],
+            changedLevels: [0, 1]
+        }));
+        expect(onChapter).toHaveBeenLastCalledWith(expect.objectContaining({ current: 'chapter-2', previous: 'chapter-1' }));
+    });
+
+
+    it('階層ごとのコールバックは level を受け取り、子のない階層では current が null になる', () => {
+        document.body.innerHTML = `
+            <section data-trigger="chapter-1">
+                <div data-trigger="step-1"></div>
+                <div data-trigger="step-2"></div>
+            </section>
+            <section data-trigger="chapter-2"></section>
+        `;
+        harness.layout('chapter-1', { top: 0, height: 1600 })
+            .layout('step-1', { top: 0, height: 800 })
+            .layout('step-2', { top: 800, height: 800 })
+            .layout('chapter-2', { top: 1600, height: 800 });
+        const onChapter = vi.fn();
+        const onStep = vi.fn();
+        scrolly = new Scrolltering({ nested: true, onLevelChange: [onChapter, onStep] });
+        harness.flush(scrolly);
+        harness.simulateScroll(900).flush(scrolly);
+        expect(onChapter).toHaveBeenCalledTimes(1);
+        expect(onStep).toHaveBeenLastCalledWith(expect.objectContaining({ level: 1, current: 'step-2', previous: 'step-1' }));
+
+        harness.simulateScroll(1700).flush(scrolly);
+        expect(scrolly.getCurrentPath()).toEqual(['chapter-2']);
+        expect(onChapter).toHaveBeenLastCalledWith(expect.objectContaining({ level: 0, current: 'chapter-2', previous: 'chapter-1' }));
+        expect(onStep).toHaveBeenLastCalledWith(expect.objectContaining({ level: 1, current: null, previous: 'step-2' }));
+    });
+});
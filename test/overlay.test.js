@@ -0,0 +1,128 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import Scrolltering from '../src/index.js';
+import { createTestHarness } from '../src/testing.js';
+
+describe('デバッグオーバーレイ', () => {
+    let harness;
+    let scrolly;
+
+    beforeEach(() => {
+        harness = createTestHarness({ viewport: { width: 1000, height: 800 } });
+        document.body.innerHTML = `
+            <section data-trigger="a"></section>
+            <section data-trigger="b"></section>
+            <section data-trigger="c"></section>
+        `;
+        harness.stack({ size: [800, 800, 100] });
+    });
+
+    afterEach(() => {
+        if (scrolly) {
+            scrolly.destroy();
+            scrolly = null;
+        }
+        harness.restore();
+        document.body.innerHTML = '';
+    });
+
+    function query(selector) {
+        return document.querySelectorAll(`.scrolltering-overlay ${selector}`);
+    }
+
+    it('showOverlay() で判定領域・トリガーライン・要素の枠を描画する', () => {
+        scrolly = new Scrolltering({ rootMargin: '-100px 0px', offset: 0.25 });
+        scrolly.showOverlay();
+        harness.flush(scrolly);
+
+        const marginBox = query('.scrolltering-overlay__root-margin')[0];
+        expect(marginBox.style.top).toBe('100px');
+        expect(marginBox.style.height).toBe('600px');
+        expect(query('.scrolltering-overlay__line')[0].style.top).toBe('199px');
+
+        const labels = Array.from(query('.scrolltering-overlay__label')).map(label => label.textContent);
+        expect(labels).toHaveLength(3);
+        expect(labels[0]).toContain('a');
+        expect(labels[0]).toContain('ratio: 0.75');
+        expect(labels[0]).toContain('current');
+        expect(query('.scrolltering-overlay__element.is-current')).toHaveLength(1);
+    });
+
+    it('スクロールに追従して現在の要素を切り替える', () => {
+        scrolly = new Scrolltering();
+        scrolly.showOverlay();
+        harness.flush(scrolly);
+
+        harness.simulateScroll(900).flush(scrolly);
+
+        const current = query('.scrolltering-overlay__element.is-current')[0];
+        expect(current.style.top).toBe('-100px');
+        expect(current.textContent).toContain('b');
+    });
+
+    it('diagnose() の問題を該当する要素の横に表示する', () => {
+        scrolly = new Scrolltering();
+        scrolly.showOverlay();
+        harness.flush(scrolly);
+
+        const boxes = query('.scrolltering-overlay__element');
+        const issues = boxes[2].querySelectorAll('.scrolltering-overlay__issue');
+        expect(issues).toHaveLength(1);
+        expect(issues[0].textContent).toContain('insufficient_height');
+        expect(boxes[0].querySelectorAll('.scrolltering-overlay__issue')).toHaveLength(0);
+    });
+
+    it('debug: true で自動表示されて開始時に診断し、destroy() で完全に削除される', () => {
+        const spies = ['log', 'group', 'groupEnd'].map(method =>
+            vi.spyOn(console, method).mockImplementation(() => {})
+        );
+        scrolly = new Scrolltering({ debug: true });
+        harness.flush(scrolly);
+        expect(document.querySelectorAll('.scrolltering-overlay')).toHaveLength(1);
+
+        expect(spies[1]).toHaveBeenCalled();
+        expect(query('.scrolltering-overlay__issue').length).toBeGreaterThan(0);
+        spies.forEach(spy => spy.mockRestore());
+
+        scrolly.destroy();
+        scrolly = null;
+        expect(document.querySelectorAll('.scrolltering-overlay')).toHaveLength(0);
+    });
+
+    it('autoDiagnose: false の場合は開始時に診断しない', () => {
+        const spies = ['log', 'group', 'groupEnd'].map(method =>
+            vi.spyOn(console, method).mockImplementation(() => {})
+        );
+        scrolly = new Scrolltering({ debug: true, autoDiagnose: false });
+        harness.flush(scrolly);
+        expect(document.querySelectorAll('.scrolltering-overlay')).toHaveLength(1);
+
+        expect(spies[1]).not.toHaveBeenCalled();
+        expect(query('.scrolltering-overlay__issue')).toHaveLength(0);
+        spies.forEach(spy => spy.mockRestore());
+    });
+
+    it('再描画はインスタンスと同じrAFにまとめ、読み取りの後に書き込む', () => {
+        scrolly = new Scrolltering({ progress: true });
+        scrolly.showOverlay();
+        harness.flush(scrolly);
+
+        const element = document.querySelector('[data-trigger="b"]');
+        const box = query('.scrolltering-overlay__element')[1];
+        const topsAtRead = [];
+        const getBoundingClientRect = element.getBoundingClientRect;
+        element.getBoundingClientRect = () => {
+            topsAtRead.push(box.style.top);
+            return getBoundingClientRect.call(element);
+        };
+        const requestFrame = vi.spyOn(window, 'requestAnimationFrame');
+
+        harness.simulateScroll(100);
+        topsAtRead.length = 0;
+        harness.flushFrames();
+
+        expect(requestFrame).toHaveBeenCalledTimes(1);
+        expect(topsAtRead.length).toBeGreaterThan(0);
+        expect(topsAtRead.every(top => top === '800px')).toBe(true);
+        expect(box.style.top).toBe('700px');
+    });
+});
@@ -0,0 +1,182 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import Scrolltering from '../src/index.js';
+import { createTestHarness } from '../src/testing.js';
+
+describe('プラグイン', () => {
+    let harness;
+    let scrolly;
+    let unregister;
+
+    beforeEach(() => {
+        harness = createTestHarness({ viewport: { width: 1000, height: 800 } });
+        document.body.innerHTML = `
+            <section data-trigger="intro"></section>
+            <section data-trigger="interlude-1"></section>
+            <section data-trigger="chart"></section>
+            <section data-trigger="outro"></section>
+        `;
+        harness.stack();
+    });
+
+    afterEach(() => {
+        if (scrolly) {
+            scrolly.destroy();
+            scrolly = null;
+        }
+        if (unregister) {
+            unregister();
+            unregister = null;
+        }
+        harness.restore();
+        document.body.innerHTML = '';
+    });
+
+    it('use() で登録したプラグインのフックをライフサイクルに沿って実行する', () => {
+        const calls = [];
+        const plugin = {
+            name: 'recorder',
+            init: () => calls.push('init'),
+            beforeObserve: ({ options }) => {
+                calls.push('beforeObserve');
+                options.threshold = 0.25;
+            },
+            intersect: (entries) => {
+                calls.push(`intersect:${entries.length}`);
+            },
+            afterChange: (detail) => calls.push(`afterChange:${detail.current}`),
+            destroy: () => calls.push('destroy')
+        };
+        unregister = Scrolltering.use(plugin);
+        scrolly = new Scrolltering();
+        harness.flush(scrolly);
+
+        expect(scrolly.observer.thresholds).toEqual([0.25]);
+
+        scrolly.updateOptions({ debounceDelay: 20 });
+        harness.flush(scrolly);
+        scrolly.destroy();
+        scrolly = null;
+
+        expect(calls[0]).toBe('init');
+        expect(calls.filter(call => call === 'init')).toHaveLength(1);
+        expect(calls.filter(call => call === 'beforeObserve')).toHaveLength(2);
+        expect(calls).toContain('intersect:4');
+        expect(calls).toContain('afterChange:intro');
+        expect(calls[calls.length - 1]).toBe('destroy');
+
+        // 登録解除後に作成したインスタンスには適用されない
+        unregister();
+        calls.length = 0;
+        scrolly = new Scrolltering();
+        harness.flush(scrolly);
+        expect(calls).toEqual([]);
+    });
+
+    it('beforeObserve で監視対象の要素を置き換えられる', () => {
+        scrolly = new Scrolltering({
+            plugins: [{
+                name: 'no-interludes',
+                beforeObserve: ({ elements }) => elements.filter(element => !element.dataset.trigger.startsWith('interlude-'))
+            }]
+        });
+        harness.flush(scrolly);
+
+        expect(Array.from(scrolly.observedElements, element => element.dataset.trigger))
+            .toEqual(['intro', 'chart', 'outro']);
+    });
+
+    it('selectCurrent で選択を上書きできる', () => {
+        scrolly = new Scrolltering({
+            plugins: [{
+                name: 'prefer-chart',
+                selectCurrent: ({ candidates, selected }) =>
+                    candidates.some(candidate => candidate.id === 'chart') ? 'chart' : selected
+            }]
+        });
+        harness.flush(scrolly);
+        expect(scrolly.getCurrentTriggerId()).toBe('intro');
+
+        // topmost では interlude-1 が選択される位置
+        harness.simulateScroll(900).flush(scrolly);
+        expect(scrolly.getCurrentTriggerId()).toBe('chart');
+    });
+
+    it('beforeChange で detail を変更し、false を返すと変更を取り消す', () => {
+        const onChange = vi.fn();
+        scrolly = new Scrolltering({
+            onChange,
+            plugins: [{
+                name: 'skip-interludes',
+                beforeChange: (detail) => {
+                    detail.chapter = detail.current.split('-')[0];
+                    return !detail.current.startsWith('interlude-');
+                }
+            }]
+        });
+        harness.flush(scrolly);
+
+        harness.simulateScroll(900).flush(scrolly);
+        expect(scrolly.getCurrentTriggerId()).toBe('intro');
+
+        harness.simulateScroll(1700).flush(scrolly);
+        expect(scrolly.getCurrentTriggerId()).toBe('chart');
+        expect(onChange.mock.calls.map(([detail]) => [detail.current, detail.previous, detail.chapter])).toEqual([
+            ['intro', null, 'intro'],
+            ['chart', 'intro', 'chart']
+        ]);
+    });
+
+    it('methods をインスタンスのメソッドとして追加する', () => {
+        scrolly = new Scrolltering({
+            plugins: [{
+                name: 'chapters',
+                methods: {
+                    isAt(id) {
+                        return this.getCurrentTriggerId() === id;
+                    }
+                }
+            }]
+        });
+        harness.flush(scrolly);
+
+        expect(scrolly.isAt('intro')).toBe(true);
+        expect(Scrolltering.prototype.isAt).toBeUndefined();
+        expect(() => new Scrolltering({
+            autoStart: false,
+            plugins: [{ name: 'conflict', methods: { destroy() {} } }]
+        })).toThrow('Scrolltering: プラグイン "conflict" のメソッド "destroy" は既に存在します');
+    });
+
+    it('name がないプラグインや関数でないフックは登録できない', () => {
+        expect(() => Scrolltering.use({ init() {} })).toThrow('Scrolltering: プラグインには name が必要です');
+        expect(() => Scrolltering.use({ name: 'broken', afterChange: true }))
+            .toThrow('Scrolltering: プラグイン "broken" の afterChange は関数である必要があります');
+    });
+
+    it('diagnose フックの問題を diagnose() の結果に追加する', () => {
+        scrolly = new Scrolltering({
+            plugins: [
+                {
+                    name: 'interlude-check',
+                    diagnose: ({ elements }) => elements
+                        .filter(element => element.dataset.trigger.startsWith('interlude-'))
+                        .map(element => ({ element, message: '間奏のステップがあります' }))
+                },
+                {
+                    name: 'broken',
+                    diagnose: () => {
+                        throw new Error('boom');
+                    }
+                }
+            ]
+        });
+
+        const issues = scrolly.diagnose().issues;
+        const custom = issues.find(issue => issue.type === 'interlude-check');
+
+        expect(custom).toMatchObject({ severity: 'warning', message: '間奏のステップがあります' });
+        expect(custom.element.dataset.trigger).toBe('interlude-1');
+        expect(issues.find(issue => issue.type === 'diagnostic_rule_failed').details)
+            .toEqual({ rule: 'broken', error: 'boom' });
+    });
+});
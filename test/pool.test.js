@@ -0,0 +1,183 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import Scrolltering from '../src/index.js';
+import { createTestHarness, MockIntersectionObserver } from '../src/testing.js';
+import { observerPool, DebounceBatch, FrameBatch } from '../src/pool.js';
+
+describe('インスタンス間の共有', () => {
+    let harness;
+    let instances;
+
+    beforeEach(() => {
+        harness = createTestHarness({ viewport: { width: 1000, height: 800 } });
+        document.body.innerHTML = `
+            <div id="story-a">
+                <section data-trigger="a-intro"></section>
+                <section data-trigger="a-chart"></section>
+            </div>
+            <div id="story-b">
+                <section data-trigger="b-intro"></section>
+                <section data-trigger="b-chart"></section>
+            </div>
+        `;
+        harness.stack();
+        instances = [];
+    });
+
+    afterEach(() => {
+        instances.forEach(instance => instance.destroy());
+        harness.restore();
+        document.body.innerHTML = '';
+    });
+
+    function create(options) {
+        const instance = new Scrolltering(options);
+        instances.push(instance);
+        return instance;
+    }
+
+    it('root / rootMargin / threshold が同じインスタンスは IntersectionObserver を共有する', () => {
+        const a = create({ scope: '#story-a', threshold: [0.5, 0] });
+        const b = create({ scope: '#story-b', threshold: [0, 0.5], rootMargin: '0px' });
+        const c = create({ scope: '#story-b', threshold: 0.25 });
+        harness.flush(a, b, c);
+
+        expect(MockIntersectionObserver.instances.size).toBe(2);
+        expect(observerPool.size).toBe(2);
+        expect(a.observer.thresholds).toEqual(b.observer.thresholds);
+        expect(c.observer.thresholds).toEqual([0.25]);
+
+        // 利用者がいなくなった Observer は切断される
+        const handle = c.observer;
+        c.destroy();
+        expect(MockIntersectionObserver.instances.size).toBe(1);
+        expect(observerPool.size).toBe(1);
+        expect(handle.thresholds).toEqual([0.25]);
+        expect(handle.root).toBe(null);
+    });
+
+    it('restore() で共有の Observer と予約済みのフレームを破棄する', () => {
+        const a = create({ scope: '#story-a', progress: true });
+        harness.flush(a);
+        harness.simulateScroll(100);
+
+        harness.restore();
+        expect(observerPool.size).toBe(0);
+        expect(MockIntersectionObserver.instances.size).toBe(0);
+
+        // 新しいハーネスでは Observer とフレームの予約が作り直される
+        harness = createTestHarness({ viewport: { width: 1000, height: 800 } });
+        harness.stack();
+        const onProgress = vi.fn();
+        const b = create({ scope: '#story-a', progress: true, onProgress });
+        harness.flush(b);
+        harness.simulateScroll(200).flushFrames();
+
+        expect(MockIntersectionObserver.instances.size).toBe(1);
+        expect(b.getCurrentTriggerId()).toBe('a-intro');
+        expect(onProgress).toHaveBeenCalled();
+    });
+
+    it('共有中も各インスタンスには自身の要素のイベントだけが届く', () => {
+        const onChangeA = vi.fn();
+        const onChangeB = vi.fn();
+        const a = create({ scope: '#story-a', onChange: onChangeA });
+        const b = create({ scope: '#story-b', onChange: onChangeB });
+        harness.flush(a, b);
+
+        expect(a.getCurrentTriggerId()).toBe('a-intro');
+        expect(b.getCurrentTriggerId()).toBeNull();
+
+        harness.simulateScroll(1700).flush(a, b);
+        harness.simulateScroll(2500).flush(a, b);
+
+        expect(onChangeA.mock.calls.map(([detail]) => detail.current)).toEqual(['a-intro']);
+        expect(onChangeB.mock.calls.map(([detail]) => [detail.current, detail.previous])).toEqual([
+            ['b-intro', null],
+            ['b-chart', 'b-intro']
+        ]);
+        expect(a.getCurrentTriggerId()).toBe('a-intro');
+    });
+
+    it('同じ要素を後から監視したインスタンスも初回の状態を受け取る', () => {
+        const a = create({ scope: '#story-a' });
+        harness.flush(a);
+
+        const b = create({ scope: '#story-a' });
+        harness.flush(a, b);
+
+        expect(MockIntersectionObserver.instances.size).toBe(1);
+        expect(b.getCurrentTriggerId()).toBe('a-intro');
+
+        // 一方を破棄しても他方の監視は続く
+        a.destroy();
+        harness.simulateScroll(900).flush(b);
+        expect(b.getCurrentTriggerId()).toBe('a-chart');
+    });
+
+    it('1つの登録者の例外で他の登録者の処理を中断せず、例外は非同期で再送出する', () => {
+        vi.useFakeTimers();
+        try {
+            const writes = [];
+            const register = (enqueue) => {
+                enqueue({}, () => {
+                    throw new Error('read failed');
+                }, () => writes.push('read failed'));
+                enqueue({}, () => 'a', value => writes.push(value));
+                enqueue({}, () => 'b', () => {
+                    throw new Error('write failed');
+                });
+                enqueue({}, () => 'c', value => writes.push(value));
+            };
+
+            const debounce = new DebounceBatch();
+            register((owner, read, write) => debounce.schedule(owner, 10, read, write));
+            vi.advanceTimersToNextTimer();
+            expect(writes).toEqual(['a', 'c']);
+            expect(() => vi.runOnlyPendingTimers()).toThrow('read failed');
+            vi.clearAllTimers();
+
+            writes.length = 0;
+            const frame = new FrameBatch();
+            register((owner, read, write) => frame.request(owner, read, write));
+            harness.flushFrames();
+            expect(writes).toEqual(['a', 'c']);
+            expect(() => vi.runOnlyPendingTimers()).toThrow('read failed');
+        } finally {
+            vi.clearAllTimers();
+            vi.useRealTimers();
+        }
+    });
+
+    it('スクロール追従の再計測は1フレームにつき1回のrAFにまとめ、読み取りの後に書き込む', () => {
+        const calls = [];
+        const a = create({
+            scope: '#story-a',
+            progress: true,
+            onProgress: () => {
+                calls.push('write');
+                // 書き込みフェーズでのDOM変更は、他のインスタンスの読み取りより後に行われる
+                document.body.appendChild(document.createElement('div'));
+            }
+        });
+        const b = create({ scope: '#story-b', progress: true });
+        harness.simulateScroll(1300).flush(a, b);
+        expect([a.getCurrentTriggerId(), b.getCurrentTriggerId()]).toEqual(['a-chart', 'b-intro']);
+
+        const requestAnimationFrame = vi.spyOn(window, 'requestAnimationFrame');
+        const intro = document.querySelector('[data-trigger="b-intro"]');
+        const getBoundingClientRect = intro.getBoundingClientRect;
+        intro.getBoundingClientRect = () => {
+            calls.push('read');
+            return getBoundingClientRect();
+        };
+
+        harness.simulateScroll(1350);
+        window.dispatchEvent(new Event('resize'));
+        expect(requestAnimationFrame).toHaveBeenCalledTimes(1);
+
+        // 同じ要素の矩形は1フレームにつき1回だけ読み取られる
+        calls.length = 0;
+        harness.flushFrames();
+        expect(calls).toEqual(['read', 'write']);
+    });
+});
@@ -0,0 +1,86 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import Scrolltering from '../src/index.js';
+import { createTestHarness } from '../src/testing.js';
+
+const VIEWPORT = { width: 1000, height: 800 };
+
+function render(ids) {
+    document.body.innerHTML = ids.map(id => `<section data-trigger="${id}"></section>`).join('');
+}
+
+describe('progress（スクロール進捗）', () => {
+    let harness;
+    let scrolly;
+
+    beforeEach(() => {
+        harness = createTestHarness({ viewport: VIEWPORT });
+    });
+
+    afterEach(() => {
+        if (scrolly) {
+            scrolly.destroy();
+            scrolly = null;
+        }
+        harness.restore();
+        document.body.innerHTML = '';
+    });
+
+    it('現在の要素の進捗を0-1で通知し、値が変化した場合のみ発火する', () => {
+        render(['a', 'b']);
+        harness.stack();
+        const onProgress = vi.fn();
+        scrolly = new Scrolltering({ progress: true, onProgress });
+        harness.flush(scrolly);
+        expect(onProgress).toHaveBeenLastCalledWith(expect.objectContaining({ current: 'a', progress: 0.5 }));
+
+        harness.simulateScroll(400).flushFrames();
+        expect(onProgress).toHaveBeenLastCalledWith(expect.objectContaining({ current: 'a', progress: 0.75 }));
+
+        const count = onProgress.mock.calls.length;
+        harness.simulateScroll(400).flushFrames();
+        expect(onProgress).toHaveBeenCalledTimes(count);
+    });
+
+    it('progressAll: true の場合は表示中の全要素の進捗を含める', () => {
+        render(['a', 'b']);
+        harness.stack();
+        const onProgress = vi.fn();
+        scrolly = new Scrolltering({ progress: true, progressAll: true, onProgress });
+        harness.flush(scrolly);
+
+        harness.simulateScroll(400).flush(scrolly);
+        const { elements } = onProgress.mock.calls[onProgress.mock.calls.length - 1][0];
+        expect(elements.map(({ id, progress }) => [id, progress])).toEqual([['a', 0.75], ['b', 0.25]]);
+    });
+
+    it('scrollProgress イベントを instanceId 付きで発火し、無効時は計測しない', () => {
+        render(['a', 'b']);
+        harness.stack();
+        const listener = vi.fn();
+        window.addEventListener('scrollProgress', listener);
+        const disabled = new Scrolltering({ onProgress: vi.fn() });
+        scrolly = new Scrolltering({ progress: true });
+        harness.flush(scrolly, disabled);
+        harness.simulateScroll(400).flush(scrolly, disabled);
+        window.removeEventListener('scrollProgress', listener);
+        disabled.destroy();
+
+        const details = listener.mock.calls.map(([event]) => event.detail);
+        expect(details.length).toBeGreaterThan(0);
+        expect(details.every(detail => detail.instanceId === scrolly.instanceId)).toBe(true);
+        expect(details[details.length - 1]).toMatchObject({ current: 'a', progress: 0.75 });
+    });
+
+    it('pause() 中は進捗を通知しない', () => {
+        render(['a', 'b']);
+        harness.stack();
+        const onProgress = vi.fn();
+        scrolly = new Scrolltering({ progress: true, onProgress });
+        harness.flush(scrolly);
+        onProgress.mockClear();
+
+        scrolly.pause();
+        harness.simulateScroll(400).flush(scrolly);
+        expect(onProgress).not.toHaveBeenCalled();
+    });
+});
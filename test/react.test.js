@@ -0,0 +1,115 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { StrictMode, createElement as h, act, useRef } from 'react';
+import { createRoot } from 'react-dom/client';
+import { useScrolltering } from '../src/react.js';
+import { Scrolltering } from '../src/scrolltering.js';
+import { createTestHarness } from '../src/testing.js';
+
+globalThis.IS_REACT_ACT_ENVIRONMENT = true;
+
+describe('scrolltering/react', () => {
+    let harness;
+    let container;
+    let root;
+    let result;
+
+    function Story({ options, steps = ['intro', 'chart'] }) {
+        const panel = useRef(null);
+        result = useScrolltering({ root: panel, ...options });
+        return h('div', { ref: panel },
+            steps.map(id => h('section', { key: id, ref: result.stepRef(id) }))
+        );
+    }
+
+    function render(element) {
+        act(() => root.render(element));
+        harness.container(container.firstChild, { top: 0, height: 800 });
+        harness.stack({ container: container.firstChild });
+    }
+
+    function flush() {
+        act(() => harness.flush(result.scrolly));
+    }
+
+    beforeEach(() => {
+        harness = createTestHarness({ viewport: { width: 1000, height: 800 } });
+        container = document.createElement('div');
+        document.body.appendChild(container);
+        root = createRoot(container);
+    });
+
+    afterEach(() => {
+        act(() => root.unmount());
+        document.body.innerHTML = '';
+        harness.restore();
+    });
+
+    it('ref で登録したステップと root を監視し、current / previous を返す', () => {
+        render(h(Story, { options: {} }));
+        flush();
+
+        expect(result.scrolly.root).toBe(container.firstChild);
+        expect(result.current).toBe('intro');
+        expect(container.querySelector('section').getAttribute('data-trigger')).toBe('intro');
+
+        act(() => harness.simulateScroll(900, { target: container.firstChild }));
+        flush();
+
+        expect(result).toMatchObject({ current: 'chart', previous: 'intro', direction: 'down' });
+    });
+
+    it('StrictMode の二重マウントでも最初のインスタンスを破棄する', () => {
+        const destroy = vi.spyOn(Scrolltering.prototype, 'destroy');
+        try {
+            render(h(StrictMode, null, h(Story, { options: {} })));
+            flush();
+
+            const instance = result.scrolly;
+            expect(destroy).toHaveBeenCalledTimes(1);
+            expect(destroy.mock.contexts[0]).not.toBe(instance);
+            expect(instance.observer).not.toBeNull();
+            expect(result.current).toBe('intro');
+
+            act(() => root.unmount());
+            expect(destroy).toHaveBeenCalledTimes(2);
+            expect(instance.observer).toBeNull();
+            root = createRoot(container);
+        } finally {
+            destroy.mockRestore();
+        }
+    });
+
+    it('設定値の変更は updateOptions() で反映し、インスタンスを維持する', () => {
+        const onChange = vi.fn();
+        render(h(Story, { options: { threshold: 0, onChange } }));
+        flush();
+        const instance = result.scrolly;
+        const updateOptions = vi.spyOn(instance, 'updateOptions');
+
+        const latest = vi.fn();
+        act(() => root.render(h(Story, { options: { threshold: 0, onChange: latest } })));
+        expect(updateOptions).not.toHaveBeenCalled();
+
+        act(() => root.render(h(Story, { options: { threshold: 0.5, onChange: latest } })));
+        expect(updateOptions).toHaveBeenCalledTimes(1);
+        expect(result.scrolly).toBe(instance);
+        expect(instance.config.threshold).toBe(0.5);
+
+        act(() => harness.simulateScroll(900, { target: container.firstChild }));
+        flush();
+        expect(latest).toHaveBeenCalled();
+        expect(onChange).toHaveBeenCalledTimes(1);
+    });
+
+    it('progress オプションで進捗を返す', () => {
+        const onProgress = vi.fn();
+        render(h(Story, { options: { progress: true, onProgress } }));
+        flush();
+
+        act(() => harness.simulateScroll(400, { target: container.firstChild }));
+        flush();
+
+        expect(result.progress).toBeGreaterThan(0);
+        expect(result.progress).toBe(onProgress.mock.lastCall[0].progress);
+    });
+});
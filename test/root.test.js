@@ -0,0 +1,91 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import Scrolltering from '../src/index.js';
+import { createTestHarness } from '../src/testing.js';
+
+const VIEWPORT = { width: 1000, height: 800 };
+
+function render(ids) {
+    document.body.innerHTML = ids.map(id => `<section data-trigger="${id}"></section>`).join('');
+}
+
+describe('root（スクロールコンテナ）', () => {
+    let harness;
+    let scrolly;
+
+    beforeEach(() => {
+        harness = createTestHarness({ viewport: VIEWPORT });
+    });
+
+    afterEach(() => {
+        if (scrolly) {
+            scrolly.destroy();
+            scrolly = null;
+        }
+        harness.restore();
+        document.body.innerHTML = '';
+    });
+
+    it('コンテナ内の要素のみを監視し、コンテナのスクロールで切り替える', () => {
+        document.body.innerHTML = `
+            <section data-trigger="outside"></section>
+            <div id="panel">
+                <section data-trigger="a"></section>
+                <section data-trigger="b"></section>
+            </div>
+        `;
+        const panel = document.getElementById('panel');
+        harness.layout('outside', { top: 0, height: 800 });
+        harness.container(panel, { top: 800, height: 400 });
+        harness.stack({ container: panel, start: 800, size: 400 });
+
+        scrolly = new Scrolltering({ root: panel });
+        harness.flush(scrolly);
+        expect(scrolly.getCurrentTriggerId()).toBe('a');
+
+        harness.simulateScroll(450, { target: panel }).flush(scrolly);
+        expect(scrolly.getCurrentTriggerId()).toBe('b');
+    });
+
+    it('セレクタで指定でき、ウィンドウのスクロールでは切り替えない', () => {
+        document.body.innerHTML = `
+            <div id="panel">
+                <section data-trigger="a"></section>
+                <section data-trigger="b"></section>
+            </div>
+        `;
+        const panel = document.getElementById('panel');
+        harness.container(panel, { top: 0, height: 400 });
+        harness.stack({ container: panel, size: 400 });
+
+        scrolly = new Scrolltering({ root: '#panel' });
+        harness.flush(scrolly);
+        expect(scrolly.root).toBe(panel);
+        expect(scrolly.observer.root).toBe(panel);
+
+        harness.simulateScroll(450).flush(scrolly);
+        expect(scrolly.getCurrentTriggerId()).toBe('a');
+
+        harness.simulateScroll(450, { target: panel }).flush(scrolly);
+        expect(scrolly.getCurrentTriggerId()).toBe('b');
+    });
+
+    it('最上位の要素はコンテナ上端からの相対位置で判定する', () => {
+        document.body.innerHTML = `
+            <div id="panel">
+                <section data-trigger="a"></section>
+                <section data-trigger="b"></section>
+                <section data-trigger="c"></section>
+            </div>
+        `;
+        const panel = document.getElementById('panel');
+        harness.container(panel, { top: 300, height: 400 });
+        harness.stack({ container: panel, start: 300, size: 400 });
+
+        scrolly = new Scrolltering({ root: panel, strategy: 'line', offset: 0 });
+        harness.flush(scrolly);
+        expect(scrolly.getCurrentTriggerId()).toBe('a');
+
+        harness.simulateScroll(850, { target: panel }).flush(scrolly);
+        expect(scrolly.getCurrentTriggerId()).toBe('c');
+    });
+});
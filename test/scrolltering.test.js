@@ -0,0 +1,484 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import Scrolltering from '../src/index.js';
+import { createTestHarness } from '../src/testing.js';
+
+const VIEWPORT = { width: 1000, height: 800 };
+
+function render(ids) {
+    document.body.innerHTML = ids.map(id => `<section data-trigger="${id}"></section>`).join('');
+}
+
+describe('Scrolltering', () => {
+    let harness;
+    let scrolly;
+
+    beforeEach(() => {
+        harness = createTestHarness({ viewport: VIEWPORT });
+    });
+
+    afterEach(() => {
+        if (scrolly) {
+            scrolly.destroy();
+            scrolly = null;
+        }
+        harness.restore();
+        document.body.innerHTML = '';
+    });
+
+    describe('topmost（デフォルト）', () => {
+        it('初期状態で最も上の要素を現在のトリガーにする', () => {
+            render(['intro', 'section1', 'section2']);
+            harness.stack();
+            const onChange = vi.fn();
+
+            scrolly = new Scrolltering({ onChange });
+            harness.flush(scrolly);
+
+            expect(scrolly.getCurrentTriggerId()).toBe('intro');
+            expect(onChange).toHaveBeenCalledTimes(1);
+            expect(onChange.mock.calls[0][0]).toMatchObject({
+                current: 'intro',
+                previous: null,
+                instanceId: scrolly.instanceId
+            });
+        });
+
+        it('スクロールに応じてトリガーを切り替え、方向を通知する', () => {
+            render(['intro', 'section1', 'section2']);
+            harness.stack();
+            const onChange = vi.fn();
+
+            scrolly = new Scrolltering({ onChange });
+            harness.flush(scrolly);
+            harness.simulateScroll(900).flush(scrolly);
+
+            expect(scrolly.getCurrentTriggerId()).toBe('section1');
+            expect(onChange.mock.calls[1][0]).toMatchObject({
+                current: 'section1',
+                previous: 'intro',
+                direction: 'down'
+            });
+
+            harness.simulateScroll(100).flush(scrolly);
+            expect(onChange.mock.calls[2][0]).toMatchObject({
+                current: 'intro',
+                previous: 'section1',
+                direction: 'up'
+            });
+        });
+
+        it('すべての要素が画面外になっても最後のトリガーを維持する', () => {
+            render(['intro', 'section1']);
+            harness.stack();
+            scrolly = new Scrolltering();
+            harness.flush(scrolly);
+
+            harness.exit('intro').exit('section1').flush(scrolly);
+
+            expect(scrolly.getCurrentTriggerId()).toBe('intro');
+        });
+
+        it('scrollTrigger イベントをwindowに発火する', () => {
+            render(['intro', 'section1']);
+            harness.stack();
+            const listener = vi.fn();
+            window.addEventListener('scrollTrigger', listener);
+
+            scrolly = new Scrolltering();
+            harness.flush(scrolly);
+            window.removeEventListener('scrollTrigger', listener);
+
+            expect(listener).toHaveBeenCalledTimes(1);
+            expect(listener.mock.calls[0][0].detail.current).toBe('intro');
+        });
+    });
+
+    describe('デバウンス', () => {
+        it('連続した交差イベントを1回の更新にまとめる', () => {
+            vi.useFakeTimers();
+            try {
+                render(['a', 'b', 'c']);
+                harness.stack();
+                const onChange = vi.fn();
+                scrolly = new Scrolltering({ onChange, debounceDelay: 50 });
+                harness.flush(scrolly);
+                onChange.mockClear();
+
+                harness.simulateScroll(900);
+                harness.simulateScroll(1700);
+                vi.advanceTimersByTime(49);
+                expect(onChange).not.toHaveBeenCalled();
+
+                vi.advanceTimersByTime(1);
+                expect(onChange).toHaveBeenCalledTimes(1);
+                expect(onChange.mock.calls[0][0].current).toBe('c');
+            } finally {
+                vi.useRealTimers();
+            }
+        });
+
+        it('flush() はデバウンス待ちの更新を即座に実行する', () => {
+            render(['a', 'b']);
+            harness.stack();
+            scrolly = new Scrolltering({ debounceDelay: 1000 });
+            harness.flush(scrolly);
+
+            harness.simulateScroll(900);
+            expect(scrolly.getCurrentTriggerId()).toBe('a');
+
+            scrolly.flush();
+            expect(scrolly.getCurrentTriggerId()).toBe('b');
+        });
+    });
+
+    describe('diagnose()', () => {
+        it('問題がない場合は ok を返し、選択方式をsummaryに含める', () => {
+            document.head.innerHTML = '<meta name="viewport" content="width=device-width, initial-scale=1.0">';
+            render(['a', 'b', 'c']);
+            harness.stack();
+            scrolly = new Scrolltering({ strategy: 'line' });
+
+            const result = scrolly.diagnose();
+
+            expect(result.status).toBe('ok');
+            expect(result.issues).toEqual([]);
+            expect(result.summary).toMatchObject({
+                totalElements: 3,
+                problematicElements: 0,
+                performanceScore: 10,
+                strategy: 'line'
+            });
+            document.head.innerHTML = '';
+        });
+
+        it('要素がない場合は no_elements エラーを返す', () => {
+            scrolly = new Scrolltering();
+            const types = scrolly.diagnose().issues.map(issue => issue.type);
+
+            expect(types).toContain('no_elements');
+        });
+
+        it('トリガーIDの欠落・重複と高さ不足を検出する', () => {
+            document.body.innerHTML = `
+                <section data-trigger="a"></section>
+                <section data-trigger="a"></section>
+                <section data-trigger=""></section>
+            `;
+            harness.stack({ size: [800, 800, 100] });
+            scrolly = new Scrolltering();
+
+            const result = scrolly.diagnose();
+            const types = result.issues.map(issue => issue.type);
+
+            expect(result.status).toBe('error');
+            expect(types).toEqual(expect.arrayContaining([
+                'duplicate_trigger_id',
+                'missing_trigger_id',
+                'insufficient_height'
+            ]));
+        });
+
+        it('設定値の問題を検出する', () => {
+            render(['a', 'b']);
+            harness.stack();
+            scrolly = new Scrolltering({ threshold: 1.0, debounceDelay: 200, strategy: 'unknown' });
+
+            const types = scrolly.diagnose().issues.map(issue => issue.type);
+
+            expect(types).toEqual(expect.arrayContaining(['high_threshold', 'high_debounce', 'invalid_strategy']));
+        });
+
+        it('スクロールできないrootコンテナを検出する', () => {
+            document.body.innerHTML = '<div id="panel"><section data-trigger="a"></section></div>';
+            const panel = document.getElementById('panel');
+            harness.container(panel, { top: 0, height: 800 });
+            harness.stack({ container: panel, size: 800 });
+            scrolly = new Scrolltering({ root: '#panel' });
+
+            const types = scrolly.diagnose().issues.map(issue => issue.type);
+
+            expect(types).toEqual(expect.arrayContaining(['no_scroll', 'overflow_hidden']));
+        });
+
+        it('祖先要素の問題を、原因の祖先とトリガーIDをまとめて報告する', () => {
+            document.body.innerHTML = `
+                <div id="wrapper" style="overflow-y: hidden; transform: translateZ(0)">
+                    <div class="sticky" style="position: sticky">
+                        <section data-trigger="a"></section>
+                        <section data-trigger="b"></section>
+                    </div>
+                </div>
+            `;
+            harness.stack();
+            scrolly = new Scrolltering({ locale: 'en' });
+
+            const issues = scrolly.diagnose().issues;
+            const find = type => issues.find(issue => issue.type === type);
+
+            expect(find('ancestor_overflow_hidden').ancestor).toBe(document.getElementById('wrapper'));
+            expect(find('ancestor_overflow_hidden').details).toMatchObject({
+                ancestor: 'div#wrapper',
+                property: 'overflow-y',
+                value: 'hidden',
+                triggerIds: ['a', 'b']
+            });
+            expect(find('transformed_ancestor').details.property).toBe('transform');
+            expect(find('sticky_ancestor').message).toBe('Element "a, b" is inside a position: sticky ancestor (div.sticky)');
+            expect(issues.filter(issue => issue.type === 'sticky_ancestor')).toHaveLength(1);
+        });
+
+        it('非表示の祖先とrootに指定されていないスクロールコンテナを検出する', () => {
+            document.body.innerHTML = `
+                <div id="panel" style="overflow-y: auto"><section data-trigger="a"></section></div>
+                <div style="display: none"><section data-trigger="b"></section></div>
+            `;
+            const panel = document.getElementById('panel');
+            harness.container(panel, { top: 0, height: 400 });
+            harness.stack({ container: panel });
+            scrolly = new Scrolltering();
+
+            const issues = scrolly.diagnose().issues;
+            const nested = issues.find(issue => issue.type === 'nested_scroll_container');
+
+            expect(nested.severity).toBe('error');
+            expect(nested.ancestor).toBe(panel);
+            expect(issues.find(issue => issue.type === 'ancestor_hidden').details.triggerIds).toEqual(['b']);
+        });
+
+        it('サイズ0の要素と重なった要素を検出する', () => {
+            render(['a', 'b', 'c']);
+            harness.layout('a', { top: 0, height: 800 })
+                .layout('b', { top: 600, height: 800 })
+                .layout('c', { top: 1400, height: 0 });
+            scrolly = new Scrolltering();
+
+            const issues = scrolly.diagnose().issues;
+            const overlap = issues.find(issue => issue.type === 'overlapping_elements');
+
+            expect(overlap.details).toMatchObject({ triggerId: 'b', otherTriggerId: 'a', overlap: 200 });
+            expect(overlap.relatedElement).toBe(document.querySelector('[data-trigger="a"]'));
+            expect(issues.find(issue => issue.type === 'zero_size').details.triggerId).toBe('c');
+
+            const report = JSON.parse(scrolly.exportDiagnostics());
+            const serialized = report.issues.find(issue => issue.type === 'overlapping_elements');
+            expect(serialized.relatedElement).toEqual({ triggerId: 'a', selector: '[data-trigger="a"]' });
+        });
+
+        it('クロスオリジンのiframe内では rootMargin が無視されることを警告する', () => {
+            render(['a', 'b']);
+            harness.stack();
+            const top = {
+                get location() {
+                    throw new DOMException('Blocked a frame', 'SecurityError');
+                }
+            };
+            const spy = vi.spyOn(window, 'top', 'get').mockReturnValue(top);
+            scrolly = new Scrolltering({ rootMargin: '-50% 0px' });
+
+            const issue = scrolly.diagnose().issues.find(item => item.type === 'cross_origin_iframe');
+            spy.mockRestore();
+
+            expect(issue.details.rootMargin).toBe('-50% 0px');
+        });
+
+        it('registerDiagnosticRule() で登録したルールを実行し、解除できる', () => {
+            render(['a', 'has space']);
+            harness.stack();
+            const unregister = Scrolltering.registerDiagnosticRule({
+                type: 'trigger_id_with_space',
+                severity: 'error',
+                suggestion: 'IDにはハイフンを使用してください',
+                check: ({ elements, config }) => elements
+                    .filter(element => /\s/.test(element.getAttribute(config.triggerAttribute)))
+                    .map(element => ({ element, message: 'トリガーIDに空白が含まれています' }))
+            });
+
+            try {
+                scrolly = new Scrolltering();
+                const issue = scrolly.diagnose().issues.find(item => item.type === 'trigger_id_with_space');
+
+                expect(issue).toMatchObject({
+                    severity: 'error',
+                    message: 'トリガーIDに空白が含まれています',
+                    suggestion: 'IDにはハイフンを使用してください',
+                    element: document.querySelector('[data-trigger="has space"]')
+                });
+            } finally {
+                unregister();
+            }
+
+            const types = scrolly.diagnose().issues.map(item => item.type);
+            expect(types).not.toContain('trigger_id_with_space');
+        });
+
+        it('例外を投げたルールは diagnostic_rule_failed として報告する', () => {
+            render(['a']);
+            harness.stack();
+            const unregister = Scrolltering.registerDiagnosticRule({
+                type: 'broken',
+                check: () => {
+                    throw new Error('boom');
+                }
+            });
+
+            try {
+                scrolly = new Scrolltering();
+                const issue = scrolly.diagnose().issues.find(item => item.type === 'diagnostic_rule_failed');
+                expect(issue.message).toContain('boom');
+            } finally {
+                unregister();
+            }
+        });
+
+        it('disabledRules で指定した type の問題を除外する', () => {
+            render(['a', 'b']);
+            harness.stack();
+            scrolly = new Scrolltering({ threshold: 1.0, disabledRules: ['high_threshold'] });
+
+            const types = scrolly.diagnose().issues.map(issue => issue.type);
+
+            expect(types).not.toContain('high_threshold');
+        });
+
+        it('exportDiagnostics() は JSON と JUnit XML を出力する', () => {
+            document.body.innerHTML = `
+                <section data-trigger="a"></section>
+                <section data-trigger="a"></section>
+            `;
+            harness.stack({ size: [800, 100] });
+            scrolly = new Scrolltering();
+
+            const report = JSON.parse(scrolly.exportDiagnostics());
+            expect(report.status).toBe('error');
+            expect(report.issues.find(issue => issue.type === 'duplicate_trigger_id').element)
+                .toEqual({ triggerId: 'a', selector: '[data-trigger="a"]' });
+
+            const xml = scrolly.exportDiagnostics('junit');
+            const doc = new DOMParser().parseFromString(xml, 'application/xml');
+            const suite = doc.querySelector('testsuite');
+            const failures = doc.querySelectorAll('testcase > failure');
+
+            expect(Number(suite.getAttribute('failures'))).toBe(failures.length);
+            expect(Array.from(failures).map(failure => failure.getAttribute('type')))
+                .toContain('duplicate_trigger_id');
+            expect(doc.querySelectorAll('testcase > system-out').length).toBeGreaterThan(0);
+            expect(() => scrolly.exportDiagnostics('csv')).toThrow();
+        });
+
+        it('locale に応じたメッセージと構造化された details を返す', () => {
+            document.body.innerHTML = '<section data-trigger="short"></section>';
+            harness.stack({ size: 100 });
+
+            scrolly = new Scrolltering({ locale: 'en' });
+            const english = scrolly.diagnose().issues.find(issue => issue.type === 'insufficient_height');
+            expect(english.message).toBe('Element "short" is too short (100px)');
+            expect(english.details).toEqual({ triggerId: 'short', index: 0, height: 100, minHeight: 400 });
+            scrolly.destroy();
+
+            scrolly = new Scrolltering({ locale: 'ja-JP' });
+            const japanese = scrolly.diagnose().issues.find(issue => issue.type === 'insufficient_height');
+            expect(japanese.message).toBe('要素 "short" の高さが不十分です (100px)');
+        });
+
+        it('locale 未指定時は navigator.language から決定する', () => {
+            const language = vi.spyOn(navigator, 'languages', 'get').mockReturnValue(['fr-FR', 'ja']);
+            try {
+                scrolly = new Scrolltering();
+                const issue = scrolly.diagnose().issues.find(item => item.type === 'no_elements');
+                expect(issue.message).toBe('監視対象要素が見つかりません');
+            } finally {
+                language.mockRestore();
+            }
+        });
+
+        it('registerLocale() で独自のカタログを追加できる', () => {
+            Scrolltering.registerLocale('de', {
+                issues: {
+                    no_elements: { message: 'Keine Elemente für "{selector}" gefunden' }
+                }
+            });
+            scrolly = new Scrolltering({ locale: 'de', threshold: 1.0 });
+            const issues = scrolly.diagnose().issues;
+
+            expect(issues.find(issue => issue.type === 'no_elements')).toMatchObject({
+                message: 'Keine Elemente für "[data-trigger]" gefunden',
+                suggestion: 'Add elements matching the selector "[data-trigger]"'
+            });
+            // 翻訳がないキーは英語を使用
+            expect(issues.find(issue => issue.type === 'high_threshold').details).toEqual({ threshold: 1 });
+        });
+
+        it('結果をキャッシュする', () => {
+            render(['a']);
+            harness.stack();
+            scrolly = new Scrolltering();
+
+            expect(scrolly.diagnose()).toBe(scrolly.diagnose());
+        });
+    });
+
+    describe('ライフサイクル', () => {
+        it('autoStart: false の場合は start() まで監視しない', () => {
+            render(['a', 'b']);
+            harness.stack();
+            const onChange = vi.fn();
+
+            scrolly = new Scrolltering({ autoStart: false, onChange });
+            harness.flush(scrolly);
+            expect(scrolly.observer).toBeNull();
+            expect(onChange).not.toHaveBeenCalled();
+
+            scrolly.start();
+            scrolly.start();
+            harness.flush(scrolly);
+            expect(scrolly.getCurrentTriggerId()).toBe('a');
+            expect(onChange).toHaveBeenCalledTimes(1);
+        });
+
+        it('pause() 中は通知せず、resume() で現在の状態を再評価する', () => {
+            render(['a', 'b', 'c']);
+            harness.stack();
+            const onChange = vi.fn();
+            const onEnter = vi.fn();
+            scrolly = new Scrolltering({ onChange, onEnter });
+            harness.flush(scrolly);
+            onChange.mockClear();
+            onEnter.mockClear();
+
+            scrolly.pause();
+            harness.simulateScroll(1700).flush(scrolly);
+            expect(scrolly.isPaused()).toBe(true);
+            expect(scrolly.getCurrentTriggerId()).toBe('a');
+            expect(onChange).not.toHaveBeenCalled();
+            expect(onEnter).not.toHaveBeenCalled();
+
+            scrolly.resume();
+            expect(scrolly.getCurrentTriggerId()).toBe('c');
+            expect(onChange).toHaveBeenCalledTimes(1);
+            expect(onChange.mock.calls[0][0]).toMatchObject({ current: 'c', previous: 'a' });
+        });
+
+        it('updateOptions() はObserverを再構築し、インスタンスIDとリスナーを維持する', () => {
+            document.body.innerHTML = `
+                <section data-trigger="a"></section>
+                <section data-trigger="b" class="late"></section>
+            `;
+            harness.stack();
+            const listener = vi.fn();
+            scrolly = new Scrolltering();
+            scrolly.on('change', listener);
+            harness.flush(scrolly);
+            const { instanceId, observer } = scrolly;
+
+            scrolly.updateOptions({ selector: '.late' });
+            harness.flush(scrolly);
+
+            expect(scrolly.instanceId).toBe(instanceId);
+            expect(scrolly.observer).not.toBe(observer);
+            expect(scrolly.config.selector).toBe('.late');
+            expect(scrolly.getCurrentTriggerId()).toBe('b');
+            expect(listener).toHaveBeenCalledTimes(2);
+            expect(listener.mock.calls[1][0]).toMatchObject({ current: 'b', previous: 'a' });
+        });
+    });
+});
@@ -0,0 +1,106 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import Scrolltering from '../src/index.js';
+import { createTestHarness } from '../src/testing.js';
+
+const VIEWPORT = { width: 1000, height: 800 };
+
+function render(ids) {
+    document.body.innerHTML = ids.map(id => `<section data-trigger="${id}"></section>`).join('');
+}
+
+describe('strategy（トリガーラインと選択方式）', () => {
+    let harness;
+    let scrolly;
+
+    beforeEach(() => {
+        harness = createTestHarness({ viewport: VIEWPORT });
+    });
+
+    afterEach(() => {
+        if (scrolly) {
+            scrolly.destroy();
+            scrolly = null;
+        }
+        harness.restore();
+        document.body.innerHTML = '';
+    });
+
+    it("'line' はトリガーラインをまたいでいる要素を選択する", () => {
+        render(['a', 'b', 'c']);
+        harness.stack();
+        scrolly = new Scrolltering({ strategy: 'line', offset: 0.5 });
+        harness.flush(scrolly);
+        expect(scrolly.getCurrentTriggerId()).toBe('a');
+
+        // b の上端(800)がライン(スクロール量 + 400)を越える
+        harness.simulateScroll(450).flush(scrolly);
+        expect(scrolly.getCurrentTriggerId()).toBe('b');
+    });
+
+    it("'line' は offset に px 指定を受け付ける", () => {
+        render(['a', 'b']);
+        harness.stack();
+        scrolly = new Scrolltering({ strategy: 'line', offset: '100px' });
+        harness.flush(scrolly);
+
+        harness.simulateScroll(650).flush(scrolly);
+        expect(scrolly.getCurrentTriggerId()).toBe('a');
+
+        harness.simulateScroll(750).flush(scrolly);
+        expect(scrolly.getCurrentTriggerId()).toBe('b');
+    });
+
+    it("'largest-visible-ratio' は交差率が最大の要素を選択する", () => {
+        render(['a', 'b']);
+        harness.stack();
+        scrolly = new Scrolltering({
+            strategy: 'largest-visible-ratio',
+            threshold: [0, 0.25, 0.5, 0.75, 1]
+        });
+        harness.flush(scrolly);
+
+        harness.simulateScroll(500).flush(scrolly);
+        expect(scrolly.getCurrentTriggerId()).toBe('b');
+    });
+
+    it('比較関数で選択方式を指定できる', () => {
+        render(['a', 'b']);
+        harness.stack();
+        // 最も下にある要素を優先
+        scrolly = new Scrolltering({ strategy: (x, y) => y.top - x.top });
+        harness.flush(scrolly);
+
+        expect(scrolly.getCurrentTriggerId()).toBe('b');
+    });
+
+    it('比較関数は表示領域からの相対位置と交差率を持つ候補を受け取る', () => {
+        render(['a', 'b']);
+        harness.stack();
+        const candidates = [];
+        scrolly = new Scrolltering({
+            strategy: (x, y) => {
+                candidates.push(x, y);
+                return x.start - y.start;
+            }
+        });
+        harness.flush(scrolly);
+        harness.simulateScroll(400).flush(scrolly);
+
+        const a = candidates.filter(candidate => candidate.id === 'a').pop();
+        expect(a).toMatchObject({ start: -400, end: 400, top: -400, bottom: 400 });
+        expect(a.element).toBe(document.querySelector('[data-trigger="a"]'));
+        expect(scrolly.getCurrentTriggerId()).toBe('a');
+    });
+
+    it('不明な strategy は topmost として動作し、diagnose() で報告する', () => {
+        render(['a', 'b']);
+        harness.stack();
+        scrolly = new Scrolltering({ strategy: 'middle' });
+        harness.flush(scrolly);
+        harness.simulateScroll(400).flush(scrolly);
+
+        expect(scrolly.getCurrentTriggerId()).toBe('a');
+        expect(scrolly.diagnose().issues.find(issue => issue.type === 'invalid_strategy').details)
+            .toMatchObject({ strategy: 'middle' });
+    });
+});
@@ -0,0 +1,106 @@
+import { describe, it, expect, afterEach, vi } from 'vitest';
+import { createTestHarness, MockIntersectionObserver } from '../src/testing.js';
+
+describe('scrolltering/testing', () => {
+    let harness;
+
+    afterEach(() => {
+        harness.restore();
+        document.body.innerHTML = '';
+    });
+
+    it('window のプロパティを差し替え、restore() で元に戻す', () => {
+        const original = window.IntersectionObserver;
+        harness = createTestHarness({ viewport: { width: 320, height: 480 } });
+
+        expect(window.IntersectionObserver).toBe(MockIntersectionObserver);
+        expect(window.innerHeight).toBe(480);
+
+        harness.restore();
+        expect(window.IntersectionObserver).toBe(original);
+    });
+
+    it('スクロール量に応じた矩形を返す', () => {
+        harness = createTestHarness({ viewport: { width: 1000, height: 800 } });
+        document.body.innerHTML = '<div id="box"></div>';
+        const box = document.getElementById('box');
+
+        harness.layout(box, { top: 1000, height: 200 }).simulateScroll(300);
+
+        expect(box.getBoundingClientRect()).toMatchObject({ top: 700, bottom: 900, height: 200 });
+        expect(box.offsetHeight).toBe(200);
+        expect(document.documentElement.scrollHeight).toBe(1200);
+    });
+
+    it('初回通知と threshold の境界をまたいだ時に通知する', () => {
+        harness = createTestHarness({ viewport: { width: 1000, height: 800 } });
+        document.body.innerHTML = '<div id="box"></div>';
+        const box = document.getElementById('box');
+        harness.layout(box, { top: 800, height: 800 });
+
+        const callback = vi.fn();
+        const observer = new window.IntersectionObserver(callback, { threshold: [0.5] });
+        observer.observe(box);
+
+        harness.flush();
+        expect(callback).toHaveBeenCalledTimes(1);
+        expect(callback.mock.calls[0][0][0]).toMatchObject({ isIntersecting: false });
+
+        harness.simulateScroll(100);
+        expect(callback).toHaveBeenCalledTimes(1);
+
+        harness.simulateScroll(500);
+        expect(callback).toHaveBeenCalledTimes(2);
+        expect(callback.mock.calls[1][0][0]).toMatchObject({ isIntersecting: true, intersectionRatio: 0.625 });
+    });
+
+    it('rootMargin を交差判定に反映する', () => {
+        harness = createTestHarness({ viewport: { width: 1000, height: 800 } });
+        document.body.innerHTML = '<div id="box"></div>';
+        const box = document.getElementById('box');
+        harness.layout(box, { top: 900, height: 100 });
+
+        const callback = vi.fn();
+        new window.IntersectionObserver(callback, { rootMargin: '0px 0px 200px 0px' }).observe(box);
+        harness.flush();
+
+        expect(callback.mock.calls[0][0][0].isIntersecting).toBe(true);
+    });
+
+    it('enter() / exit() は矩形に関係なく通知する', () => {
+        harness = createTestHarness();
+        document.body.innerHTML = '<div data-trigger="step"></div>';
+        harness.stack({ start: 5000 });
+
+        const callback = vi.fn();
+        new window.IntersectionObserver(callback).observe(document.querySelector('[data-trigger]'));
+
+        harness.enter('step', 0.3);
+        expect(callback.mock.calls[0][0][0]).toMatchObject({ isIntersecting: true, intersectionRatio: 0.3 });
+
+        harness.exit('step');
+        expect(callback.mock.calls[1][0][0]).toMatchObject({ isIntersecting: false, intersectionRatio: 0 });
+    });
+
+    it('引用符やバックスラッシュを含むトリガーIDも解決する', () => {
+        harness = createTestHarness();
+        document.body.innerHTML = '<div data-trigger=\'say "hi"\'></div><div data-trigger="a\\b"></div>';
+
+        harness.layout('say "hi"', { top: 100, height: 50 }).layout('a\\b', { top: 300, height: 50 });
+
+        const [quoted, backslashed] = document.querySelectorAll('[data-trigger]');
+        expect(quoted.getBoundingClientRect().top).toBe(100);
+        expect(backslashed.getBoundingClientRect().top).toBe(300);
+    });
+
+    it('flush() で requestAnimationFrame のキューを実行する', () => {
+        harness = createTestHarness();
+        const frame = vi.fn();
+
+        window.requestAnimationFrame(frame);
+        expect(frame).not.toHaveBeenCalled();
+
+        harness.flush();
+        expect(frame).toHaveBeenCalledTimes(1);
+    });
+});
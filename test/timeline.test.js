@@ -0,0 +1,156 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import Scrolltering from '../src/index.js';
+import { createTestHarness } from '../src/testing.js';
+
+const VIEWPORT = { width: 1000, height: 800 };
+
+function render(ids) {
+    document.body.innerHTML = ids.map(id => `<section data-trigger="${id}"></section>`).join('');
+}
+
+describe('createTimeline()（キーフレームタイムライン）', () => {
+    let harness;
+    let scrolly;
+
+    beforeEach(() => {
+        harness = createTestHarness({ viewport: VIEWPORT });
+    });
+
+    afterEach(() => {
+        if (scrolly) {
+            scrolly.destroy();
+            scrolly = null;
+        }
+        harness.restore();
+        document.body.innerHTML = '';
+    });
+
+    it('進捗に応じて値を補間し、未到達のステップは初期値にする', () => {
+        document.body.innerHTML = `
+            <div id="graphic"></div>
+            <section data-trigger="a"></section>
+            <section data-trigger="b"
+                data-trigger-keyframes='[{"target":"#graphic","property":"background-color","from":"#000000","to":"#ffffff"}]'></section>
+        `;
+        harness.stack();
+        scrolly = new Scrolltering();
+        scrolly.createTimeline({
+            steps: { a: [{ target: '#graphic', property: 'opacity', from: 0, to: 1 }] }
+        });
+        harness.flush(scrolly).flushFrames();
+
+        const graphic = document.getElementById('graphic');
+        expect(graphic.style.opacity).toBe('0.5');
+        expect(graphic.style.backgroundColor).toBe('rgb(0, 0, 0)');
+
+        harness.simulateScroll(800).flushFrames();
+        expect(graphic.style.opacity).toBe('1');
+        expect(graphic.style.backgroundColor).toBe('rgb(128, 128, 128)');
+    });
+
+    it('scrolly.destroy() でタイムラインも破棄される', () => {
+        render(['a']);
+        harness.stack();
+        scrolly = new Scrolltering();
+        scrolly.createTimeline({ steps: { a: [{ property: '--x', from: 0, to: 100 }] } });
+        harness.flush(scrolly).flushFrames();
+        const section = document.querySelector('[data-trigger="a"]');
+        expect(section.style.getPropertyValue('--x')).toBe('50');
+
+        scrolly.destroy();
+        scrolly = null;
+        harness.simulateScroll(400).flushFrames();
+        expect(section.style.getPropertyValue('--x')).toBe('50');
+    });
+
+    it('updateOptions() で root を変更するとタイムラインも新しいコンテナに追従する', () => {
+        document.body.innerHTML = `
+            <div id="panel">
+                <section data-trigger="a"></section>
+                <section data-trigger="b" data-trigger-keyframes="{oops"></section>
+            </div>
+        `;
+        const panel = document.getElementById('panel');
+        harness.container(panel, { top: 0, height: 800 });
+        harness.stack({ container: panel });
+
+        scrolly = new Scrolltering();
+        const timeline = scrolly.createTimeline({
+            steps: { a: [{ property: 'opacity', from: 0, to: 1 }] }
+        });
+        const section = document.querySelector('[data-trigger="a"]');
+        harness.flush(scrolly).flushFrames();
+        expect(section.style.opacity).toBe('0.5');
+
+        scrolly.updateOptions({ root: panel });
+        harness.simulateScroll(400, { target: panel }).flush(scrolly).flushFrames();
+        expect(section.style.opacity).toBe('0.75');
+
+        // 不正なキーフレームは無視され、diagnose() で報告される
+        const issue = scrolly.diagnose().issues.find(item => item.type === 'invalid_keyframes');
+        expect(issue.details).toMatchObject({ triggerId: 'b', value: '{oops' });
+
+        timeline.destroy();
+    });
+
+
+    it('property や値が不正なトラックはスキップし、invalid_keyframes として報告する', () => {
+        document.body.innerHTML = `
+            <div id="graphic"></div>
+            <section data-trigger="a"
+                data-trigger-keyframes='[{"target":"#graphic","from":0,"to":1},{"target":"#graphic","property":"--y","from":0,"to":10}]'></section>
+            <section data-trigger="b"></section>
+        `;
+        harness.stack();
+        scrolly = new Scrolltering({ locale: 'en' });
+        scrolly.createTimeline({
+            steps: {
+                a: { target: '#graphic', property: 'opacity', from: {}, to: 1 },
+                b: [
+                    { target: '#graphic', property: '--x', keyframes: [{ offset: 0 }] },
+                    { target: '#graphic', property: '--z', from: 0, to: 1 }
+                ]
+            }
+        });
+
+        expect(() => harness.flush(scrolly).flushFrames()).not.toThrow();
+        const graphic = document.getElementById('graphic');
+        expect(graphic.style.getPropertyValue('--y')).toBe('5');
+        expect(graphic.style.getPropertyValue('--z')).toBe('0');
+        expect(graphic.style.opacity).toBe('');
+        expect(graphic.style.getPropertyValue('--x')).toBe('');
+
+        const issues = scrolly.diagnose().issues.filter(item => item.type === 'invalid_keyframes');
+        expect(issues.map(issue => issue.details)).toEqual([
+            expect.objectContaining({ triggerId: 'a', attribute: 'steps', track: 1, reason: 'value' }),
+            expect.objectContaining({ triggerId: 'a', attribute: 'data-trigger-keyframes', track: 1, reason: 'property' }),
+            expect.objectContaining({ triggerId: 'b', attribute: 'steps', track: 1, reason: 'value' })
+        ]);
+        expect(issues[1]).toMatchObject({
+            severity: 'error',
+            message: 'Track 1 in the data-trigger-keyframes of element "a" has no property'
+        });
+    });
+
+    it('target の不正なセレクタはスキップし、invalid_keyframes として報告する', () => {
+        document.body.innerHTML = `
+            <section data-trigger="a"
+                data-trigger-keyframes='[{"target":"#","property":"opacity","from":0,"to":1}]'></section>
+            <section data-trigger="b"></section>
+        `;
+        harness.stack();
+        scrolly = new Scrolltering();
+        scrolly.createTimeline({
+            steps: { b: [{ target: '[', property: 'opacity', from: 0, to: 1 }, { property: '--b', from: 0, to: 1 }] }
+        });
+
+        expect(() => harness.flush(scrolly).flushFrames()).not.toThrow();
+        expect(document.querySelector('[data-trigger="b"]').style.getPropertyValue('--b')).toBe('0');
+
+        const issues = scrolly.diagnose().issues.filter(item => item.type === 'invalid_keyframes');
+        expect(issues.map(issue => [issue.details.triggerId, issue.details.reason, issue.details.target])).toEqual([
+            ['a', 'target', '#'],
+            ['b', 'target', '[']
+        ]);
+    });
+});
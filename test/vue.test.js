@@ -0,0 +1,91 @@
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import { createApp, defineComponent, h, nextTick, reactive, ref } from 'vue';
+import { useScrolltering } from '../src/vue.js';
+import { createTestHarness } from '../src/testing.js';
+
+describe('scrolltering/vue', () => {
+    let harness;
+    let app;
+    let container;
+    let result;
+
+    function mount(options) {
+        const Story = defineComponent({
+            setup() {
+                const panel = ref(null);
+                result = useScrolltering(reactive({ root: panel, ...options }));
+                return () => h('div', { ref: panel },
+                    ['intro', 'chart'].map(id => h('section', { key: id, ref: result.stepRef(id) }))
+                );
+            }
+        });
+        container = document.createElement('div');
+        document.body.appendChild(container);
+        app = createApp(Story);
+        app.mount(container);
+
+        const panel = container.firstChild;
+        harness.container(panel, { top: 0, height: 800 });
+        harness.stack({ container: panel });
+        harness.flush(result.scrolly.value);
+        return panel;
+    }
+
+    beforeEach(() => {
+        harness = createTestHarness({ viewport: { width: 1000, height: 800 } });
+    });
+
+    afterEach(() => {
+        if (app) {
+            app.unmount();
+            app = null;
+        }
+        document.body.innerHTML = '';
+        harness.restore();
+    });
+
+    it('テンプレートrefの root とステップを監視し、リアクティブな状態を返す', () => {
+        const panel = mount({});
+
+        expect(result.scrolly.value.root).toBe(panel);
+        expect(result.current.value).toBe('intro');
+
+        harness.simulateScroll(900, { target: panel }).flush(result.scrolly.value);
+
+        expect(result.current.value).toBe('chart');
+        expect(result.previous.value).toBe('intro');
+        expect(result.direction.value).toBe('down');
+    });
+
+    it('リアクティブなオプションの変更を updateOptions() で反映する', async () => {
+        const options = reactive({ threshold: 0 });
+        const Story = defineComponent({
+            setup() {
+                result = useScrolltering(options);
+                return () => h('section', { ref: result.stepRef('intro') });
+            }
+        });
+        container = document.createElement('div');
+        document.body.appendChild(container);
+        app = createApp(Story);
+        app.mount(container);
+        const instance = result.scrolly.value;
+
+        options.threshold = 0.5;
+        await nextTick();
+
+        expect(result.scrolly.value).toBe(instance);
+        expect(instance.config.threshold).toBe(0.5);
+    });
+
+    it('アンマウント時に destroy() する', () => {
+        mount({});
+        const instance = result.scrolly.value;
+
+        app.unmount();
+        app = null;
+
+        expect(instance.observer).toBeNull();
+        expect(result.scrolly.value).toBeNull();
+    });
+});
@@ -0,0 +1,76 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import Scrolltering from '../src/index.js';
+import { createTestHarness } from '../src/testing.js';
+
+const VIEWPORT = { width: 1000, height: 800 };
+
+function render(ids) {
+    document.body.innerHTML = ids.map(id => `<section data-trigger="${id}"></section>`).join('');
+}
+
+describe('watch（DOM変更の自動追跡）', () => {
+    let harness;
+    let scrolly;
+
+    beforeEach(() => {
+        harness = createTestHarness({ viewport: VIEWPORT });
+    });
+
+    afterEach(() => {
+        if (scrolly) {
+            scrolly.destroy();
+            scrolly = null;
+        }
+        harness.restore();
+        document.body.innerHTML = '';
+    });
+
+    it('追加された要素を監視し、削除されたアクティブ要素のトリガーを再評価する', async () => {
+        render(['a', 'b']);
+        harness.stack();
+        scrolly = new Scrolltering({ watch: true, strategy: 'line' });
+        harness.flush(scrolly);
+
+        const section = document.createElement('section');
+        section.setAttribute('data-trigger', 'c');
+        document.body.appendChild(section);
+        await new Promise(resolve => setTimeout(resolve, 0));
+        harness.stack();
+        expect(scrolly.observedElements.has(section)).toBe(true);
+
+        harness.simulateScroll(1300).flush(scrolly);
+        expect(scrolly.getCurrentTriggerId()).toBe('c');
+
+        section.remove();
+        await new Promise(resolve => setTimeout(resolve, 0));
+        harness.flush(scrolly);
+        expect(scrolly.observedElements.has(section)).toBe(false);
+        expect(scrolly.getCurrentTriggerId()).toBe('b');
+    });
+
+    it('elements を関数で指定した場合も、その戻り値に含まれる追加要素を監視する', async () => {
+        document.body.innerHTML = `
+            <section class="step" data-trigger="a"></section>
+            <section class="step" data-trigger="b"></section>
+        `;
+        harness.stack({ selector: '.step' });
+        scrolly = new Scrolltering({
+            elements: () => document.querySelectorAll('.step'),
+            watch: true
+        });
+        harness.flush(scrolly);
+
+        const wrapper = document.createElement('div');
+        wrapper.innerHTML = `
+            <section class="step" data-trigger="c"></section>
+            <section data-trigger="ignored"></section>
+        `;
+        document.body.appendChild(wrapper);
+        await new Promise(resolve => setTimeout(resolve, 0));
+        harness.stack({ selector: '.step' });
+        harness.simulateScroll(1700).flush(scrolly);
+
+        expect(scrolly.getCurrentTriggerId()).toBe('c');
+        expect(scrolly.observedElements.size).toBe(3);
+    });
+});